@@ -0,0 +1,40 @@
+// public/login.js
+
+const loginForm = document.getElementById('loginForm');
+const keyInput = document.getElementById('apiKey');
+const messageDiv = document.getElementById('message');
+
+/**
+ * Show a message below the form.
+ * @param {String} text - Message text.
+ * @param {Boolean} [isError] - Style as an error.
+ */
+function showMessage(text, isError = false) {
+  messageDiv.textContent = text;
+  messageDiv.className = isError ? 'message error' : 'message';
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const key = keyInput.value.trim();
+  if (!key) {
+    showMessage('Please enter your API key.', true);
+    return;
+  }
+
+  try {
+    const response = await fetch('/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key }),
+    });
+    if (!response.ok) {
+      showMessage((await response.text()) || `Sign-in failed (${response.status}).`, true);
+      return;
+    }
+    window.location.href = '/';
+  } catch (error) {
+    console.error('Error signing in:', error);
+    showMessage('An unexpected error occurred.', true);
+  }
+});
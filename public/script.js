@@ -1,44 +1,542 @@
 // public/script.js
 
-document
-  .getElementById('recommendationForm')
-  .addEventListener('submit', async (e) => {
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('customerName');
+const suggestionsList = document.getElementById('suggestions');
+const messageDiv = document.getElementById('message');
+const dashboardDiv = document.getElementById('dashboard');
+const profileDiv = document.getElementById('profile');
+const comparisonDiv = document.getElementById('comparison');
+const recommendationsDiv = document.getElementById('recommendations');
+const sessionDiv = document.getElementById('session');
+
+// Wait this long after the last keystroke before asking for suggestions
+const AUTOCOMPLETE_DELAY_MS = 200;
+const MAX_SUGGESTIONS = 8;
+// Number of products that can be compared side by side
+const MAX_COMPARE = 2;
+// Outcomes an agent can record for a recommendation
+const OUTCOMES = [
+  { outcome: 'accepted', label: 'Accepted' },
+  { outcome: 'declined', label: 'Declined' },
+  { outcome: 'not-pitched', label: 'Not pitched' },
+];
+
+let suggestions = [];
+let activeSuggestion = -1;
+let autocompleteTimer = null;
+let currentAcctId = null;
+let currentRecommendations = [];
+let compareIds = [];
+
+/**
+ * Escape text for use inside HTML.
+ * @param {*} value - Value to display.
+ * @returns {String} Escaped text.
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a product price with its billing period, e.g. "$65 / month".
+ * @param {Object} product - Recommendation with price, billing and unit.
+ * @returns {String} Price text.
+ */
+function formatPrice(product) {
+  const amount = `$${Number(product.price).toFixed(2).replace(/\.00$/, '')}`;
+  if (product.billing === 'monthly') return `${amount} / month`;
+  if (product.billing === 'per-unit') return `${amount} / ${product.unit || 'unit'}`;
+  if (product.billing === 'one-time') return `${amount} one-time`;
+  return amount;
+}
+
+/**
+ * Show a message above the dashboard.
+ * @param {String} html - Message HTML (already escaped).
+ * @param {Boolean} [isError] - Style as an error.
+ */
+function showMessage(html, isError = false) {
+  messageDiv.innerHTML = html;
+  messageDiv.className = isError ? 'message error' : 'message';
+}
+
+/**
+ * Read an error response as text.
+ * @param {Response} response - Failed fetch response.
+ * @returns {Promise<String>} Error text.
+ */
+async function errorText(response) {
+  return (await response.text()) || `Request failed (${response.status}).`;
+}
+
+/**
+ * fetch() for the API. The session cookie goes along with every request; when
+ * it has expired the agent is sent to the login page.
+ * @param {String} url - API path.
+ * @param {Object} [options] - fetch options.
+ * @returns {Promise<Response>} Response.
+ */
+async function apiFetch(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401) {
+    window.location.href = '/login.html';
+  }
+  return response;
+}
+
+// ---- Session ----
+
+async function loadSession() {
+  const response = await apiFetch('/auth/me');
+  if (!response.ok) return;
+  const { name, role } = await response.json();
+  sessionDiv.innerHTML = `
+    Signed in as <strong>${escapeHtml(name)}</strong> (${escapeHtml(role)})
+    <button type="button" id="signOut">Sign out</button>`;
+}
+
+sessionDiv.addEventListener('click', async (e) => {
+  if (!e.target.closest('#signOut')) return;
+  await fetch('/auth/logout', { method: 'POST' });
+  window.location.href = '/login.html';
+});
+
+loadSession();
+
+// ---- Autocomplete ----
+
+function hideSuggestions() {
+  suggestions = [];
+  activeSuggestion = -1;
+  suggestionsList.hidden = true;
+  suggestionsList.innerHTML = '';
+}
+
+function renderSuggestions() {
+  if (suggestions.length === 0) {
+    hideSuggestions();
+    return;
+  }
+  suggestionsList.innerHTML = suggestions
+    .map(
+      (s, index) => `
+        <li data-index="${index}" class="${index === activeSuggestion ? 'active' : ''}">
+          ${escapeHtml(s.customerName)}
+          <span class="meta">${escapeHtml(s.city)}, ${escapeHtml(s.state)} · ${escapeHtml(s.acctId.slice(0, 8))}</span>
+        </li>`
+    )
+    .join('');
+  suggestionsList.hidden = false;
+}
+
+async function fetchSuggestions(term) {
+  try {
+    const response = await apiFetch(
+      `/customers/search?q=${encodeURIComponent(term)}&limit=${MAX_SUGGESTIONS}`
+    );
+    if (!response.ok) {
+      hideSuggestions();
+      return;
+    }
+    // Ignore answers for a term the agent has already typed past
+    if (searchInput.value.trim() !== term) return;
+    suggestions = await response.json();
+    activeSuggestion = -1;
+    renderSuggestions();
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    hideSuggestions();
+  }
+}
+
+function selectSuggestion(index) {
+  const candidate = suggestions[index];
+  if (!candidate) return;
+  searchInput.value = candidate.customerName;
+  hideSuggestions();
+  loadCustomer(candidate.acctId);
+}
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(autocompleteTimer);
+  const term = searchInput.value.trim();
+  if (!term) {
+    hideSuggestions();
+    return;
+  }
+  autocompleteTimer = setTimeout(() => fetchSuggestions(term), AUTOCOMPLETE_DELAY_MS);
+});
+
+searchInput.addEventListener('keydown', (e) => {
+  if (suggestionsList.hidden) return;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeSuggestion = (activeSuggestion + step + suggestions.length) % suggestions.length;
+    renderSuggestions();
+  } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+    e.preventDefault();
+    selectSuggestion(activeSuggestion);
+  } else if (e.key === 'Escape') {
+    hideSuggestions();
+  }
+});
+
+// mousedown fires before the input loses focus
+suggestionsList.addEventListener('mousedown', (e) => {
+  const item = e.target.closest('li');
+  if (item) {
     e.preventDefault();
-    console.log('Form submitted');
-    const customerName = document.getElementById('customerName').value.trim();
+    selectSuggestion(Number(item.dataset.index));
+  }
+});
+
+searchInput.addEventListener('blur', hideSuggestions);
+
+// ---- Loading customers ----
+
+searchForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearTimeout(autocompleteTimer);
+  hideSuggestions();
+  const customerName = searchInput.value.trim();
+
+  if (!customerName) {
+    showMessage('Please enter a customer name.', true);
+    return;
+  }
 
-    if (!customerName) {
-      displayRecommendations(['Error: Customer name cannot be empty.']);
+  try {
+    const response = await apiFetch(
+      `/recommendations?customerName=${encodeURIComponent(customerName)}`
+    );
+    if (response.status === 409) {
+      const { error, candidates } = await response.json();
+      dashboardDiv.hidden = true;
+      showMessage(`
+        <p>${escapeHtml(error)}</p>
+        <ul>${candidates
+          .map(
+            (c) => `<li><a href="#" data-acct-id="${escapeHtml(c.acctId)}">${escapeHtml(
+              c.customerName
+            )}</a> (${escapeHtml(c.city)}, ${escapeHtml(c.state)}) - ${escapeHtml(c.acctId)}</li>`
+          )
+          .join('')}</ul>`);
+      return;
+    }
+    if (!response.ok) {
+      dashboardDiv.hidden = true;
+      showMessage(`Error: ${escapeHtml(await errorText(response))}`, true);
       return;
     }
 
-    try {
-      const response = await fetch(
-        `/recommendations?customerName=${encodeURIComponent(customerName)}`
-      );
-      if (!response.ok) {
-        throw new Error(await response.text());
-      }
-      const recommendations = await response.json();
-      displayRecommendations(recommendations);
-    } catch (error) {
-      console.error('Error fetching recommendations:', error);
-      displayRecommendations([`Error: ${error.message}`]);
+    const data = await response.json();
+    await loadCustomer(data.customer.acctId, data);
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    showMessage('An unexpected error occurred.', true);
+  }
+});
+
+// Candidate links shown when a name matches several accounts
+messageDiv.addEventListener('click', (e) => {
+  const link = e.target.closest('[data-acct-id]');
+  if (link) {
+    e.preventDefault();
+    loadCustomer(link.dataset.acctId);
+  }
+});
+
+/**
+ * Load the profile and recommendations of a customer and render the dashboard.
+ * @param {String} acctId - Account id.
+ * @param {Object} [recommendationData] - Recommendations already fetched by name.
+ */
+async function loadCustomer(acctId, recommendationData) {
+  showMessage('Loading...');
+  try {
+    const id = encodeURIComponent(acctId);
+    const [profileResponse, recommendationResponse] = await Promise.all([
+      apiFetch(`/customers/${id}`),
+      recommendationData ? null : apiFetch(`/customers/${id}/recommendations`),
+    ]);
+    if (!profileResponse.ok) {
+      throw new Error(await errorText(profileResponse));
     }
-  });
+    if (recommendationResponse && !recommendationResponse.ok) {
+      throw new Error(await errorText(recommendationResponse));
+    }
+
+    const { customer, health } = await profileResponse.json();
+    const { recommendations, excluded } =
+      recommendationData || (await recommendationResponse.json());
+
+    showMessage('');
+    renderProfile(customer, health);
+    currentAcctId = customer.acctId;
+    currentRecommendations = recommendations;
+    compareIds = [];
+    renderComparison();
+    renderRecommendations(recommendations, excluded);
+    dashboardDiv.hidden = false;
+  } catch (error) {
+    console.error('Error loading customer:', error);
+    dashboardDiv.hidden = true;
+    showMessage(`Error: ${escapeHtml(error.message)}`, true);
+  }
+}
 
-function displayRecommendations(recommendations) {
-  const recommendationsList = document.getElementById('recommendations');
-  recommendationsList.innerHTML = '';
+// ---- Rendering ----
+
+const orDash = (value, suffix = '') =>
+  value === null || value === undefined ? '—' : `${value}${suffix}`;
+
+/**
+ * Render the customer profile panel.
+ * @param {Object} customer - Profile from GET /customers/:acctId.
+ * @param {Object} health - Network health check.
+ */
+function renderProfile(customer, health) {
+  const owned = customer.ownedProducts.length
+    ? customer.ownedProducts
+        .map((p) => `<span class="chip">${escapeHtml(p.productName)}</span>`)
+        .join('')
+    : '<span class="muted">None</span>';
+  const issues = health.issues.length
+    ? health.issues
+        .map((i) => `<p class="issue ${escapeHtml(i.severity)}">${escapeHtml(i.message)}</p>`)
+        .join('')
+    : '<p class="issue">No issues found.</p>';
+
+  profileDiv.innerHTML = `
+    <h2>${escapeHtml(customer.customerName || 'Unknown customer')}</h2>
+    <div class="muted">${escapeHtml(customer.city)}, ${escapeHtml(customer.state)}</div>
+    <div class="muted" title="${escapeHtml(customer.acctId)}">${escapeHtml(
+      customer.acctId.slice(0, 12)
+    )}…</div>
+
+    <h3>Plan</h3>
+    <dl>
+      <dt>Plan</dt><dd>${escapeHtml(orDash(customer.plan.name))}</dd>
+      <dt>Devices</dt><dd>${escapeHtml(customer.devices.total)}</dd>
+      <dt>Extenders</dt><dd>${escapeHtml(customer.devices.extenders)}</dd>
+      <dt>Coverage</dt><dd>${escapeHtml(customer.devices.coverageSize)}</dd>
+    </dl>
+
+    <h3>Signal</h3>
+    <dl>
+      <dt>Median</dt><dd>${escapeHtml(orDash(customer.signal.medianDbm, ' dBm'))}</dd>
+      <dt>Weakest</dt><dd>${escapeHtml(orDash(customer.signal.weakestDbm, ' dBm'))}</dd>
+      <dt>Strongest</dt><dd>${escapeHtml(orDash(customer.signal.strongestDbm, ' dBm'))}</dd>
+    </dl>
+
+    <h3>Usage</h3>
+    <dl>
+      <dt>Average</dt><dd>${escapeHtml(customer.usage.averageMbps)} Mbps</dd>
+      <dt>Busy hour</dt><dd>${escapeHtml(customer.usage.p95DownloadMbps)} ↓ / ${escapeHtml(
+        customer.usage.p95UploadMbps
+      )} ↑ Mbps</dd>
+      <dt>Peak</dt><dd>${escapeHtml(customer.usage.peakDownloadMbps)} ↓ / ${escapeHtml(
+        customer.usage.peakUploadMbps
+      )} ↑ Mbps</dd>
+    </dl>
+
+    <h3>Owned products</h3>
+    <div>${owned}</div>
+
+    <h3>Network health</h3>
+    <div class="health-score grade-${escapeHtml(health.grade)}">${escapeHtml(
+      orDash(health.score)
+    )}<span class="muted"> / 100 · ${escapeHtml(health.grade)}</span></div>
+    ${issues}
+  `;
+}
+
+/**
+ * Render recommendation cards and the excluded products.
+ * @param {Array} recommendations - Ranked recommendations.
+ * @param {Array} excluded - Products dropped as owned or covered.
+ */
+function renderRecommendations(recommendations, excluded) {
+  recommendationsDiv.innerHTML = '';
 
   if (recommendations.length === 0) {
-    recommendationsList.innerHTML = '<li>No recommendations found.</li>';
-    return;
+    recommendationsDiv.innerHTML = '<p>No recommendations available.</p>';
   }
 
-  recommendations.forEach((explanation) => {
-    const listItem = document.createElement('li');
-    listItem.textContent = explanation;
-    recommendationsList.appendChild(listItem);
+  recommendations.forEach((product) => {
+    const productDiv = document.createElement('div');
+    productDiv.className = 'product';
+    const upgrade = product.upgradeFrom
+      ? `<p class="upgrade">Upgrade from ${escapeHtml(product.upgradeFrom)}</p>`
+      : '';
+    const factors = (product.factors || []).length
+      ? `<ul class="factors">${product.factors
+          .map((f) => `<li>${escapeHtml(f.text)}</li>`)
+          .join('')}</ul>`
+      : '';
+    const healthTags = (product.healthIssues || [])
+      .map((code) => `<span class="chip">${escapeHtml(code)}</span>`)
+      .join('');
+    const rules = (product.rules || []).length
+      ? `<p class="muted">Rules: ${product.rules
+          .map((r) => `${escapeHtml(r.id)} (${escapeHtml(r.effect)})`)
+          .join(', ')}</p>`
+      : '';
+    const percent = (product.score * 100).toFixed(1);
+
+    productDiv.innerHTML = `
+      <div class="product-header">
+        <h3>${product.rank}. ${escapeHtml(product.productName)}</h3>
+        <span class="price">${escapeHtml(formatPrice(product))}</span>
+      </div>
+      <div class="muted">${escapeHtml(product.category)} ${healthTags}</div>
+      ${upgrade}
+      <div class="score-bar" title="Score ${percent}%"><div style="width: ${percent}%"></div></div>
+      <p><strong>Score:</strong> ${percent}%</p>
+      <p>${escapeHtml(product.explanation)}</p>
+      ${factors}
+      ${rules}
+      <div class="card-actions">
+        <label class="compare-toggle">
+          <input type="checkbox" data-product-id="${escapeHtml(product.productId)}"
+            ${compareIds.includes(product.productId) ? 'checked' : ''} /> Compare
+        </label>
+        <span class="feedback">
+          ${OUTCOMES.map(
+            ({ outcome, label }) =>
+              `<button type="button" data-outcome="${outcome}" data-rank="${product.rank}"
+                data-feedback-product="${escapeHtml(product.productId)}">${label}</button>`
+          ).join('')}
+          <span class="feedback-status"></span>
+        </span>
+      </div>
+    `;
+    recommendationsDiv.appendChild(productDiv);
+  });
+
+  if (excluded.length > 0) {
+    const heading = document.createElement('h2');
+    heading.textContent = 'Already owned, covered, not eligible or opted out';
+    recommendationsDiv.appendChild(heading);
+  }
+
+  excluded.forEach((product) => {
+    const productDiv = document.createElement('div');
+    productDiv.className = 'product excluded';
+    productDiv.innerHTML = `
+      <h3>${escapeHtml(product.productName)}</h3>
+      <p>${escapeHtml(product.detail)}</p>
+    `;
+    recommendationsDiv.appendChild(productDiv);
   });
-}
\ No newline at end of file
+}
+
+recommendationsDiv.addEventListener('change', (e) => {
+  const productId = e.target.dataset.productId;
+  if (!productId) return;
+
+  if (e.target.checked) {
+    compareIds.push(productId);
+    // Keep the most recent picks
+    if (compareIds.length > MAX_COMPARE) {
+      const dropped = compareIds.shift();
+      const box = recommendationsDiv.querySelector(`[data-product-id="${CSS.escape(dropped)}"]`);
+      if (box) box.checked = false;
+    }
+  } else {
+    compareIds = compareIds.filter((id) => id !== productId);
+  }
+  renderComparison();
+});
+
+// Record what happened when the agent pitched (or skipped) a product
+recommendationsDiv.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-outcome]');
+  if (!button) return;
+
+  const status = button.parentElement.querySelector('.feedback-status');
+  const buttons = button.parentElement.querySelectorAll('button');
+  buttons.forEach((b) => (b.disabled = true));
+  try {
+    const response = await apiFetch('/feedback', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        acctId: currentAcctId,
+        productId: button.dataset.feedbackProduct,
+        outcome: button.dataset.outcome,
+        rank: Number(button.dataset.rank),
+      }),
+    });
+    if (!response.ok) {
+      const body = await response.text();
+      let message = body;
+      try {
+        const { error, errors } = JSON.parse(body);
+        message = [error, ...(errors || [])].join(' ');
+      } catch (parseError) {
+        // Plain-text error
+      }
+      throw new Error(message);
+    }
+    buttons.forEach((b) => b.classList.toggle('selected', b === button));
+    status.textContent = 'Recorded';
+    status.className = 'feedback-status';
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    status.textContent = `Not recorded: ${error.message}`;
+    status.className = 'feedback-status error';
+  } finally {
+    buttons.forEach((b) => (b.disabled = false));
+  }
+});
+
+/**
+ * Render the side-by-side comparison of the selected products.
+ */
+function renderComparison() {
+  const selected = compareIds
+    .map((id) => currentRecommendations.find((p) => p.productId === id))
+    .filter(Boolean);
+
+  if (selected.length < MAX_COMPARE) {
+    comparisonDiv.hidden = selected.length === 0;
+    comparisonDiv.innerHTML = selected.length
+      ? '<p class="muted">Select one more product to compare.</p>'
+      : '';
+    return;
+  }
+
+  const rows = [
+    ['Rank', (p) => p.rank],
+    ['Score', (p) => `${(p.score * 100).toFixed(1)}%`],
+    ['Price', (p) => formatPrice(p)],
+    ['Category', (p) => p.category],
+    ['Upgrade from', (p) => p.upgradeFrom || '—'],
+    ['Top factors', (p) => (p.factors || []).map((f) => f.text).join('; ') || '—'],
+    ['Network issues', (p) => (p.healthIssues || []).join(', ') || '—'],
+  ];
+
+  comparisonDiv.innerHTML = `
+    <h2>Comparison</h2>
+    <table>
+      <tr><th></th>${selected.map((p) => `<th>${escapeHtml(p.productName)}</th>`).join('')}</tr>
+      ${rows
+        .map(
+          ([label, value]) =>
+            `<tr><th>${label}</th>${selected
+              .map((p) => `<td>${escapeHtml(value(p))}</td>`)
+              .join('')}</tr>`
+        )
+        .join('')}
+    </table>
+  `;
+  comparisonDiv.hidden = false;
+}
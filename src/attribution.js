@@ -0,0 +1,196 @@
+// src/attribution.js
+
+const tf = require('@tensorflow/tfjs-node');
+const { featureGroups } = require('./featurePipeline');
+
+// Contributions (in log-odds) below this are noise and never become a driving factor
+const MIN_CONTRIBUTION = 0.01;
+
+/**
+ * Log-odds of a sigmoid score. Differences in log-odds stay meaningful when
+ * scores saturate near 0 or 1, where probability differences vanish.
+ * @param {Number} score - Score in [0, 1].
+ * @returns {Number} Log-odds.
+ */
+function logit(score) {
+  const p = Math.min(Math.max(score, 1e-7), 1 - 1e-7);
+  return Math.log(p / (1 - p));
+}
+
+const toMbps = (bps) => ((bps || 0) / 1e6).toFixed(1);
+const toDbm = (value) => Math.round(value || 0);
+
+// Readable phrases for each feature, built from the customer's own values
+const FACTOR_PHRASES = {
+  total_devices: (c) => `your ${c.total_devices} devices`,
+  avg_bandwidth_usage: (c) => `your average usage of ${toMbps(c.avg_bandwidth_usage)} Mbps`,
+  network_speed: (c) => `your ${c.network_speed} Mbps plan`,
+  tx_avg_bps: (c) => `your average upload of ${toMbps(c.tx_avg_bps)} Mbps`,
+  rx_p95_bps: (c) => `your busy-hour download of ${toMbps(c.rx_p95_bps)} Mbps`,
+  tx_p95_bps: (c) => `your busy-hour upload of ${toMbps(c.tx_p95_bps)} Mbps`,
+  rx_max_bps: (c) => `your peak download of ${toMbps(c.rx_max_bps)} Mbps`,
+  tx_max_bps: (c) => `your peak upload of ${toMbps(c.tx_max_bps)} Mbps`,
+  rssi_mean: (c) => `your average signal of ${toDbm(c.rssi_mean)} dBm`,
+  rssi_median: (c) => `your median signal of ${toDbm(c.rssi_median)} dBm`,
+  rssi_max: (c) => `your strongest signal of ${toDbm(c.rssi_max)} dBm`,
+  rssi_min: (c) => `your weakest signal of ${toDbm(c.rssi_min)} dBm`,
+  city_frequency: (c) => `what customers in ${c.city || 'your city'} choose`,
+  coverage_size: (c) => `your ${String(c.coverage_size).toLowerCase()} coverage area`,
+  state: (c) => `your location in ${c.state}`,
+  region: (c) => `your location in the ${c.region}`,
+};
+
+/**
+ * Value of a feature as shown to people: the customer's raw value, not the
+ * normalized model input.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {String} feature - Feature name.
+ * @returns {*} Raw value.
+ */
+function featureValue(customer, feature) {
+  return feature === 'city_frequency' ? customer.city : customer[feature];
+}
+
+/**
+ * Baseline input that occluded features are replaced with. Models trained
+ * before baselines were saved fall back to the middle of each continuous range
+ * and an even split across each one-hot block.
+ * @param {Object} schema - Feature schema.
+ * @param {Object} normalizationData - { inputMax, inputMin, baseline }
+ * @returns {Array} Baseline value per model input.
+ */
+function resolveBaseline(schema, normalizationData) {
+  if (normalizationData.baseline && normalizationData.baseline.length === schema.inputSize) {
+    return normalizationData.baseline;
+  }
+  const baseline = Array(schema.inputSize).fill(0.5);
+  featureGroups(schema).forEach(({ indices }) => {
+    if (indices.length > 1) {
+      indices.forEach((i) => (baseline[i] = 1 / indices.length));
+    }
+  });
+  return baseline;
+}
+
+/**
+ * Occlusion attributions: for each feature, replace its model inputs with the
+ * baseline and measure how much every product score drops, in log-odds. A
+ * positive contribution means the feature pushed the score up.
+ * @param {Object} model - Loaded tf.LayersModel.
+ * @param {Object} schema - Feature schema.
+ * @param {Object} normalizationData - { inputMax, inputMin, baseline }
+ * @param {Array} normalizedRows - Model inputs, one row per customer.
+ * @param {Array} scores - Model outputs for normalizedRows.
+ * @param {Object} [options] - { batchSize } rows per model.predict call.
+ * @returns {Array} Per customer, per product (catalog order), an array of
+ * { feature, contribution }.
+ */
+function computeAttributions(
+  model,
+  schema,
+  normalizationData,
+  normalizedRows,
+  scores,
+  { batchSize = 512 } = {}
+) {
+  const groups = featureGroups(schema);
+  const baseline = resolveBaseline(schema, normalizationData);
+
+  // One occluded copy of each row per feature group
+  const variants = [];
+  normalizedRows.forEach((row) => {
+    groups.forEach(({ indices }) => {
+      const occluded = row.slice();
+      indices.forEach((i) => (occluded[i] = baseline[i]));
+      variants.push(occluded);
+    });
+  });
+
+  const occludedScores = [];
+  for (let start = 0; start < variants.length; start += batchSize) {
+    const input = tf.tensor2d(variants.slice(start, start + batchSize));
+    const output = model.predict(input);
+    occludedScores.push(...output.arraySync());
+    tf.dispose([input, output]);
+  }
+
+  return scores.map((productScores, row) =>
+    productScores.map((score, product) =>
+      groups.map(({ feature }, g) => ({
+        feature,
+        contribution: logit(score) - logit(occludedScores[row * groups.length + g][product]),
+      }))
+    )
+  );
+}
+
+/**
+ * Attach raw values to attributions and sort them by contribution.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Array} attributions - { feature, contribution } for one product.
+ * @returns {Array} { feature, value, contribution }, largest contribution first.
+ */
+function describeAttributions(customer, attributions) {
+  return attributions
+    .map(({ feature, contribution }) => ({
+      feature,
+      value: featureValue(customer, feature),
+      contribution: Math.round(contribution * 1e4) / 1e4,
+    }))
+    .sort((a, b) => b.contribution - a.contribution);
+}
+
+/**
+ * The features that pushed a product's score up the most.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Array} attributions - Output of describeAttributions.
+ * @param {Number} [count] - Number of factors (default 3).
+ * @returns {Array} { feature, value, contribution, text }
+ */
+function topFactors(customer, attributions, count = 3) {
+  return attributions
+    .filter(({ contribution }) => contribution >= MIN_CONTRIBUTION)
+    .slice(0, count)
+    .map((attribution) => {
+      const phrase = FACTOR_PHRASES[attribution.feature];
+      return {
+        ...attribution,
+        text: phrase
+          ? phrase(customer)
+          : `your ${attribution.feature} of ${attribution.value}`,
+      };
+    });
+}
+
+/**
+ * Turn the driving factors of a product into a sentence.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Object} product - Recommended product ({ productName, upgradeFrom }).
+ * @param {Array} factors - Output of topFactors.
+ * @param {Object} [options] - { useName } false to leave the customer's name
+ * out, e.g. for a caller whose role may not see names (default true).
+ * @returns {String} Explanation.
+ */
+function explainRecommendation(customer, product, factors, { useName = true } = {}) {
+  const opening = useName ? `Hi ${customer.customerName || 'Valued Customer'}, we` : 'We';
+  const action = product.upgradeFrom
+    ? `upgrading from ${product.upgradeFrom} to ${product.productName}`
+    : product.productName;
+
+  if (factors.length === 0) {
+    return `${opening} recommend ${action} based on your overall profile.`;
+  }
+  const texts = factors.map((factor) => factor.text);
+  const reasons =
+    texts.length === 1
+      ? texts[0]
+      : `${texts.slice(0, -1).join(', ')} and ${texts[texts.length - 1]}`;
+  return `${opening} recommend ${action} mainly because of ${reasons}.`;
+}
+
+module.exports = {
+  computeAttributions,
+  describeAttributions,
+  topFactors,
+  explainRecommendation,
+};
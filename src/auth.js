@@ -0,0 +1,189 @@
+// src/auth.js
+
+const crypto = require('crypto');
+const {
+  writeApiKey,
+  findApiKey,
+  writeSession,
+  findSession,
+  deleteSession,
+  writeAudit,
+} = require('./storage');
+
+// Roles from least to most access. Each role can do everything the roles
+// before it can: agents read recommendations, analysts also run batches and
+// analytics, admins also upload data and promote models.
+const ROLES = ['agent', 'analyst', 'admin'];
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+// Characters of a key kept in clear so `keys list` can tell keys apart
+const KEY_PREFIX_LENGTH = 10;
+
+/**
+ * Hash a key or session token for storage. Both are random 192-bit secrets,
+ * so a fast hash is enough; only the hash is ever stored.
+ * @param {String} secret - Key or token.
+ * @returns {String} Hex SHA-256.
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Create an API key. The key itself is returned once and cannot be recovered.
+ * @param {Object} options - { name, role }
+ * @returns {Object} Key record with the `key`.
+ * @throws {Error} If the name is empty or the role unknown.
+ */
+function createApiKey({ name, role }) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    throw new Error('A key needs a name of at most 100 characters.');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}.`);
+  }
+
+  const key = `rk_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = writeApiKey({
+    name: name.trim(),
+    role,
+    keyHash: hashSecret(key),
+    prefix: key.slice(0, KEY_PREFIX_LENGTH),
+  });
+  return { ...record, key };
+}
+
+/**
+ * Start a session for a valid API key.
+ * @param {String} key - API key.
+ * @returns {Object|null} { token, expiresAt, user } or null if the key is invalid.
+ */
+function createSession(key) {
+  const user = typeof key === 'string' ? findApiKey(hashSecret(key.trim())) : null;
+  if (!user) return null;
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  writeSession({ tokenHash: hashSecret(token), keyId: user.id, expiresAt: expiresAt.toISOString() });
+  return { token, expiresAt, user };
+}
+
+/**
+ * End a session.
+ * @param {String} token - Session token from the cookie.
+ */
+function endSession(token) {
+  deleteSession(hashSecret(token));
+}
+
+/**
+ * Read a cookie from a request.
+ * @param {Object} req - Express request.
+ * @param {String} name - Cookie name.
+ * @returns {String|undefined} Cookie value.
+ */
+function readCookie(req, name) {
+  const cookie = (req.get('Cookie') || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([cookieName]) => cookieName === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : undefined;
+}
+
+/**
+ * Middleware: identify the caller by an API key (`Authorization: Bearer <key>`
+ * or `X-API-Key`) or a session cookie, and set req.user to { id, name, role }.
+ * Responds with 401 if neither is valid.
+ */
+function authenticate(req, res, next) {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const key = bearer ? bearer[1] : req.get('X-API-Key');
+  const token = readCookie(req, SESSION_COOKIE);
+
+  let user = null;
+  if (key) {
+    user = findApiKey(hashSecret(key));
+  } else if (token) {
+    user = findSession(hashSecret(token));
+  }
+  if (!user) {
+    return res.status(401).send('Authentication required.');
+  }
+
+  req.user = { id: user.id, name: user.name, role: user.role };
+  next();
+}
+
+/**
+ * Middleware factory: let through callers with at least the given role.
+ * Must run after authenticate.
+ * @param {String} role - One of ROLES.
+ * @returns {Function} Express middleware that responds with 403 otherwise.
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown role "${role}".`);
+  }
+  return (req, res, next) => {
+    if (!req.user || ROLES.indexOf(req.user.role) < required) {
+      return res.status(403).send('Forbidden.');
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: once the response is sent, record in the audit log which
+ * customers the caller viewed (see markViewed). Failed requests are not
+ * recorded, since nothing was shown.
+ */
+function auditViews(req, res, next) {
+  req.viewedAcctIds = [];
+  res.on('finish', () => {
+    if (!req.user || req.viewedAcctIds.length === 0 || res.statusCode >= 400) return;
+    try {
+      writeAudit(
+        [...new Set(req.viewedAcctIds)].map((acctId) => ({
+          keyId: req.user.id,
+          user: req.user.name,
+          role: req.user.role,
+          method: req.method,
+          route: req.route ? req.baseUrl + req.route.path : req.path,
+          acctId,
+          status: res.statusCode,
+        }))
+      );
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  });
+  next();
+}
+
+/**
+ * Note that a request shows customers, for auditViews.
+ * @param {Object} req - Express request.
+ * @param {String|Array} acctIds - Account or accounts shown.
+ */
+function markViewed(req, acctIds) {
+  if (req.viewedAcctIds) {
+    req.viewedAcctIds = req.viewedAcctIds.concat(acctIds);
+  }
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  createApiKey,
+  createSession,
+  endSession,
+  readCookie,
+  authenticate,
+  requireRole,
+  auditViews,
+  markViewed,
+};
@@ -0,0 +1,161 @@
+// src/batchScoring.js
+
+const fs = require('fs');
+const { getRecommendationsBatch } = require('./modelPrediction');
+
+const FORMATS = ['csv', 'jsonl'];
+const CSV_HEADER = 'acct_id,rank,product_id,product_name,score,explanation';
+
+/**
+ * Quote a value for CSV output.
+ * @param {*} value - Cell value.
+ * @returns {String} CSV-safe cell.
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format batch results as CSV rows (one row per customer and product) or JSONL
+ * lines (one line per customer).
+ * @param {Array} results - Results from getRecommendationsBatch.
+ * @param {String} format - 'csv' or 'jsonl'.
+ * @param {Number} topN - Number of products to keep per customer.
+ * @returns {String} Formatted text, newline-terminated, without a CSV header.
+ */
+function formatResults(results, format, topN) {
+  if (format === 'jsonl') {
+    return results
+      .map(({ customer, recommendations }) =>
+        JSON.stringify({
+          acct_id: customer.acct_id,
+          recommendations: recommendations.slice(0, topN).map((product) => ({
+            rank: product.rank,
+            productId: product.productId,
+            productName: product.productName,
+            score: product.score,
+            explanation: product.explanation,
+            factors: product.factors,
+          })),
+        })
+      )
+      .map((line) => `${line}\n`)
+      .join('');
+  }
+
+  return results
+    .flatMap(({ customer, recommendations }) =>
+      recommendations.slice(0, topN).map((product) =>
+        [
+          customer.acct_id,
+          product.rank,
+          product.productId,
+          product.productName,
+          product.score.toFixed(6),
+          product.explanation,
+        ]
+          .map(csvCell)
+          .join(',')
+      )
+    )
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+/**
+ * Read the acct_ids already written to an output file and drop any partial
+ * line left behind by a crash.
+ * @param {String} outputPath - Output file.
+ * @param {String} format - 'csv' or 'jsonl'.
+ * @returns {Set} acct_ids that are complete in the file.
+ */
+function recoverCompleted(outputPath, format) {
+  const completed = new Set();
+  if (!fs.existsSync(outputPath)) {
+    return completed;
+  }
+
+  const content = fs.readFileSync(outputPath, 'utf8');
+  // Only lines terminated by a newline were fully written
+  const lines = content.slice(0, content.lastIndexOf('\n') + 1).split('\n');
+  lines.pop();
+
+  let kept = [];
+  lines.forEach((line) => {
+    if (format === 'jsonl') {
+      try {
+        completed.add(JSON.parse(line).acct_id);
+        kept.push(line);
+      } catch (error) {
+        // Skip lines that were cut off mid-write
+      }
+    } else {
+      kept.push(line);
+      if (line !== CSV_HEADER) completed.add(line.split(',')[0]);
+    }
+  });
+
+  // A CSV customer spans several rows, so the last one may be incomplete: rescore it
+  if (format === 'csv' && kept.length > 1) {
+    const lastAcctId = kept[kept.length - 1].split(',')[0];
+    kept = kept.filter((line) => line.split(',')[0] !== lastAcctId);
+    completed.delete(lastAcctId);
+  }
+
+  fs.writeFileSync(outputPath, kept.map((line) => `${line}\n`).join(''));
+  return completed;
+}
+
+/**
+ * Score every customer and write the top-N products to a CSV or JSONL file.
+ * Results are appended one batch at a time, so a crashed run can resume from
+ * where it stopped.
+ * @param {Object} options
+ * @param {Array} options.customers - Customers from loadCustomerData.
+ * @param {Array} options.products - Array of product objects.
+ * @param {String} options.outputPath - File to write.
+ * @param {String} [options.format] - 'csv' or 'jsonl' (default 'jsonl').
+ * @param {Number} [options.topN] - Products per customer (default 3).
+ * @param {Number} [options.batchSize] - Customers per batch (default 256).
+ * @param {Boolean} [options.resume] - Skip customers already in the file (default true).
+ * @param {Function} [options.onProgress] - Called with { done, total, skipped } after each batch.
+ * @returns {Promise<Object>} { scored, skipped, total }
+ */
+async function scoreAll({
+  customers,
+  products,
+  outputPath,
+  format = 'jsonl',
+  topN = 3,
+  batchSize = 256,
+  resume = true,
+  onProgress = () => {},
+}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(' or ')}).`);
+  }
+
+  const completed = resume ? recoverCompleted(outputPath, format) : new Set();
+  if (!resume || !fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+    fs.writeFileSync(outputPath, format === 'csv' ? `${CSV_HEADER}\n` : '');
+  }
+
+  // A customer with no acct_id cannot be resumed, so it is always rescored
+  const pending = customers.filter((c) => !c.acct_id || !completed.has(c.acct_id));
+  const skipped = customers.length - pending.length;
+
+  let done = 0;
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize);
+    const results = await getRecommendationsBatch(batch, products, { batchSize });
+    fs.appendFileSync(outputPath, formatResults(results, format, topN));
+
+    done += batch.length;
+    onProgress({ done: done + skipped, total: customers.length, skipped });
+  }
+
+  return { scored: done, skipped, total: customers.length };
+}
+
+module.exports = { scoreAll, formatResults, csvCell, FORMATS, CSV_HEADER };
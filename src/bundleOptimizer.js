@@ -0,0 +1,139 @@
+// src/bundleOptimizer.js
+
+const { applyOwnership, findOwnedProducts } = require('./ownership');
+const { applyConsent } = require('./privacy');
+
+// Lowest model score at which an add-on is worth putting in a bundle. Every
+// subset of the add-ons is tried, so this also keeps the search small.
+const MIN_ADD_ON_SCORE = 0.2;
+
+/**
+ * Build every subset of a list of items.
+ * @param {Array} items - Items to combine.
+ * @returns {Array} Array of subsets (including the empty set).
+ */
+function subsets(items) {
+  return items.reduce(
+    (all, item) => all.concat(all.map((subset) => [...subset, item])),
+    [[]]
+  );
+}
+
+/**
+ * Check the catalog requires/excludes rules for a set of items.
+ * @param {Array} items - Bundle items, each with its catalog product attached.
+ * @returns {Boolean} True if every requirement is present and nothing is excluded.
+ */
+function satisfiesCatalogRules(items) {
+  const ids = items.map((item) => item.productId);
+  return items.every(
+    ({ product }) =>
+      product.requires.every((id) => ids.includes(id)) &&
+      !product.excludes.some((id) => ids.includes(id))
+  );
+}
+
+/**
+ * Summarize a candidate bundle with its costs and combined score.
+ * Per-unit products are counted once.
+ * @param {Array} items - Bundle items.
+ * @returns {Object} Bundle with monthly and one-time totals kept separate.
+ */
+function summarizeBundle(items) {
+  const monthlyTotal = items
+    .filter((item) => item.billing !== 'one-time')
+    .reduce((sum, item) => sum + item.price, 0);
+  const oneTimeTotal = items
+    .filter((item) => item.billing === 'one-time')
+    .reduce((sum, item) => sum + item.price, 0);
+  const score = items.reduce((sum, item) => sum + item.score, 0);
+
+  return {
+    items: items.map((item) => ({
+      productId: item.productId,
+      productName: item.productName,
+      score: item.score,
+      price: item.price,
+      billing: item.billing,
+      owned: item.owned || false,
+      upgradeFrom: item.upgradeFrom || null,
+    })),
+    monthlyTotal: Math.round(monthlyTotal * 100) / 100,
+    oneTimeTotal: Math.round(oneTimeTotal * 100) / 100,
+    score: score,
+  };
+}
+
+/**
+ * Build the best valid product bundles under a monthly budget. Every bundle has
+ * exactly one speed tier and follows the catalog's requires/excludes rules.
+ * Categories the customer opted out of are never added, but an owned tier
+ * they opted out of upgrading still counts as their tier.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Array} rankedProducts - Products scored by the model.
+ * @param {Array} products - Catalog products.
+ * @param {Object} options - { budget, count, minScore } where add-ons scoring
+ * below minScore (default MIN_ADD_ON_SCORE) are left out of every bundle.
+ * @returns {Array} Up to `count` bundles ordered by combined model score.
+ */
+function buildBundles(
+  customer,
+  rankedProducts,
+  products,
+  { budget, count = 3, minScore = MIN_ADD_ON_SCORE }
+) {
+  const { allowed: recommendations } = applyConsent(
+    customer,
+    applyOwnership(customer, rankedProducts, products).recommendations
+  );
+  const owned = findOwnedProducts(customer, products);
+  const withProduct = (item) => ({
+    ...item,
+    product: products.find((p) => p.id === item.productId),
+  });
+
+  // The current tier stays a valid choice since every bundle needs exactly one tier
+  const ownedTiers = rankedProducts
+    .filter((r) => owned.some((o) => o.id === r.productId && o.category === 'speed-tier'))
+    .map((r) => ({ ...withProduct(r), owned: true }));
+  const tierOptions = ownedTiers.concat(
+    recommendations.filter((r) => r.category === 'speed-tier').map(withProduct)
+  );
+
+  // An owned product still blocks what it excludes, unless the candidate upgrades it
+  const addOns = recommendations
+    .filter((r) => r.category !== 'speed-tier' && r.score >= minScore)
+    .map(withProduct)
+    .filter(
+      ({ product }) =>
+        !owned.some(
+          (o) => product.excludes.includes(o.id) && !product.supersedes.includes(o.id)
+        )
+    );
+  const addOnSets = subsets(addOns);
+
+  const bundles = [];
+  tierOptions.forEach((tier) => {
+    addOnSets.forEach((addOnSet) => {
+      const items = [tier, ...addOnSet];
+
+      // A bundle has to add something the customer doesn't already have
+      if (items.every((item) => item.owned)) return;
+      if (!satisfiesCatalogRules(items)) return;
+
+      const bundle = summarizeBundle(items);
+      if (bundle.monthlyTotal > budget) return;
+      bundles.push(bundle);
+    });
+  });
+
+  // Highest combined score first, cheaper bundle wins ties
+  bundles.sort((a, b) => b.score - a.score || a.monthlyTotal - b.monthlyTotal);
+
+  return bundles.slice(0, count).map((bundle, index) => ({
+    rank: index + 1,
+    ...bundle,
+  }));
+}
+
+module.exports = { MIN_ADD_ON_SCORE, buildBundles };
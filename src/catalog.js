@@ -0,0 +1,372 @@
+// src/catalog.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CATEGORIES = ['speed-tier', 'wifi', 'security', 'support', 'entertainment'];
+const BILLING_PERIODS = ['monthly', 'one-time', 'per-unit'];
+const RELATIONS = ['requires', 'excludes', 'supersedes'];
+
+/**
+ * Thrown when a catalog file is malformed. `errors` lists every problem found.
+ */
+class CatalogValidationError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid product catalog ${source}:\n` +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'CatalogValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Turn a product name into a stable id ('Wi-Fi Security Plus' to 'wi-fi-security-plus').
+ * @param {String} name - Product name.
+ * @returns {String} Product id.
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse a price column such as '$45/mo', '$130.00 one-time' or '$5/mo per extender'.
+ * @param {String} priceText - Raw price text.
+ * @returns {Object} { price, billing, unit }
+ */
+function parsePrice(priceText) {
+  const priceMatch = priceText.match(/\$([\d\.]+)/);
+  const price = priceMatch ? parseFloat(priceMatch[1]) : NaN;
+
+  if (/one-time/i.test(priceText)) {
+    return { price, billing: 'one-time', unit: null };
+  }
+
+  const perUnitMatch = priceText.match(/per\s+([a-z-]+)/i);
+  if (perUnitMatch) {
+    return { price, billing: 'per-unit', unit: perUnitMatch[1].toLowerCase() };
+  }
+
+  return { price, billing: 'monthly', unit: null };
+}
+
+/**
+ * Read the speed of a fiber tier from its name ('Fiber 500' or 'Fiber 2 Gig').
+ * @param {String} name - Product name.
+ * @returns {Number|undefined} Speed in Mbps.
+ */
+function parseSpeedMbps(name) {
+  const match = name.match(/([\d\.]+)\s*(gig)?/i);
+  if (!match) return undefined;
+  const value = parseFloat(match[1]);
+  return match[2] ? value * 1000 : value;
+}
+
+/**
+ * Guess a category from the product name for Markdown tables without a Category column.
+ * @param {String} name - Product name.
+ * @returns {String} Category.
+ */
+function inferCategory(name) {
+  const lower = name.toLowerCase();
+  if (lower.startsWith('fiber')) return 'speed-tier';
+  if (lower.includes('security') || lower.includes('shield') || lower.includes('identity')) {
+    return 'security';
+  }
+  if (lower.includes('tech pro')) return 'support';
+  if (lower.includes('tv')) return 'entertainment';
+  return 'wifi';
+}
+
+/**
+ * Split a comma-separated list of product ids from a Markdown cell.
+ * @param {String} text - Cell contents.
+ * @returns {Array} Array of ids.
+ */
+function splitIds(text) {
+  if (!text) return [];
+  return text
+    .split(',')
+    .map((id) => id.trim())
+    .filter((id) => id !== '' && id !== '-');
+}
+
+/**
+ * Parse the product table in a Markdown catalog. The Product Name, Features and
+ * Price columns are required; Id, Category, Ownership Column, Requires, Excludes
+ * and Supersedes columns are read when present.
+ * @param {String} fileContent - Markdown file contents.
+ * @returns {Array} Array of raw product objects.
+ */
+function parseMarkdownCatalog(fileContent) {
+  const lines = fileContent.split('\n').map((line) => line.trim());
+  const splitRow = (line) => {
+    const columns = line.split('|').map((col) => col.trim());
+    // Remove the empty first and last elements due to leading and trailing '|'
+    columns.shift();
+    columns.pop();
+    return columns;
+  };
+
+  const headerIndex = lines.findIndex(
+    (line) => line.startsWith('|') && line.includes('Product Name')
+  );
+  if (headerIndex < 0) return [];
+
+  const header = splitRow(lines[headerIndex]).map((col) => col.toLowerCase());
+  const column = (row, name) => {
+    const index = header.indexOf(name);
+    return index >= 0 ? row[index] : undefined;
+  };
+
+  const products = [];
+  // Skip the header line and the separator line
+  for (let i = headerIndex + 2; i < lines.length && lines[i].startsWith('|'); i++) {
+    const row = splitRow(lines[i]);
+    const name = column(row, 'product name');
+    const priceText = column(row, 'price') || '';
+    const { price, billing, unit } = parsePrice(priceText);
+    const category = column(row, 'category') || inferCategory(name);
+
+    products.push({
+      id: column(row, 'id') || slugify(name),
+      name: name,
+      category: category,
+      speedMbps: category === 'speed-tier' ? parseSpeedMbps(name) : undefined,
+      // Split features by periods or bullets
+      features: (column(row, 'features') || '')
+        .split(/[\.\•]/)
+        .map((feature) => feature.trim())
+        .filter((feature) => feature !== ''),
+      price: price,
+      billing: billing,
+      unit: unit,
+      ownershipColumn: column(row, 'ownership column') || undefined,
+      requires: splitIds(column(row, 'requires')),
+      excludes: splitIds(column(row, 'excludes')),
+      supersedes: splitIds(column(row, 'supersedes')),
+    });
+  }
+
+  return products;
+}
+
+/**
+ * Fill in defaults for a product read from JSON or YAML.
+ * @param {Object} product - Raw product entry.
+ * @returns {Object} Product with every catalog field present.
+ */
+function normalizeProduct(product) {
+  return {
+    ...product,
+    id: product.id || (product.name ? slugify(product.name) : undefined),
+    features: product.features || [],
+    unit: product.unit || null,
+    requires: product.requires || [],
+    excludes: product.excludes || [],
+    supersedes: product.supersedes || [],
+  };
+}
+
+/**
+ * Validate a catalog and collect every problem instead of stopping at the first.
+ * @param {Array} products - Array of product objects.
+ * @returns {Array} Array of error messages (empty if the catalog is valid).
+ */
+function validateCatalog(products) {
+  const errors = [];
+  if (!Array.isArray(products) || products.length === 0) {
+    return ['Catalog contains no products.'];
+  }
+
+  const ids = new Set();
+  products.forEach((product, index) => {
+    const label = product.id ? `Product "${product.id}"` : `Product #${index + 1}`;
+
+    if (!product.id || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(product.id)) {
+      errors.push(`${label} needs an id made of lowercase letters, digits and dashes.`);
+    } else if (ids.has(product.id)) {
+      errors.push(`${label} is defined more than once.`);
+    }
+    ids.add(product.id);
+
+    if (!product.name) {
+      errors.push(`${label} is missing a name.`);
+    }
+    if (!CATEGORIES.includes(product.category)) {
+      errors.push(
+        `${label} has unknown category "${product.category}" (expected one of ${CATEGORIES.join(', ')}).`
+      );
+    }
+    if (!BILLING_PERIODS.includes(product.billing)) {
+      errors.push(
+        `${label} has unknown billing period "${product.billing}" (expected one of ${BILLING_PERIODS.join(', ')}).`
+      );
+    }
+    if (product.billing === 'per-unit' && !product.unit) {
+      errors.push(`${label} is billed per unit but does not name the unit.`);
+    }
+    if (typeof product.price !== 'number' || !(product.price >= 0)) {
+      errors.push(`${label} has an invalid price.`);
+    }
+    if (product.category === 'speed-tier' && !(product.speedMbps > 0)) {
+      errors.push(`${label} is a speed tier but has no speedMbps.`);
+    }
+  });
+
+  products.forEach((product) => {
+    RELATIONS.forEach((relation) => {
+      if (!Array.isArray(product[relation])) {
+        errors.push(`Product "${product.id}" ${relation} must be a list of product ids.`);
+        return;
+      }
+      product[relation].forEach((target) => {
+        if (target === product.id) {
+          errors.push(`Product "${product.id}" ${relation} itself.`);
+        } else if (!ids.has(target)) {
+          errors.push(`Product "${product.id}" ${relation} unknown product "${target}".`);
+        }
+      });
+    });
+
+    if (!Array.isArray(product.requires) || !Array.isArray(product.excludes)) {
+      return;
+    }
+
+    product.requires.forEach((target) => {
+      if (product.excludes.includes(target)) {
+        errors.push(`Product "${product.id}" both requires and excludes "${target}".`);
+      }
+    });
+
+    // Exclusions must be declared on both sides so either product can be checked alone
+    product.excludes.forEach((target) => {
+      const other = products.find((p) => p.id === target);
+      if (other && Array.isArray(other.excludes) && !other.excludes.includes(product.id)) {
+        errors.push(
+          `Product "${product.id}" excludes "${target}" but "${target}" does not exclude "${product.id}".`
+        );
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Compare a replacement catalog with the one being served and list every
+ * ownership column or relation it drops. Ownership filtering and bundle
+ * exclusivity rely on these, so losing them is an error, not a default.
+ * @param {Array} current - Catalog being served.
+ * @param {Array} products - Replacement catalog.
+ * @returns {Array} Array of error messages (empty if nothing is dropped).
+ */
+function findDroppedFields(current, products) {
+  const errors = [];
+  current.forEach((previous) => {
+    const product = products.find((p) => p.id === previous.id);
+    if (!product) return;
+
+    if (previous.ownershipColumn && !product.ownershipColumn) {
+      errors.push(
+        `Product "${product.id}" drops its ownership column "${previous.ownershipColumn}".`
+      );
+    }
+    RELATIONS.forEach((relation) => {
+      const dropped = previous[relation].filter(
+        (target) =>
+          products.some((p) => p.id === target) && !product[relation].includes(target)
+      );
+      if (dropped.length > 0) {
+        errors.push(`Product "${product.id}" no longer ${relation} ${dropped.join(', ')}.`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Resolve the catalog file to load: CATALOG_PATH if set, otherwise the JSON
+ * catalog in the data directory, falling back to the Markdown table.
+ * @returns {String} Absolute path to the catalog file.
+ */
+function resolveCatalogPath() {
+  if (process.env.CATALOG_PATH) {
+    return path.resolve(process.env.CATALOG_PATH);
+  }
+  const jsonPath = path.join(__dirname, '../data/product_catalog.json');
+  if (fs.existsSync(jsonPath)) {
+    return jsonPath;
+  }
+  return path.join(__dirname, '../data/product_catalog.md');
+}
+
+/**
+ * Parse catalog file contents according to the file extension.
+ * @param {String} fileContent - File contents.
+ * @param {String} format - File extension ('.json', '.yaml', '.yml' or '.md').
+ * @returns {Array} Array of product objects, with defaults filled in.
+ */
+function parseCatalog(fileContent, format) {
+  switch (format) {
+    case '.json':
+    case '.yaml':
+    case '.yml': {
+      const data =
+        format === '.json' ? JSON.parse(fileContent) : yaml.load(fileContent);
+      const products = Array.isArray(data) ? data : (data && data.products) || [];
+      return products.map(normalizeProduct);
+    }
+    case '.md':
+      return parseMarkdownCatalog(fileContent);
+    default:
+      throw new Error(`Unsupported catalog format "${format}".`);
+  }
+}
+
+/**
+ * Load and validate a product catalog from JSON, YAML or a Markdown table.
+ * @param {String} [filePath] - Catalog file. Defaults to resolveCatalogPath().
+ * @returns {Array} Array of validated product objects.
+ * @throws {CatalogValidationError} If the catalog has any problems.
+ */
+function loadCatalog(filePath = resolveCatalogPath()) {
+  const source = path.basename(filePath);
+  if (!fs.existsSync(filePath)) {
+    throw new CatalogValidationError(source, ['File not found.']);
+  }
+
+  let products;
+  try {
+    products = parseCatalog(
+      fs.readFileSync(filePath, 'utf8'),
+      path.extname(filePath).toLowerCase()
+    );
+  } catch (error) {
+    throw new CatalogValidationError(source, [error.message]);
+  }
+
+  const errors = validateCatalog(products);
+  if (errors.length > 0) {
+    throw new CatalogValidationError(source, errors);
+  }
+
+  return products;
+}
+
+module.exports = {
+  loadCatalog,
+  parseCatalog,
+  validateCatalog,
+  findDroppedFields,
+  resolveCatalogPath,
+  parsePrice,
+  CatalogValidationError,
+  CATEGORIES,
+  BILLING_PERIODS,
+};
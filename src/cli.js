@@ -0,0 +1,655 @@
+// src/cli.js
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  loadCustomerData,
+  validateCustomerData,
+  importCustomers,
+  importCatalog,
+  loadProductData,
+  preprocessCustomers,
+} = require('./dataProcessing');
+const { formatDataQualityReport } = require('./dataValidation');
+const { scoreAll } = require('./batchScoring');
+const { scoreCustomers } = require('./modelPrediction');
+const {
+  loadLabelingRules,
+  validateLabelingRules,
+  applyLabelingRules,
+} = require('./labelingRules');
+const {
+  splitTrainTest,
+  buildReport,
+  saveReport,
+  loadReport,
+  formatReport,
+  DEFAULT_SEED,
+  DEFAULT_TEST_FRACTION,
+} = require('./evaluation');
+const { trainModel } = require('./modelTraining');
+const { loadFeedback, importFeedback, buildTrainingLabels } = require('./feedback');
+const {
+  loadExperiments,
+  loadExposures,
+  buildExperimentReport,
+  formatExperimentReport,
+} = require('./experiments');
+const {
+  DEFAULT_SEGMENTS,
+  EXPORT_FORMATS,
+  buildSegments,
+  formatSegmentReport,
+  formatAssignments,
+} = require('./segmentation');
+const { ROLES, createApiKey } = require('./auth');
+const { readApiKeys, revokeApiKey, readAudit } = require('./storage');
+const { forgetCustomer } = require('./privacy');
+const { readRankingRules } = require('./ranking');
+const {
+  listVersions,
+  promoteVersion,
+  rollbackVersion,
+  resolvePromotedModel,
+} = require('./modelRegistry');
+
+/**
+ * score-all: score every customer and export the top-N recommendations.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function scoreAllCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      input: { type: 'string' },
+      output: { type: 'string' },
+      format: { type: 'string', default: 'jsonl' },
+      top: { type: 'string', default: '3' },
+      'batch-size': { type: 'string', default: '256' },
+      'no-resume': { type: 'boolean', default: false },
+    },
+  });
+
+  const outputPath = path.resolve(
+    values.output || `recommendations.${values.format}`
+  );
+
+  console.log('Loading customer data...');
+  const customers = await loadCustomerData(
+    values.input ? path.resolve(values.input) : undefined
+  );
+  console.log(`Loaded ${customers.length} customers.`);
+
+  console.log('Loading product data...');
+  const products = loadProductData();
+
+  console.log(`Scoring customers into ${outputPath}...`);
+  const startedAt = Date.now();
+  const result = await scoreAll({
+    customers,
+    products,
+    outputPath,
+    format: values.format,
+    topN: parseInt(values.top) || 3,
+    batchSize: parseInt(values['batch-size']) || 256,
+    resume: !values['no-resume'],
+    onProgress: ({ done, total, skipped }) => {
+      const percent = ((done / total) * 100).toFixed(1);
+      const resumed = skipped > 0 ? ` (${skipped} resumed)` : '';
+      console.log(`Progress: ${done}/${total} customers (${percent}%)${resumed}`);
+    },
+  });
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  console.log(
+    `Scored ${result.scored} customers, skipped ${result.skipped} already in the file, in ${seconds}s.`
+  );
+}
+
+/**
+ * train: train a model with settings from data/training_config.json (or
+ * --config), overridden by flags, and register it as a new version.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function trainCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      config: { type: 'string' },
+      epochs: { type: 'string' },
+      'batch-size': { type: 'string' },
+      'learning-rate': { type: 'string' },
+      dropout: { type: 'string' },
+      'hidden-units': { type: 'string' },
+      optimizer: { type: 'string' },
+      patience: { type: 'string' },
+      folds: { type: 'string' },
+      search: { type: 'string' },
+      trials: { type: 'string' },
+      metric: { type: 'string' },
+      seed: { type: 'string' },
+      labels: { type: 'string' },
+      'feedback-weight': { type: 'string' },
+      promote: { type: 'boolean', default: false },
+    },
+  });
+
+  // Only flags that were given override the config file
+  const overrides = {};
+  const number = (value) => Number(value);
+  if (values.epochs) overrides.epochs = number(values.epochs);
+  if (values['batch-size']) overrides.batchSize = number(values['batch-size']);
+  if (values['learning-rate']) overrides.learningRate = number(values['learning-rate']);
+  if (values.dropout) overrides.dropout = number(values.dropout);
+  if (values['hidden-units']) {
+    overrides.hiddenUnits = values['hidden-units'].split(',').map(number);
+  }
+  if (values.optimizer) overrides.optimizer = values.optimizer;
+  if (values.seed) overrides.seed = number(values.seed);
+  if (values.patience) overrides.earlyStopping = { patience: number(values.patience) };
+  if (values.folds) overrides.crossValidation = { folds: number(values.folds) };
+  if (values.search || values.trials || values.metric) {
+    overrides.search = {};
+    if (values.search) overrides.search.strategy = values.search;
+    if (values.trials) overrides.search.trials = number(values.trials);
+    if (values.metric) overrides.search.metric = values.metric;
+  }
+  if (values.labels || values['feedback-weight']) {
+    overrides.labels = {};
+    if (values.labels) overrides.labels.source = values.labels;
+    if (values['feedback-weight']) {
+      overrides.labels.feedbackWeight = number(values['feedback-weight']);
+    }
+  }
+
+  await trainModel({
+    configPath: values.config ? path.resolve(values.config) : undefined,
+    overrides,
+    promote: values.promote,
+  });
+}
+
+/**
+ * evaluate: print the evaluation report saved with the promoted model, or
+ * rebuild it from that model on the same held-out test set.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function evaluateCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      recompute: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const { dir } = resolvePromotedModel();
+  let report = loadReport(dir);
+  if (values.recompute) {
+    report = await recomputeReport(report ? report.split : {});
+    saveReport(dir, report);
+  }
+  if (!report) {
+    throw new Error(
+      'No evaluation report found next to the model. Retrain, or run evaluate --recompute.'
+    );
+  }
+
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+/**
+ * Score the saved model on the held-out test set and build a fresh report.
+ * Labels come from the same source the model was trained on, with the
+ * outcomes recorded so far.
+ * @param {Object} split - { seed, testFraction, labels } of the split to reproduce.
+ * @returns {Promise<Object>} Evaluation report.
+ */
+async function recomputeReport({
+  seed = DEFAULT_SEED,
+  testFraction = DEFAULT_TEST_FRACTION,
+  labels: labeling = { source: 'rules', feedbackWeight: null },
+}) {
+  console.log('Loading customer data...');
+  const customers = await loadCustomerData();
+  console.log('Loading product data...');
+  const products = loadProductData();
+
+  const preprocessed = preprocessCustomers(customers);
+  const rules = loadLabelingRules();
+  const featureNames = [
+    ...new Set(preprocessed.flatMap((customer) => Object.keys(customer))),
+  ];
+  validateLabelingRules(rules, products, featureNames);
+  const { labels: ruleLabels } = applyLabelingRules(rules, preprocessed, products);
+  const { evalLabels, labeledIndices } = buildTrainingLabels(
+    preprocessed,
+    products,
+    ruleLabels,
+    labeling.source === 'rules' ? [] : loadFeedback(),
+    { ...labeling, minCustomers: 0 }
+  );
+
+  // Customers without outcomes were left out when the model trained on feedback alone
+  const labeled = new Set(labeledIndices);
+  const split = splitTrainTest(customers, { seed, testFraction });
+  const trainIndices = split.trainIndices.filter((i) => labeled.has(i));
+  const testIndices = split.testIndices.filter((i) => labeled.has(i));
+  const testCustomers = testIndices.map((i) => customers[i]);
+  console.log(`Evaluating on ${testCustomers.length} held-out customers (seed ${seed})...`);
+
+  const scored = await scoreCustomers(testCustomers, products, { explain: false });
+  if (!scored) {
+    throw new Error('Model could not be loaded.');
+  }
+
+  return buildReport({
+    labels: testIndices.map((i) => evalLabels[i]),
+    predictions: scored.map(({ prediction }) => prediction),
+    products,
+    split: {
+      seed,
+      testFraction,
+      trainSize: trainIndices.length,
+      testSize: testIndices.length,
+      labels: labeling,
+    },
+  });
+}
+
+/**
+ * models: list registered model versions, promote one, or roll back to the
+ * previously promoted version. A running server picks up the change.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function modelsCommand(args) {
+  const { positionals } = parseArgs({ args, allowPositionals: true });
+  const [action, version] = positionals;
+
+  if (action === 'list') {
+    const versions = listVersions();
+    if (versions.length === 0) {
+      console.log('No model versions registered. Serving models/my_model.');
+      return;
+    }
+    versions.forEach((metadata) => {
+      const marker = metadata.promoted ? '*' : ' ';
+      const { macro, ranking } = metadata.metrics;
+      const show = (value) => (value === null ? '-' : value.toFixed(4));
+      console.log(
+        `${marker} ${metadata.version.padEnd(5)} ${metadata.createdAt}  ` +
+          `data ${metadata.dataHash.slice(0, 12)}  catalog ${metadata.catalogHash.slice(0, 12)}  ` +
+          `F1 ${show(macro.f1)}  AUC ${show(macro.auc)}  NDCG@3 ${show(ranking['@3'].ndcg)}`
+      );
+    });
+    if (!versions.some((metadata) => metadata.promoted)) {
+      console.log('No version promoted. Serving models/my_model.');
+    }
+  } else if (action === 'promote') {
+    if (!version) {
+      throw new Error('Usage: models promote <version>');
+    }
+    const metadata = promoteVersion(version);
+    console.log(`Promoted model ${metadata.version}.`);
+  } else if (action === 'rollback') {
+    const metadata = rollbackVersion();
+    console.log(`Rolled back to model ${metadata.version}.`);
+  } else {
+    throw new Error('Usage: models list | models promote <version> | models rollback');
+  }
+}
+
+/**
+ * experiments: list the configured experiments, or report conversion per
+ * variant by joining the exposure log with recorded outcomes.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function experimentsCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { json: { type: 'boolean', default: false } },
+  });
+  const [action, experimentId] = positionals;
+  const experiments = loadExperiments();
+
+  if (action === 'list') {
+    if (experiments.length === 0) {
+      console.log('No experiments configured.');
+      return;
+    }
+    experiments.forEach((experiment) => {
+      const marker = experiment.active ? '*' : ' ';
+      const variants = experiment.variants
+        .map((variant) => {
+          const setup = [variant.model, variant.ranking].filter(Boolean).join(', ');
+          return `${variant.id} (${variant.weight}${setup ? `, ${setup}` : ''})`;
+        })
+        .join(', ');
+      console.log(`${marker} ${experiment.id}: ${variants}`);
+    });
+  } else if (action === 'report') {
+    const experiment = experimentId
+      ? experiments.find((e) => e.id === experimentId)
+      : experiments.find((e) => e.active);
+    if (!experiment) {
+      throw new Error(
+        experimentId
+          ? `Experiment "${experimentId}" not found.`
+          : 'No active experiment. Usage: experiments report <id>'
+      );
+    }
+
+    const report = buildExperimentReport(experiment, loadExposures(), loadFeedback(), {
+      objective: readRankingRules().objective,
+    });
+    console.log(values.json ? JSON.stringify(report, null, 2) : formatExperimentReport(report));
+  } else {
+    throw new Error('Usage: experiments list | experiments report [id] [--json]');
+  }
+}
+
+/**
+ * segments: cluster customers into segments and print each segment's profile,
+ * product penetration and average scores, or export every customer's segment
+ * so marketing can target a cohort.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function segmentsCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      k: { type: 'string', default: String(DEFAULT_SEGMENTS) },
+      seed: { type: 'string', default: String(DEFAULT_SEED) },
+      output: { type: 'string' },
+      format: { type: 'string', default: 'csv' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+  const [action = 'report'] = positionals;
+  if (action !== 'report' && action !== 'export') {
+    throw new Error(
+      'Usage: segments [report] [--k N] [--seed N] [--json] | segments export [--output file] [--format csv|jsonl]'
+    );
+  }
+  if (action === 'export' && !EXPORT_FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}". Use ${EXPORT_FORMATS.join(' or ')}.`);
+  }
+  const k = parseInt(values.k);
+  if (!(k >= 1)) {
+    throw new Error('--k must be a positive integer.');
+  }
+
+  console.log('Loading customer data...');
+  const customers = await loadCustomerData();
+  console.log('Loading product data...');
+  const products = loadProductData();
+
+  const report = await buildSegments(customers, products, { k, seed: parseInt(values.seed) });
+  if (!report) {
+    throw new Error('Model could not be loaded.');
+  }
+
+  if (action === 'report') {
+    const { assignments, ...summary } = report;
+    console.log(values.json ? JSON.stringify(summary, null, 2) : formatSegmentReport(report, products));
+    return;
+  }
+
+  const outputPath = path.resolve(values.output || `segments.${values.format}`);
+  fs.writeFileSync(outputPath, formatAssignments(report.assignments, values.format));
+  console.log(`Exported ${report.assignments.length} customers in ${report.segments.length} segments to ${outputPath}.`);
+}
+
+/**
+ * validate-data: check a customer CSV against the column schema and list every
+ * row that was imputed or rejected. Exits with 1 when --strict and any row has
+ * a problem.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function validateDataCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      input: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+    },
+  });
+
+  const { report } = await validateCustomerData(
+    values.input ? path.resolve(values.input) : undefined
+  );
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatDataQualityReport(report));
+
+  if (values.strict && (report.flaggedRows > 0 || report.missingColumns.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * import: load customers from a CSV, the catalog from JSON, YAML or Markdown,
+ * or outcomes from a JSONL file into the store. A running server picks up
+ * customers and the catalog on POST /admin/reload.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function importCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      input: { type: 'string' },
+      replace: { type: 'boolean', default: false },
+    },
+  });
+  const [what] = positionals;
+  const input = values.input ? path.resolve(values.input) : undefined;
+
+  if (what === 'customers') {
+    await importCustomers(input, { replace: values.replace });
+  } else if (what === 'catalog') {
+    importCatalog(input);
+  } else if (what === 'feedback') {
+    importFeedback(input);
+  } else {
+    throw new Error(
+      'Usage: import customers [--input customers.csv] [--replace] | import catalog [--input file] | ' +
+        'import feedback [--input feedback.jsonl]'
+    );
+  }
+}
+
+/**
+ * keys: create, list or revoke API keys. A new key is printed once; only its
+ * hash is stored.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function keysCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      role: { type: 'string' },
+    },
+  });
+  const [action, id] = positionals;
+
+  if (action === 'create') {
+    const created = createApiKey({ name: values.name, role: values.role });
+    console.log(`Created key ${created.id} for ${created.name} (${created.role}):\n\n  ${created.key}\n`);
+    console.log('Store it now; it cannot be shown again.');
+  } else if (action === 'list') {
+    const keys = readApiKeys();
+    if (keys.length === 0) {
+      console.log('No API keys. Create one with: keys create --name <name> --role admin');
+      return;
+    }
+    keys.forEach((key) => {
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : `last used ${key.lastUsedAt || 'never'}`;
+      console.log(
+        `${String(key.id).padStart(3)}  ${key.prefix}…  ${key.role.padEnd(7)}  ${key.name.padEnd(20)}  ` +
+          `created ${key.createdAt}  ${status}`
+      );
+    });
+  } else if (action === 'revoke') {
+    const revoked = id && revokeApiKey(parseInt(id));
+    if (!revoked) {
+      throw new Error(id ? `No API key ${id}.` : 'Usage: keys revoke <id>');
+    }
+    console.log(`Revoked key ${revoked.id} (${revoked.name}).`);
+  } else {
+    throw new Error(
+      `Usage: keys create --name <name> --role ${ROLES.join('|')} | keys list | keys revoke <id>`
+    );
+  }
+}
+
+/**
+ * audit: show who viewed which customer, newest first.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function auditCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      acct: { type: 'string' },
+      user: { type: 'string' },
+      limit: { type: 'string', default: '50' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const entries = readAudit({
+    acctId: values.acct,
+    user: values.user,
+    limit: parseInt(values.limit) || 50,
+  });
+  if (values.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  entries.forEach((entry) => {
+    console.log(
+      `${entry.at}  ${entry.user} (${entry.role})  ${entry.method} ${entry.route}  ${entry.acctId}`
+    );
+  });
+  console.log(`${entries.length} entries.`);
+}
+
+/**
+ * forget: delete everything stored about a customer (see forgetCustomer). A
+ * running server stops serving them on POST /admin/reload.
+ * @param {Array} args - Command-line arguments after the command name.
+ */
+async function forgetCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+    },
+  });
+  const [acctId] = positionals;
+  if (!acctId) {
+    throw new Error('Usage: forget <acct_id> [--json]');
+  }
+
+  const removed = forgetCustomer(acctId);
+  if (values.json) {
+    console.log(JSON.stringify(removed, null, 2));
+    return;
+  }
+  if (Object.values(removed).every((count) => count === 0)) {
+    console.log('Nothing was stored about that account; future imports will leave it out.');
+    return;
+  }
+  console.log(
+    `Forgot the customer: ${removed.customers} customer record, ${removed.consent} consent record, ` +
+      `${removed.snapshots} recommendation snapshots, ${removed.feedback} feedback entries, ` +
+      `${removed.feedbackFileLines} feedback file lines and ${removed.exposures} exposures removed; ` +
+      `${removed.auditEntries} audit entries pseudonymized.`
+  );
+}
+
+const COMMANDS = {
+  train: {
+    run: trainCommand,
+    usage:
+      'train [--config file] [--epochs N] [--batch-size N] [--learning-rate X] [--dropout X] [--hidden-units 64,32] ' +
+      '[--optimizer adam|sgd|rmsprop|adagrad] [--patience N] [--folds K] [--search grid|random] [--trials N] ' +
+      '[--metric loss|f1|auc|ndcg@3|precision@3] [--seed N] [--labels rules|feedback|blend] [--feedback-weight X] [--promote]',
+  },
+  'score-all': {
+    run: scoreAllCommand,
+    usage:
+      'score-all [--input customers.csv] [--output file] [--format jsonl|csv] [--top 3] [--batch-size 256] [--no-resume]',
+  },
+  evaluate: {
+    run: evaluateCommand,
+    usage: 'evaluate [--recompute] [--json]',
+  },
+  models: {
+    run: modelsCommand,
+    usage: 'models list | models promote <version> | models rollback',
+  },
+  experiments: {
+    run: experimentsCommand,
+    usage: 'experiments list | experiments report [id] [--json]',
+  },
+  'validate-data': {
+    run: validateDataCommand,
+    usage: 'validate-data [--input customers.csv] [--json] [--strict]',
+  },
+  keys: {
+    run: keysCommand,
+    usage: `keys create --name <name> --role ${ROLES.join('|')} | keys list | keys revoke <id>`,
+  },
+  audit: {
+    run: auditCommand,
+    usage: 'audit [--acct acct_id] [--user name] [--limit 50] [--json]',
+  },
+  forget: {
+    run: forgetCommand,
+    usage: 'forget <acct_id> [--json]',
+  },
+  import: {
+    run: importCommand,
+    usage:
+      'import customers [--input customers.csv] [--replace] | import catalog [--input file] | import feedback [--input feedback.jsonl]',
+  },
+  segments: {
+    run: segmentsCommand,
+    usage:
+      'segments [report] [--k N] [--seed N] [--json] | segments export [--k N] [--seed N] [--output file] [--format csv|jsonl]',
+  },
+};
+
+/**
+ * Print the available commands.
+ */
+function printUsage() {
+  console.log('Usage: node src/cli.js <command> [options]\n\nCommands:');
+  Object.values(COMMANDS).forEach(({ usage }) => console.log(`  ${usage}`));
+}
+
+async function main() {
+  const [commandName, ...args] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+  if (!command) {
+    printUsage();
+    process.exit(commandName ? 1 : 0);
+  }
+
+  try {
+    await command.run(args);
+  } catch (error) {
+    // Validation errors list their problems in the message; show a stack for anything else
+    console.error(error.name === 'Error' || error.errors ? error.message : error);
+    process.exit(1);
+  }
+}
+
+main();
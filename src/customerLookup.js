@@ -0,0 +1,183 @@
+// src/customerLookup.js
+
+const { findOwnedProducts } = require('./ownership');
+
+/**
+ * Compute the edit distance between two strings, counting an adjacent
+ * transposition ('mai' vs 'mia') as a single edit.
+ * @param {String} a - First string.
+ * @param {String} b - Second string.
+ * @returns {Number} Number of edits between a and b.
+ */
+function editDistance(a, b) {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Summarize a customer for search results and ambiguity responses.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} { acctId, customerName, city, state }
+ */
+function toCandidate(customer) {
+  return {
+    acctId: customer.acct_id,
+    customerName: customer.customerName,
+    city: customer.city,
+    state: customer.state,
+  };
+}
+
+/**
+ * Summarize a customer's plan, devices, signal, usage and owned products for
+ * the agent dashboard.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Array} products - Catalog products.
+ * @returns {Object} Profile with raw units converted to Mbps and dBm.
+ */
+function toProfile(customer, products) {
+  const owned = findOwnedProducts(customer, products);
+  const currentTier = owned.find((product) => product.category === 'speed-tier');
+  const toMbps = (bps) => Math.round(bps / 1e5) / 10;
+
+  return {
+    ...toCandidate(customer),
+    plan: {
+      name: currentTier
+        ? currentTier.name
+        : customer.network_speed > 0
+          ? `${customer.network_speed} Mbps plan`
+          : null,
+      speedMbps: customer.network_speed || null,
+    },
+    devices: {
+      total: customer.total_devices,
+      extenders: customer.extenders,
+      coverageSize: customer.coverage_size,
+    },
+    // RSSI readings of 0 mean the column was empty
+    signal: {
+      meanDbm: customer.rssi_mean || null,
+      medianDbm: customer.rssi_median || null,
+      strongestDbm: customer.rssi_max || null,
+      weakestDbm: customer.rssi_min || null,
+    },
+    usage: {
+      averageMbps: toMbps(customer.avg_bandwidth_usage),
+      p95DownloadMbps: toMbps(customer.rx_p95_bps),
+      p95UploadMbps: toMbps(customer.tx_p95_bps),
+      peakDownloadMbps: toMbps(customer.rx_max_bps),
+      peakUploadMbps: toMbps(customer.tx_max_bps),
+    },
+    ownedProducts: owned.map((product) => ({
+      productId: product.id,
+      productName: product.name,
+      category: product.category,
+    })),
+  };
+}
+
+/**
+ * Find a customer by its unique acct_id.
+ * @param {Array} customers - Array of customer objects.
+ * @param {String} acctId - Account id to look up.
+ * @returns {Object|undefined} Matching customer.
+ */
+function findByAcctId(customers, acctId) {
+  return customers.find((c) => c.acct_id === acctId);
+}
+
+/**
+ * Find all customers whose name matches exactly (case-insensitive).
+ * @param {Array} customers - Array of customer objects.
+ * @param {String} name - Customer name.
+ * @returns {Array} Matching customers.
+ */
+function findByName(customers, name) {
+  const target = name.trim().toLowerCase();
+  return customers.filter(
+    (c) => c.customerName && c.customerName.toLowerCase() === target
+  );
+}
+
+/**
+ * Search customers by name with prefix and fuzzy matching, optionally
+ * filtered by city and state.
+ * @param {Array} customers - Array of customer objects.
+ * @param {Object} query - { q, city, state, limit }
+ * @returns {Array} Candidates sorted by match quality, each with a match type.
+ */
+function searchCustomers(customers, { q, city, state, limit = 20 }) {
+  const term = (q || '').trim().toLowerCase();
+  const cityFilter = (city || '').trim().toLowerCase();
+  const stateFilter = (state || '').trim().toLowerCase();
+
+  // Allow roughly one typo per four characters
+  const maxDistance = Math.max(1, Math.floor(term.length / 4));
+  const matchRank = { exact: 0, prefix: 1, fuzzy: 2, any: 3 };
+
+  const results = [];
+  customers.forEach((customer) => {
+    if (cityFilter && (customer.city || '').toLowerCase() !== cityFilter) {
+      return;
+    }
+    if (stateFilter && (customer.state || '').toLowerCase() !== stateFilter) {
+      return;
+    }
+
+    const name = (customer.customerName || '').toLowerCase();
+    let match = 'any';
+    let distance = 0;
+    if (term) {
+      if (name === term) {
+        match = 'exact';
+      } else if (name.startsWith(term)) {
+        match = 'prefix';
+      } else {
+        // Compare against the name and its same-length prefix so partial typos still match
+        distance = Math.min(
+          editDistance(term, name),
+          editDistance(term, name.slice(0, term.length))
+        );
+        if (distance > maxDistance) return;
+        match = 'fuzzy';
+      }
+    }
+
+    results.push({ ...toCandidate(customer), match, distance });
+  });
+
+  results.sort(
+    (a, b) =>
+      matchRank[a.match] - matchRank[b.match] ||
+      a.distance - b.distance ||
+      a.customerName.localeCompare(b.customerName)
+  );
+
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  findByAcctId,
+  findByName,
+  searchCustomers,
+  toCandidate,
+  toProfile,
+};
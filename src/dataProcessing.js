@@ -3,118 +3,138 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { loadCatalog, resolveCatalogPath } = require('./catalog');
+const { deriveFeatures } = require('./featurePipeline');
+const {
+  parseSpeed,
+  validateCustomerRecords,
+  formatDataQualityReport,
+} = require('./dataValidation');
+const {
+  countRows,
+  writeCustomers,
+  readCustomers,
+  writeProducts,
+  readProducts,
+} = require('./storage');
+const { attachConsent, dropForgotten } = require('./privacy');
+
+// Columns in current_customers.csv that flag products the customer already owns
+const OWNERSHIP_COLUMNS = [
+  'whole_home_wifi',
+  'wifi_security',
+  'wifi_security_plus',
+  'premium_tech_pro',
+  'identity_protection',
+  'family_identity_protection',
+  'total_shield',
+  'youtube_tv',
+];
+
+const DEFAULT_CUSTOMERS_PATH = path.join(
+  __dirname,
+  '../data/current_customers.csv'
+);
 
 /**
- * Load customer data from CSV.
- * @returns {Promise<Array>} Array of customer objects.
+ * Parse a network speed such as '500.0M' or '1G' into Mbps.
+ * @param {String} value - Raw speed with a K, M or G unit.
+ * @returns {Number} Speed in Mbps, or 0 if it cannot be parsed.
+ */
+function parseNetworkSpeed(value) {
+  if (!value) return 0;
+  const { value: speed, error } = parseSpeed(value);
+  return error ? 0 : speed;
+}
+
+/**
+ * Infer the coverage size of a home from its extenders and device count.
+ * @param {Number} extenders - Number of extenders.
+ * @param {Number} totalDevices - Number of connected devices.
+ * @returns {String} 'Small', 'Medium' or 'Large'.
+ */
+function inferCoverageSize(extenders, totalDevices) {
+  let coverageSize = 'Medium'; // Default value
+  if (extenders >= 2 || totalDevices > 15) {
+    coverageSize = 'Large';
+  } else if (extenders === 0 && totalDevices <= 5) {
+    coverageSize = 'Small';
+  }
+  return coverageSize;
+}
+
+/**
+ * Convert one validated CSV record into a customer object.
+ * @param {Object} record - Typed values from validateCustomerRecords.
+ * @returns {Object} Customer object.
+ */
+function processCustomerRecord(record) {
+  const totalDevices = record.wireless_clients_count + record.wired_clients_count;
+
+  // Ownership flags (TRUE / 1 means the customer already has the product)
+  const ownership = {};
+  OWNERSHIP_COLUMNS.forEach((column) => {
+    ownership[column] = record[column];
+  });
+
+  return {
+    acct_id: record.acct_id,
+    customerName: record.CustomerName,
+    city: record.city,
+    state: record.state,
+    total_devices: totalDevices,
+    avg_bandwidth_usage: record.rx_avg_bps,
+    network_speed: record.network_speed,
+    // For coverage_size, infer from extenders or total_devices
+    coverage_size: inferCoverageSize(record.extenders, totalDevices),
+    extenders: record.extenders,
+    ...ownership,
+    rx_avg_bps: record.rx_avg_bps,
+    tx_avg_bps: record.tx_avg_bps,
+    rx_p95_bps: record.rx_p95_bps,
+    tx_p95_bps: record.tx_p95_bps,
+    rx_max_bps: record.rx_max_bps,
+    tx_max_bps: record.tx_max_bps,
+    rssi_mean: record.rssi_mean,
+    rssi_median: record.rssi_median,
+    rssi_max: record.rssi_max,
+    rssi_min: record.rssi_min,
+  };
+}
+
+/**
+ * Validate raw customer records against the column schema and build customer
+ * objects from the accepted rows.
+ * @param {Array} records - Raw records keyed by CSV column name.
+ * @param {String} source - Name of the data, used in the report.
+ * @returns {Object} { customers, report } - Customer objects and the
+ * data-quality report from validateCustomerRecords.
+ */
+function buildCustomers(records, source) {
+  const validated = validateCustomerRecords(records, { source });
+  return {
+    customers: validated.records.map(processCustomerRecord),
+    report: validated.report,
+  };
+}
+
+/**
+ * Read customer records from a CSV stream and build customers with buildCustomers.
+ * @param {Stream} stream - Readable stream of CSV text.
+ * @param {String} source - Name of the data, used in the report.
+ * @returns {Promise<Object>} { customers, report }
  */
-async function loadCustomerData() {
+function readCustomerCsv(stream, source) {
   return new Promise((resolve, reject) => {
-    const customers = [];
-    fs.createReadStream(path.join(__dirname, '../data/current_customers.csv'))
+    const records = [];
+    stream
       .pipe(csv())
       .on('data', (data) => {
-        customers.push(data);
+        records.push(data);
       })
       .on('end', () => {
-        // Convert property names to match your code's expectations
-        const processedCustomers = customers.map((customer) => {
-          // Calculate total_devices
-          const wirelessClients = parseInt(customer.wireless_clients_count) || 0;
-          const wiredClients = parseInt(customer.wired_clients_count) || 0;
-          const totalDevices = wirelessClients + wiredClients;
-
-          // Parse avg_bandwidth_usage
-          const avgBandwidthUsage =
-            parseFloat(customer.rx_avg_bps) || 0;
-
-          // Extract numeric value from network_speed (e.g., '500.0M' to 500)
-          let networkSpeed = 0;
-          if (customer.network_speed) {
-            const speedMatch = customer.network_speed.match(/([\d\.]+)([A-Za-z]+)/);
-            if (speedMatch) {
-              const speedValue = parseFloat(speedMatch[1]);
-              const speedUnit = speedMatch[2].toUpperCase();
-              if (speedUnit === 'M') {
-                networkSpeed = speedValue;
-              } else if (speedUnit === 'G') {
-                networkSpeed = speedValue * 1000;
-              } else {
-                networkSpeed = speedValue;
-              }
-            }
-          }
-
-          // For coverage_size, set a default or infer from extenders or total_devices
-          let coverageSize = 'Medium'; // Default value
-          const extenders = parseInt(customer.extenders) || 0;
-          if (extenders >= 2 || totalDevices > 15) {
-            coverageSize = 'Large';
-          } else if (extenders === 0 && totalDevices <= 5) {
-            coverageSize = 'Small';
-          }
-
-          // Parse boolean fields
-          const wifiSecurity =
-            customer.wifi_security &&
-            (customer.wifi_security.toLowerCase() === 'true' ||
-              customer.wifi_security.toLowerCase() === '1')
-              ? 1
-              : 0;
-          const wifiSecurityPlus =
-            customer.wifi_security_plus &&
-            (customer.wifi_security_plus.toLowerCase() === 'true' ||
-              customer.wifi_security_plus.toLowerCase() === '1')
-              ? 1
-              : 0;
-          const totalShield =
-            customer.total_shield &&
-            (customer.total_shield.toLowerCase() === 'true' ||
-              customer.total_shield.toLowerCase() === '1')
-              ? 1
-              : 0;
-
-          // One-hot encode 'state'
-          const states = ['TX', 'CA', 'CT', 'FL', 'OH', 'IN', 'PA', 'WV', 'IL', 'NV'];
-          const stateOneHot = {};
-          states.forEach((state) => {
-            stateOneHot[`state_${state}`] =
-              customer.state && customer.state.toUpperCase() === state ? 1 : 0;
-          });
-
-          return {
-            customerName:
-              customer.CustomerName ||
-              customer.customerName ||
-              customer.customer_name ||
-              '',
-            total_devices: totalDevices,
-            avg_bandwidth_usage: avgBandwidthUsage,
-            network_speed: networkSpeed,
-            coverage_size: coverageSize,
-            wifi_security: wifiSecurity,
-            wifi_security_plus: wifiSecurityPlus,
-            total_shield: totalShield,
-            rx_avg_bps:
-              parseFloat(customer.rx_avg_bps) ||
-              parseFloat(customer.rxAvgBps) ||
-              0,
-            // Additional numerical features
-            tx_avg_bps: parseFloat(customer.tx_avg_bps) || 0,
-            rx_p95_bps: parseFloat(customer.rx_p95_bps) || 0,
-            tx_p95_bps: parseFloat(customer.tx_p95_bps) || 0,
-            rx_max_bps: parseFloat(customer.rx_max_bps) || 0,
-            tx_max_bps: parseFloat(customer.tx_max_bps) || 0,
-            rssi_mean: parseFloat(customer.rssi_mean) || 0,
-            rssi_median: parseFloat(customer.rssi_median) || 0,
-            rssi_max: parseFloat(customer.rssi_max) || 0,
-            rssi_min: parseFloat(customer.rssi_min) || 0,
-            // One-hot encoded features
-            ...stateOneHot,
-            // Add any other relevant features as needed
-          };
-        });
-        resolve(processedCustomers);
+        resolve(buildCustomers(records, source));
       })
       .on('error', (error) => {
         reject(error);
@@ -123,109 +143,162 @@ async function loadCustomerData() {
 }
 
 /**
- * Load product data from product_catalog.md (Markdown table format).
- * @returns {Array} Array of product objects.
+ * Warn with a one-line summary when a data-quality report found problems.
+ * @param {Object} report - Report from validateCustomerRecords.
  */
-function loadProductData() {
-  const productFilePath = path.join(__dirname, '../data/product_catalog.md');
-  if (!fs.existsSync(productFilePath)) {
-    console.error('product_catalog.md file not found in the data directory.');
-    return [];
+function warnDataQuality(report) {
+  if (report.flaggedRows > 0 || report.missingColumns.length > 0) {
+    console.warn(
+      `${report.source}: ${report.flaggedRows} rows with problems, ${report.rejectedRows} rejected. ` +
+        'Run "node src/cli.js validate-data" for details.'
+    );
+  }
+}
+
+/**
+ * Load customer data from CSV with its data-quality report.
+ * @param {String} [filePath] - CSV file. Defaults to data/current_customers.csv.
+ * @returns {Promise<Object>} { customers, report }
+ */
+async function validateCustomerData(filePath = DEFAULT_CUSTOMERS_PATH) {
+  return readCustomerCsv(fs.createReadStream(filePath), path.basename(filePath));
+}
+
+/**
+ * Warn when forgotten customers were left out of a customer file.
+ * @param {Number} forgotten - Customers left out.
+ * @param {String} filePath - File they were in.
+ */
+function warnForgotten(forgotten, filePath) {
+  if (forgotten > 0) {
+    console.warn(`Left out ${forgotten} forgotten customers found in ${path.basename(filePath)}.`);
+  }
+}
+
+/**
+ * Import customers from a CSV into the store, upserting by acct_id. Rows the
+ * validation rejects and forgotten customers are left out; the data-quality
+ * report is printed.
+ * @param {String} [filePath] - CSV file. Defaults to data/current_customers.csv.
+ * @param {Object} [options] - { replace } to delete stored customers missing from the file.
+ * @returns {Promise<Object>} { added, updated, removed, report }
+ */
+async function importCustomers(filePath = DEFAULT_CUSTOMERS_PATH, { replace = false } = {}) {
+  const validated = await validateCustomerData(filePath);
+  const { report } = validated;
+  console.log(formatDataQualityReport(report, { limit: 20 }));
+  const { customers, forgotten } = dropForgotten(validated.customers);
+  warnForgotten(forgotten, filePath);
+  const counts = writeCustomers(customers, { replace });
+  console.log(
+    `Imported ${customers.length} customers from ${path.basename(filePath)}: ` +
+      `${counts.added} new, ${counts.updated} updated, ${counts.removed} removed.`
+  );
+  return { ...counts, report };
+}
+
+/**
+ * Load customer data from the store with each customer's recorded marketing
+ * consent, importing data/current_customers.csv first if the store has no
+ * customers yet.
+ * @param {String} [filePath] - Read this CSV instead, without touching the
+ * store. Forgotten customers are still left out.
+ * @returns {Promise<Array>} Array of customer objects.
+ */
+async function loadCustomerData(filePath) {
+  if (filePath) {
+    const validated = await validateCustomerData(filePath);
+    warnDataQuality(validated.report);
+    const { customers, forgotten } = dropForgotten(validated.customers);
+    warnForgotten(forgotten, filePath);
+    return attachConsent(customers);
+  }
+
+  if (countRows('customers') === 0) {
+    console.log('No customers stored yet, importing the customer CSV...');
+    await importCustomers();
   }
+  return attachConsent(readCustomers());
+}
+
+/**
+ * Parse customer data from CSV text with its data-quality report.
+ * @param {String} text - CSV contents with the same columns as current_customers.csv.
+ * @param {String} [source] - Name of the data, used in the report.
+ * @returns {Promise<Object>} { customers, report }
+ */
+async function validateCustomerCsv(text, source = 'uploaded CSV') {
+  return readCustomerCsv(Readable.from([text]), source);
+}
+
+/**
+ * Parse customer data from CSV text, such as an uploaded file.
+ * @param {String} text - CSV contents with the same columns as current_customers.csv.
+ * @returns {Promise<Array>} Array of customer objects.
+ */
+async function parseCustomerCsv(text) {
+  const { customers, report } = await validateCustomerCsv(text);
+  warnDataQuality(report);
+  return customers;
+}
+
+/**
+ * Import a product catalog file (JSON, YAML or Markdown table) into the
+ * store, replacing the stored catalog.
+ * @param {String} [filePath] - Catalog file. Defaults to resolveCatalogPath().
+ * @returns {Array} Imported products.
+ * @throws {CatalogValidationError} If the catalog is missing or invalid.
+ */
+function importCatalog(filePath = resolveCatalogPath()) {
+  const products = loadCatalog(filePath);
+  writeProducts(products);
+  console.log(`Imported ${products.length} products from ${path.basename(filePath)}.`);
+  return products;
+}
 
-  const fileContent = fs.readFileSync(productFilePath, 'utf8');
-
-  // Split the content into lines
-  const lines = fileContent.split('\n');
-
-  // Initialize an array to hold products
-  const products = [];
-
-  // Flags to identify the table content
-  let inTable = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i].trim();
-
-    // Identify the start of the table
-    if (line.startsWith('|') && line.includes('Product Name')) {
-      inTable = true;
-      // Skip the header line and the separator line
-      i += 2;
-      continue;
-    }
-
-    if (inTable && line.startsWith('|')) {
-      const columns = line.split('|').map((col) => col.trim());
-      // Remove the empty first and last elements due to leading and trailing '|'
-      columns.shift();
-      columns.pop();
-
-      if (columns.length >= 3) {
-        const productName = columns[0];
-        const featuresText = columns[1];
-        const priceText = columns[2];
-
-        // Split features by periods or bullets
-        const features = featuresText
-          .split(/[\.\•]/)
-          .map((feature) => feature.trim())
-          .filter((feature) => feature !== '');
-
-        // Extract price value
-        const priceMatch = priceText.match(/\$([\d\.]+)/);
-        const price = priceMatch ? parseFloat(priceMatch[1]) : 0;
-
-        // Create product object
-        const product = {
-          name: productName,
-          features: features,
-          price: price,
-        };
-
-        products.push(product);
-      }
-    }
+/**
+ * Load product data from the store, importing the catalog file first if the
+ * store has no products yet.
+ * @returns {Array} Array of validated product objects.
+ * @throws {CatalogValidationError} If the catalog has to be imported and is
+ * missing or invalid.
+ */
+function loadProductData() {
+  if (countRows('products') === 0) {
+    console.log('No products stored yet, importing the catalog...');
+    importCatalog();
   }
+  const products = readProducts();
 
-  console.log(`Loaded ${products.length} products from product_catalog.md`);
+  console.log(`Loaded ${products.length} products from the store`);
   products.forEach((product, index) => {
-    console.log(`${index}: ${product.name}`);
+    console.log(`${index}: ${product.name} (${product.id})`);
   });
 
   return products;
 }
 
 /**
- * Preprocess customers by one-hot encoding categorical features.
+ * Preprocess customers with the shared feature pipeline (derived fields such as
+ * region). Encoding into model inputs happens with the model's feature schema.
  * @param {Array} customers - Array of customer objects.
  * @returns {Array} Array of preprocessed customer objects.
  */
 function preprocessCustomers(customers) {
-  return customers.map((customer) => {
-    // One-hot encode 'coverage_size'
-    const coverageSizes = ['Small', 'Medium', 'Large'];
-    const coverageSizeOneHot = {};
-    coverageSizes.forEach((size) => {
-      coverageSizeOneHot[`coverage_size_${size}`] =
-        customer.coverage_size.toLowerCase() === size.toLowerCase() ? 1 : 0;
-    });
-
-    // One-hot encode 'state'
-    const states = ['TX', 'CA', 'CT', 'FL', 'OH', 'IN', 'PA', 'WV', 'IL', 'NV'];
-    const stateOneHot = {};
-    states.forEach((state) => {
-      stateOneHot[`state_${state}`] =
-        customer[`state_${state}`] === 1 ? 1 : 0;
-    });
-
-    return {
-      ...customer,
-      ...coverageSizeOneHot,
-      ...stateOneHot,
-      // Add any other processed features as needed
-    };
-  });
+  return customers.map(deriveFeatures);
 }
 
-module.exports = { loadCustomerData, loadProductData, preprocessCustomers };
\ No newline at end of file
+module.exports = {
+  loadCustomerData,
+  importCustomers,
+  importCatalog,
+  validateCustomerData,
+  validateCustomerCsv,
+  buildCustomers,
+  parseCustomerCsv,
+  loadProductData,
+  preprocessCustomers,
+  parseNetworkSpeed,
+  inferCoverageSize,
+  OWNERSHIP_COLUMNS,
+};
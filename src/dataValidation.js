@@ -0,0 +1,327 @@
+// src/dataValidation.js
+
+const { getRegion } = require('./featurePipeline');
+
+// Multipliers to Mbps for the units a speed can carry ('500M', '1.5G', '800Kbps')
+const SPEED_UNITS = { K: 0.001, M: 1, G: 1000 };
+
+// A bare 'bps' or 'b/s' is bits per second
+const BITS_PER_MBIT = 1000000;
+
+const FLAG_VALUES = { true: 1, 1: 1, yes: 1, false: 0, 0: 0, no: 0 };
+
+// Column types that are imputed when missing or invalid
+const NUMERIC_TYPES = ['number', 'integer', 'speed'];
+
+// What an empty cell means for the other types: an empty flag is "not owned"
+const EMPTY_VALUES = { string: '', state: '', flag: 0 };
+
+const bps = { type: 'number', unit: 'bps', min: 0, required: true };
+const rssi = { type: 'number', unit: 'dBm', min: -120, below: 0, required: true };
+const count = (max) => ({ type: 'integer', min: 0, max, required: true });
+const flag = { type: 'flag' };
+
+/**
+ * Columns of current_customers.csv. Numeric columns that are missing or out of
+ * range are imputed with the median of the valid values in the file (or
+ * `fallback` if there are none) and the row is flagged. A row without an
+ * acct_id, or with one already seen, is rejected.
+ *  - type: string, integer, number, speed (Mbps), state or flag.
+ *  - min/max: inclusive range; below: exclusive upper bound.
+ *  - aliases: other accepted header names.
+ */
+const CUSTOMER_SCHEMA = {
+  acct_id: { type: 'string', required: true },
+  extenders: { ...count(20), fallback: 0 },
+  wireless_clients_count: { ...count(1000), fallback: 0 },
+  wired_clients_count: { ...count(1000), fallback: 0 },
+  rx_avg_bps: { ...bps, aliases: ['rxAvgBps'], fallback: 0 },
+  tx_avg_bps: { ...bps, fallback: 0 },
+  rx_p95_bps: { ...bps, fallback: 0 },
+  tx_p95_bps: { ...bps, fallback: 0 },
+  rx_max_bps: { ...bps, fallback: 0 },
+  tx_max_bps: { ...bps, fallback: 0 },
+  rssi_mean: { ...rssi, fallback: -60 },
+  rssi_median: { ...rssi, fallback: -60 },
+  rssi_max: { ...rssi, fallback: -40 },
+  rssi_min: { ...rssi, fallback: -75 },
+  network_speed: { type: 'speed', unit: 'Mbps', min: 1, max: 100000, required: true, fallback: 500 },
+  city: { type: 'string' },
+  state: { type: 'state' },
+  whole_home_wifi: flag,
+  wifi_security: flag,
+  wifi_security_plus: flag,
+  premium_tech_pro: flag,
+  identity_protection: flag,
+  family_identity_protection: flag,
+  total_shield: flag,
+  youtube_tv: flag,
+  CustomerName: { type: 'string', aliases: ['customerName', 'customer_name'] },
+};
+
+// RSSI columns must keep this order: weakest <= median and mean <= strongest
+const RSSI_ORDER = [
+  ['rssi_min', 'rssi_median'],
+  ['rssi_min', 'rssi_mean'],
+  ['rssi_median', 'rssi_max'],
+  ['rssi_mean', 'rssi_max'],
+];
+
+/**
+ * Parse a speed such as '500.0M', '1G', '800Kbps', '800bps' or a plain number
+ * of Mbps.
+ * @param {String|Number} value - Raw speed.
+ * @returns {Object} { value } in Mbps, or { error } describing the problem.
+ */
+function parseSpeed(value) {
+  const text = String(value).trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*([A-Za-z]*?)(bps|b\/s)?$/i);
+  if (!match) {
+    return { error: 'is not a speed' };
+  }
+  const number = parseFloat(match[1]);
+  const unit = match[2].toUpperCase();
+  if (!unit) {
+    return { value: match[3] ? number / BITS_PER_MBIT : number };
+  }
+  if (!(unit in SPEED_UNITS)) {
+    return { error: `has unknown unit "${match[2]}" (use K, M or G)` };
+  }
+  return { value: number * SPEED_UNITS[unit] };
+}
+
+/**
+ * Parse one cell against its column spec.
+ * @param {Object} spec - Column spec from CUSTOMER_SCHEMA.
+ * @param {String} raw - Raw CSV value (already trimmed).
+ * @returns {Object} { value } or { error }.
+ */
+function parseCell(spec, raw) {
+  switch (spec.type) {
+    case 'string':
+      return { value: raw };
+    case 'state': {
+      const state = raw.toUpperCase();
+      return getRegion(state)
+        ? { value: state }
+        : { value: state, error: 'is not a US state code' };
+    }
+    case 'flag': {
+      const flagValue = FLAG_VALUES[raw.toLowerCase()];
+      return flagValue === undefined
+        ? { value: 0, error: 'is not TRUE/FALSE' }
+        : { value: flagValue };
+    }
+    case 'speed':
+      return parseSpeed(raw);
+    default: {
+      if (!/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(raw)) {
+        return { error: 'is not a number' };
+      }
+      const value = Number(raw);
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'is not a whole number' };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Check a parsed number against its column's range.
+ * @param {Object} spec - Column spec.
+ * @param {Number} value - Parsed value.
+ * @returns {String|null} Problem, or null if in range.
+ */
+function checkRange(spec, value) {
+  const unit = spec.unit ? ` ${spec.unit}` : '';
+  if (spec.below !== undefined && !(value < spec.below)) {
+    return `must be below ${spec.below}${unit}`;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return spec.min === 0 ? 'must not be negative' : `must be at least ${spec.min}${unit}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `must be at most ${spec.max}${unit}`;
+  }
+  return null;
+}
+
+/**
+ * Lower median, so imputed counts and speeds are values that actually occur.
+ * @param {Array} values - Numbers.
+ * @returns {Number|undefined} Median, or undefined without values.
+ */
+function lowerMedian(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Read a column from a raw record, trying its aliases.
+ * @param {Object} record - Raw CSV record.
+ * @param {String} column - Schema column.
+ * @returns {String} Trimmed value, '' when absent.
+ */
+function readColumn(record, column) {
+  const names = [column].concat(CUSTOMER_SCHEMA[column].aliases || []);
+  const name = names.find((n) => record[n] !== undefined && String(record[n]).trim() !== '');
+  return name === undefined ? '' : String(record[name]).trim();
+}
+
+/**
+ * Validate raw CSV records against CUSTOMER_SCHEMA, impute missing or invalid
+ * numbers and collect a data-quality report.
+ * @param {Array} records - Raw CSV records keyed by column name.
+ * @param {Object} [options] - { source } file name for the report.
+ * @returns {Object} { records, report } where records are the typed, imputed
+ * values of every accepted row and report lists each row's problems.
+ */
+function validateCustomerRecords(records, { source = 'customers' } = {}) {
+  const columns = Object.keys(CUSTOMER_SCHEMA);
+  const headers = new Set(records.length ? Object.keys(records[0]) : []);
+  const missingColumns = columns.filter(
+    (column) =>
+      CUSTOMER_SCHEMA[column].required &&
+      ![column].concat(CUSTOMER_SCHEMA[column].aliases || []).some((name) => headers.has(name))
+  );
+
+  // First pass: parse every cell and note what needs imputing
+  const parsed = records.map((record, index) => {
+    const values = {};
+    const problems = [];
+    columns.forEach((column) => {
+      const spec = CUSTOMER_SCHEMA[column];
+      const raw = readColumn(record, column);
+      if (raw === '') {
+        values[column] = EMPTY_VALUES[spec.type];
+        if (spec.required) {
+          problems.push({ column, value: '', issue: 'is missing' });
+        }
+        return;
+      }
+      const numeric = NUMERIC_TYPES.includes(spec.type);
+      const { value, error } = parseCell(spec, raw);
+      const issue = error || (numeric ? checkRange(spec, value) : null);
+      if (issue) {
+        problems.push({ column, value: raw, issue });
+      }
+      // Invalid numbers are imputed below; other types keep their parsed value
+      values[column] = issue && numeric ? undefined : value;
+    });
+    return { line: index + 2, values, problems };
+  });
+
+  // Impute numbers from the valid values of the same column
+  const imputed = {};
+  columns
+    .filter((column) => NUMERIC_TYPES.includes(CUSTOMER_SCHEMA[column].type))
+    .forEach((column) => {
+      const valid = parsed
+        .map(({ values }) => values[column])
+        .filter((value) => value !== undefined);
+      const median = lowerMedian(valid);
+      const fill = median === undefined ? CUSTOMER_SCHEMA[column].fallback : median;
+      parsed.forEach(({ values, problems }) => {
+        if (values[column] !== undefined) return;
+        values[column] = fill;
+        imputed[column] = (imputed[column] || 0) + 1;
+        const problem = problems.find((p) => p.column === column);
+        if (problem) problem.imputed = fill;
+      });
+    });
+
+  // RSSI readings that contradict each other are flagged but kept
+  parsed.forEach(({ values, problems }) => {
+    RSSI_ORDER.forEach(([low, high]) => {
+      const involved = problems.some((p) => p.column === low || p.column === high);
+      if (!involved && values[low] > values[high]) {
+        problems.push({
+          column: `${low}/${high}`,
+          value: `${values[low]}/${values[high]}`,
+          issue: `${low} is stronger than ${high}`,
+        });
+      }
+    });
+  });
+
+  // A row without an acct_id, or repeating one, cannot be told apart: reject it
+  const seen = new Map();
+  const rows = parsed.map((row) => {
+    const { acct_id: acctId } = row.values;
+    if (acctId && seen.has(acctId)) {
+      row.problems.push({
+        column: 'acct_id',
+        value: '',
+        issue: `repeats line ${seen.get(acctId)}`,
+      });
+      return { ...row, rejected: true };
+    }
+    if (acctId) seen.set(acctId, row.line);
+    return { ...row, rejected: !acctId };
+  });
+  const accepted = rows.filter((row) => !row.rejected);
+  const flagged = rows.filter((row) => row.problems.length > 0);
+
+  return {
+    records: accepted.map((row) => row.values),
+    report: {
+      source,
+      totalRows: rows.length,
+      cleanRows: rows.length - flagged.length,
+      flaggedRows: flagged.length,
+      rejectedRows: rows.length - accepted.length,
+      missingColumns,
+      imputed,
+      rows: flagged.map(({ line, values, problems, rejected }) => ({
+        line,
+        acctId: values.acct_id || null,
+        rejected,
+        problems,
+      })),
+    },
+  };
+}
+
+/**
+ * Format a data-quality report for the terminal.
+ * @param {Object} report - Report from validateCustomerRecords.
+ * @param {Object} [options] - { limit } on the offending rows listed (default all).
+ * @returns {String} Human-readable report.
+ */
+function formatDataQualityReport(report, { limit = Infinity } = {}) {
+  const lines = [
+    `Data quality of ${report.source}: ${report.totalRows} rows, ${report.cleanRows} clean, ` +
+      `${report.flaggedRows} with problems, ${report.rejectedRows} rejected.`,
+  ];
+  if (report.missingColumns.length > 0) {
+    lines.push(`  Missing columns: ${report.missingColumns.join(', ')}`);
+  }
+  const imputed = Object.entries(report.imputed);
+  if (imputed.length > 0) {
+    lines.push(`  Imputed: ${imputed.map(([column, n]) => `${column} ${n}`).join(', ')}`);
+  }
+
+  report.rows.slice(0, limit).forEach((row) => {
+    const account = row.acctId ? ` (${row.acctId.slice(0, 12)}…)` : '';
+    const problems = row.problems
+      .map((p) => {
+        const value = p.value === '' ? '' : ` "${p.value}"`;
+        const fix = p.imputed !== undefined ? `, imputed ${p.imputed}` : '';
+        return `${p.column}${value} ${p.issue}${fix}`;
+      })
+      .join('; ');
+    lines.push(`  Line ${row.line}${account}${row.rejected ? ' REJECTED' : ''}: ${problems}`);
+  });
+  if (report.rows.length > limit) {
+    lines.push(`  ... and ${report.rows.length - limit} more rows. Run validate-data for the full list.`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  CUSTOMER_SCHEMA,
+  parseSpeed,
+  validateCustomerRecords,
+  formatDataQualityReport,
+};
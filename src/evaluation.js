@@ -0,0 +1,338 @@
+// src/evaluation.js
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FILE = 'evaluationReport.json';
+const DEFAULT_SEED = 42;
+const DEFAULT_TEST_FRACTION = 0.2;
+const DEFAULT_THRESHOLD = 0.5;
+const RANKING_KS = [1, 3, 5];
+
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * @param {Number} seed - Integer seed.
+ * @returns {Function} Function returning floats in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle a copy of an array with a seeded Fisher-Yates shuffle.
+ * @param {Array} items - Items to shuffle.
+ * @param {Number} seed - Integer seed.
+ * @returns {Array} Shuffled copy.
+ */
+function seededShuffle(items, seed) {
+  const random = createRandom(seed);
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Order customers by acct_id, then shuffle with a seed, so splits do not
+ * depend on CSV order.
+ * @param {Array} customers - Customers with acct_id.
+ * @param {Number} seed - Integer seed.
+ * @returns {Array} Shuffled indices into the customers array.
+ */
+function shuffledIndices(customers, seed) {
+  const ordered = customers
+    .map((customer, index) => ({ key: String(customer.acct_id || index), index }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ index }) => index);
+  return seededShuffle(ordered, seed);
+}
+
+/**
+ * Split customers into a fixed train and test set.
+ * @param {Array} customers - Customers with acct_id.
+ * @param {Object} [options] - { seed, testFraction }
+ * @returns {Object} { trainIndices, testIndices } into the customers array.
+ */
+function splitTrainTest(
+  customers,
+  { seed = DEFAULT_SEED, testFraction = DEFAULT_TEST_FRACTION } = {}
+) {
+  const shuffled = shuffledIndices(customers, seed);
+  const testSize = Math.max(1, Math.round(customers.length * testFraction));
+
+  return {
+    testIndices: shuffled.slice(0, testSize),
+    trainIndices: shuffled.slice(testSize),
+  };
+}
+
+/**
+ * Split customers into k folds for cross-validation.
+ * @param {Array} customers - Customers with acct_id.
+ * @param {Number} folds - Number of folds (at least 2).
+ * @param {Number} [seed] - Integer seed.
+ * @returns {Array} One { trainIndices, testIndices } per fold.
+ */
+function kFoldSplits(customers, folds, seed = DEFAULT_SEED) {
+  const shuffled = shuffledIndices(customers, seed);
+  return Array.from({ length: folds }, (_, fold) => ({
+    testIndices: shuffled.filter((_, position) => position % folds === fold),
+    trainIndices: shuffled.filter((_, position) => position % folds !== fold),
+  }));
+}
+
+/**
+ * Area under the ROC curve, computed from score ranks (Mann-Whitney U).
+ * @param {Array} labels - 0/1 labels.
+ * @param {Array} scores - Predicted scores.
+ * @returns {Number|null} AUC, or null if only one class is present.
+ */
+function computeAuc(labels, scores) {
+  const positives = labels.filter((label) => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+
+  // Average ranks over ties
+  const order = scores
+    .map((score, index) => ({ score, index }))
+    .sort((a, b) => a.score - b.score);
+  const ranks = Array(scores.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].score === order[i].score) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  const positiveRankSum = labels.reduce(
+    (sum, label, index) => (label === 1 ? sum + ranks[index] : sum),
+    0
+  );
+  return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Precision@k and NDCG@k for one customer.
+ * @param {Array} labels - 0/1 labels per product.
+ * @param {Array} scores - Predicted scores per product.
+ * @param {Number} k - Cutoff.
+ * @returns {Object} { precision, ndcg }
+ */
+function rankingAtK(labels, scores, k) {
+  const top = scores
+    .map((score, index) => ({ score, index }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+
+  const hits = top.filter(({ index }) => labels[index] === 1).length;
+  const dcg = top.reduce(
+    (sum, { index }, position) => sum + labels[index] / Math.log2(position + 2),
+    0
+  );
+  const idealHits = Math.min(k, labels.filter((label) => label === 1).length);
+  let idcg = 0;
+  for (let position = 0; position < idealHits; position++) {
+    idcg += 1 / Math.log2(position + 2);
+  }
+
+  return { precision: hits / k, ndcg: idcg > 0 ? dcg / idcg : 0 };
+}
+
+/**
+ * Round a metric for the report, keeping nulls.
+ * @param {Number|null} value - Metric value.
+ * @returns {Number|null} Value rounded to 4 decimals.
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Compute per-product classification metrics and ranking metrics.
+ * @param {Array} labels - One 0/1 label row per customer.
+ * @param {Array} predictions - One score row per customer.
+ * @param {Array} products - Catalog products, in model output order.
+ * @param {Object} [options] - { threshold, ks }
+ * @returns {Object} { perProduct, macro, ranking }
+ */
+function evaluatePredictions(
+  labels,
+  predictions,
+  products,
+  { threshold = DEFAULT_THRESHOLD, ks = RANKING_KS } = {}
+) {
+  const perProduct = products.map((product, p) => {
+    const productLabels = labels.map((row) => row[p]);
+    const productScores = predictions.map((row) => row[p]);
+
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    productLabels.forEach((label, i) => {
+      const predicted = productScores[i] >= threshold ? 1 : 0;
+      if (predicted === 1 && label === 1) truePositives++;
+      if (predicted === 1 && label === 0) falsePositives++;
+      if (predicted === 0 && label === 1) falseNegatives++;
+    });
+
+    const precision =
+      truePositives + falsePositives > 0
+        ? truePositives / (truePositives + falsePositives)
+        : null;
+    const recall =
+      truePositives + falseNegatives > 0
+        ? truePositives / (truePositives + falseNegatives)
+        : null;
+    const f1 =
+      precision !== null && recall !== null && precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : null;
+
+    return {
+      productId: product.id,
+      productName: product.name,
+      support: truePositives + falseNegatives,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1),
+      auc: round(computeAuc(productLabels, productScores)),
+    };
+  });
+
+  // Macro averages skip products where a metric is undefined (e.g. no positives)
+  const macro = {};
+  ['precision', 'recall', 'f1', 'auc'].forEach((metric) => {
+    const values = perProduct.map((p) => p[metric]).filter((v) => v !== null);
+    macro[metric] = values.length
+      ? round(values.reduce((a, b) => a + b, 0) / values.length)
+      : null;
+  });
+
+  // Ranking metrics over customers with at least one positive label
+  const ranked = labels
+    .map((row, i) => ({ row, scores: predictions[i] }))
+    .filter(({ row }) => row.includes(1));
+  const ranking = {};
+  ks.forEach((k) => {
+    const results = ranked.map(({ row, scores }) => rankingAtK(row, scores, k));
+    const mean = (key) =>
+      results.length
+        ? round(results.reduce((sum, r) => sum + r[key], 0) / results.length)
+        : null;
+    ranking[`@${k}`] = { precision: mean('precision'), ndcg: mean('ndcg') };
+  });
+
+  return { perProduct, macro, ranking };
+}
+
+/**
+ * Build the full evaluation report saved next to the model.
+ * @param {Object} options
+ * @param {Array} options.labels - Test-set labels.
+ * @param {Array} options.predictions - Test-set predictions.
+ * @param {Array} options.products - Catalog products.
+ * @param {Object} options.split - { seed, testFraction, trainSize, testSize, labels }
+ * @param {Number} [options.threshold] - Classification threshold.
+ * @returns {Object} Evaluation report.
+ */
+function buildReport({ labels, predictions, products, split, threshold = DEFAULT_THRESHOLD }) {
+  return {
+    generatedAt: new Date().toISOString(),
+    split,
+    threshold,
+    ...evaluatePredictions(labels, predictions, products, { threshold }),
+  };
+}
+
+/**
+ * Save an evaluation report into a model directory.
+ * @param {String} modelDir - Model directory.
+ * @param {Object} report - Report from buildReport.
+ */
+function saveReport(modelDir, report) {
+  fs.writeFileSync(path.join(modelDir, REPORT_FILE), JSON.stringify(report, null, 2));
+}
+
+/**
+ * Load the evaluation report saved with a model.
+ * @param {String} modelDir - Model directory.
+ * @returns {Object|null} Report, or null if the model has none.
+ */
+function loadReport(modelDir) {
+  const reportPath = path.join(modelDir, REPORT_FILE);
+  if (!fs.existsSync(reportPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+}
+
+/**
+ * Format a report as readable text tables.
+ * @param {Object} report - Report from buildReport.
+ * @returns {String} Printable report.
+ */
+function formatReport(report) {
+  const show = (value) => (value === null ? '   -  ' : value.toFixed(4));
+  const nameWidth = Math.max(...report.perProduct.map((p) => p.productName.length), 7);
+  const lines = [];
+
+  lines.push(`Evaluation report (${report.generatedAt})`);
+  lines.push(
+    `Test set: ${report.split.testSize} customers, train set: ${report.split.trainSize} ` +
+      `(seed ${report.split.seed}, threshold ${report.threshold})`
+  );
+  const labeling = report.split.labels;
+  if (labeling && labeling.source !== 'rules') {
+    lines.push(
+      `Labels: ${labeling.source}` +
+        (labeling.source === 'blend' ? ` (feedback weight ${labeling.feedbackWeight})` : '')
+    );
+  }
+  lines.push('');
+  lines.push(
+    `${'Product'.padEnd(nameWidth)}  Support  Precision  Recall  F1      AUC`
+  );
+  report.perProduct.forEach((p) => {
+    lines.push(
+      `${p.productName.padEnd(nameWidth)}  ${String(p.support).padStart(7)}  ` +
+        `${show(p.precision).padStart(9)}  ${show(p.recall)}  ${show(p.f1)}  ${show(p.auc)}`
+    );
+  });
+  lines.push(
+    `${'Macro avg'.padEnd(nameWidth)}  ${''.padStart(7)}  ${show(report.macro.precision).padStart(9)}  ` +
+      `${show(report.macro.recall)}  ${show(report.macro.f1)}  ${show(report.macro.auc)}`
+  );
+  lines.push('');
+  lines.push('Ranking   Precision  NDCG');
+  Object.entries(report.ranking).forEach(([k, metrics]) => {
+    lines.push(`${k.padEnd(8)}  ${show(metrics.precision).padStart(9)}  ${show(metrics.ndcg)}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  splitTrainTest,
+  kFoldSplits,
+  createRandom,
+  evaluatePredictions,
+  buildReport,
+  saveReport,
+  loadReport,
+  formatReport,
+  computeAuc,
+  DEFAULT_SEED,
+  DEFAULT_TEST_FRACTION,
+};
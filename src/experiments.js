@@ -0,0 +1,366 @@
+// src/experiments.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { OBJECTIVES } = require('./ranking');
+
+const EXPERIMENTS_PATH =
+  process.env.EXPERIMENTS_PATH || path.join(__dirname, '../data/experiments.json');
+
+// Append-only JSONL log of which variant each customer was shown
+const EXPOSURES_PATH =
+  process.env.EXPOSURES_PATH || path.join(__dirname, '../data/exposures.jsonl');
+
+// Recommendations logged per exposure, so outcomes can be matched to what was shown
+const EXPOSED_PRODUCTS = 5;
+
+// z for a two-sided 95% confidence interval
+const Z_95 = 1.96;
+
+/**
+ * Thrown when the experiments file is malformed. `errors` lists every problem found.
+ */
+class ExperimentConfigError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid experiments ${source}:\n` +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'ExperimentConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check the experiments file. Only one experiment may be active at a time,
+ * since every variant changes the same recommendations.
+ * @param {Object} config - Parsed experiments file ({ experiments }).
+ * @returns {Array} Error descriptions (empty if valid).
+ */
+function validateExperiments(config) {
+  const errors = [];
+  if (!config || !Array.isArray(config.experiments)) {
+    return ['Top-level "experiments" must be an array.'];
+  }
+
+  const ids = new Set();
+  config.experiments.forEach((experiment, index) => {
+    const label = `Experiment ${experiment.id ? `"${experiment.id}"` : `#${index + 1}`}`;
+    if (typeof experiment.id !== 'string' || !/^[\w-]+$/.test(experiment.id)) {
+      errors.push(`${label} needs an id of letters, digits, '-' or '_'.`);
+    } else if (ids.has(experiment.id)) {
+      errors.push(`${label} is defined more than once.`);
+    }
+    ids.add(experiment.id);
+
+    if (typeof experiment.active !== 'boolean') {
+      errors.push(`${label} needs "active": true or false.`);
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      errors.push(`${label} needs at least two variants.`);
+      return;
+    }
+
+    const variantIds = new Set();
+    experiment.variants.forEach((variant, v) => {
+      const variantLabel = `${label} variant ${variant.id ? `"${variant.id}"` : `#${v + 1}`}`;
+      if (typeof variant.id !== 'string' || !/^[\w-]+$/.test(variant.id)) {
+        errors.push(`${variantLabel} needs an id of letters, digits, '-' or '_'.`);
+      } else if (variantIds.has(variant.id)) {
+        errors.push(`${variantLabel} is defined more than once.`);
+      }
+      variantIds.add(variant.id);
+
+      if (typeof variant.weight !== 'number' || !(variant.weight > 0)) {
+        errors.push(`${variantLabel} needs a positive weight.`);
+      }
+      if (variant.model !== undefined && !/^v\d+$/.test(String(variant.model))) {
+        errors.push(`${variantLabel} model must be a registry version such as "v3".`);
+      }
+      if (variant.ranking !== undefined && !(variant.ranking in OBJECTIVES)) {
+        errors.push(
+          `${variantLabel} ranking must be one of ${Object.keys(OBJECTIVES).join(', ')}.`
+        );
+      }
+    });
+    if (experiment.control !== undefined && !variantIds.has(experiment.control)) {
+      errors.push(`${label} control "${experiment.control}" is not one of its variants.`);
+    }
+  });
+
+  const active = config.experiments.filter((experiment) => experiment.active === true);
+  if (active.length > 1) {
+    errors.push(
+      `Only one experiment can be active at a time; active: ${active.map((e) => e.id).join(', ')}.`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Load the experiments file. A missing file means no experiments.
+ * @param {String} [filePath] - Location (default EXPERIMENTS_PATH).
+ * @returns {Array} Experiments.
+ * @throws {ExperimentConfigError} If the file does not parse or is invalid.
+ */
+function loadExperiments(filePath = EXPERIMENTS_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const source = path.basename(filePath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ExperimentConfigError(source, [error.message]);
+  }
+  const errors = validateExperiments(config);
+  if (errors.length > 0) {
+    throw new ExperimentConfigError(source, errors);
+  }
+  return config.experiments;
+}
+
+/**
+ * Assign a customer to a variant. The same acct_id always lands in the same
+ * variant of an experiment, and different experiments split independently.
+ * @param {Object} experiment - Experiment with weighted variants.
+ * @param {String} acctId - Customer account id.
+ * @returns {Object} The assigned variant.
+ */
+function assignVariant(experiment, acctId) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${experiment.id}:${acctId}`)
+    .digest();
+  // First 32 bits of the hash as a uniform number in [0, 1)
+  const bucket = hash.readUInt32BE(0) / 2 ** 32;
+
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight / total;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Append an exposure to the log.
+ * @param {Object} exposure - { experimentId, variant, acctId, modelVersion,
+ * ranking, recommendations }
+ * @param {String} [filePath] - Log location (default EXPOSURES_PATH).
+ * @returns {Object} Stored entry.
+ */
+function logExposure(exposure, filePath = EXPOSURES_PATH) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    experimentId: exposure.experimentId,
+    variant: exposure.variant,
+    acctId: exposure.acctId,
+    modelVersion: exposure.modelVersion,
+    ranking: exposure.ranking,
+    products: exposure.recommendations
+      .slice(0, EXPOSED_PRODUCTS)
+      .map((product) => product.productId),
+  };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Read the exposure log.
+ * @param {String} [filePath] - Log location (default EXPOSURES_PATH).
+ * @returns {Array} Exposure entries, oldest first.
+ */
+function loadExposures(filePath = EXPOSURES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line, index) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        console.warn(`Skipping malformed exposure line ${index + 1}: ${error.message}`);
+        return [];
+      }
+    });
+}
+
+/**
+ * Wilson score interval for a proportion.
+ * @param {Number} successes - Number of successes.
+ * @param {Number} trials - Number of trials.
+ * @returns {Array|null} [low, high], or null without trials.
+ */
+function wilsonInterval(successes, trials) {
+  if (trials === 0) return null;
+  const p = successes / trials;
+  const z2 = Z_95 ** 2;
+  const center = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin =
+    (Z_95 * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials ** 2))) / (1 + z2 / trials);
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Difference between two proportions with a normal-approximation interval.
+ * @param {Object} a - { successes, trials } of the variant.
+ * @param {Object} b - { successes, trials } of the control.
+ * @returns {Object|null} { difference, ci95 }, or null if either has no trials.
+ */
+function differenceInterval(a, b) {
+  if (a.trials === 0 || b.trials === 0) return null;
+  const pa = a.successes / a.trials;
+  const pb = b.successes / b.trials;
+  const se = Math.sqrt((pa * (1 - pa)) / a.trials + (pb * (1 - pb)) / b.trials);
+  return { difference: pa - pb, ci95: [pa - pb - Z_95 * se, pa - pb + Z_95 * se] };
+}
+
+/**
+ * Join exposures with recorded outcomes and compute conversion per variant.
+ * A customer converts when they accept a product they were shown, after their
+ * first exposure. Outcomes from before the experiment do not count.
+ * @param {Object} experiment - Experiment from the experiments file.
+ * @param {Array} exposures - Exposure log entries.
+ * @param {Array} feedback - Feedback entries.
+ * @param {Object} [options] - { objective }: the ranking rules' objective,
+ * reported for variants without their own ranking (default 'score').
+ * @returns {Object} { experimentId, control, variants } where each variant has
+ * customer counts, conversion with a 95% interval, acceptance among pitched
+ * products, and the difference in conversion from the control.
+ */
+function buildExperimentReport(experiment, exposures, feedback, { objective = 'score' } = {}) {
+  // First exposure and every product shown, per customer
+  const shown = new Map();
+  exposures
+    .filter((exposure) => exposure.experimentId === experiment.id)
+    .forEach((exposure) => {
+      const seen = shown.get(exposure.acctId);
+      if (!seen) {
+        shown.set(exposure.acctId, {
+          variant: exposure.variant,
+          firstSeen: exposure.timestamp,
+          exposures: 1,
+          products: new Set(exposure.products),
+        });
+        return;
+      }
+      seen.exposures++;
+      exposure.products.forEach((productId) => seen.products.add(productId));
+    });
+
+  const stats = new Map(
+    experiment.variants.map((variant) => [
+      variant.id,
+      { customers: 0, exposures: 0, converted: 0, accepted: 0, pitched: 0 },
+    ])
+  );
+  const outcomesByCustomer = new Map();
+  feedback.forEach((entry) => {
+    if (!outcomesByCustomer.has(entry.acctId)) {
+      outcomesByCustomer.set(entry.acctId, []);
+    }
+    outcomesByCustomer.get(entry.acctId).push(entry);
+  });
+
+  shown.forEach((seen, acctId) => {
+    const variantStats = stats.get(seen.variant);
+    // Exposures of variants since removed from the config are not reported
+    if (!variantStats) return;
+    variantStats.customers++;
+    variantStats.exposures += seen.exposures;
+
+    const outcomes = (outcomesByCustomer.get(acctId) || []).filter(
+      (entry) => entry.recordedAt >= seen.firstSeen && seen.products.has(entry.productId)
+    );
+    const pitched = outcomes.filter((entry) => entry.outcome !== 'not-pitched');
+    const accepted = pitched.filter((entry) => entry.outcome === 'accepted');
+    variantStats.pitched += pitched.length;
+    variantStats.accepted += accepted.length;
+    if (accepted.length > 0) variantStats.converted++;
+  });
+
+  const control = experiment.control || experiment.variants[0].id;
+  const controlStats = stats.get(control);
+  return {
+    experimentId: experiment.id,
+    control,
+    variants: experiment.variants.map((variant) => {
+      const s = stats.get(variant.id);
+      const vsControl =
+        variant.id === control
+          ? null
+          : differenceInterval(
+              { successes: s.converted, trials: s.customers },
+              { successes: controlStats.converted, trials: controlStats.customers }
+            );
+      return {
+        variant: variant.id,
+        model: variant.model || null,
+        ranking: variant.ranking || objective,
+        customers: s.customers,
+        exposures: s.exposures,
+        converted: s.converted,
+        conversionRate: s.customers > 0 ? s.converted / s.customers : null,
+        conversionCi95: wilsonInterval(s.converted, s.customers),
+        pitched: s.pitched,
+        accepted: s.accepted,
+        acceptanceRate: s.pitched > 0 ? s.accepted / s.pitched : null,
+        acceptanceCi95: wilsonInterval(s.accepted, s.pitched),
+        vsControl,
+      };
+    }),
+  };
+}
+
+/**
+ * Format an experiment report as a text table.
+ * @param {Object} report - Output of buildExperimentReport.
+ * @returns {String} Report text.
+ */
+function formatExperimentReport(report) {
+  const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  const interval = (ci) => (ci ? `[${percent(ci[0])}, ${percent(ci[1])}]` : '-');
+  const width = Math.max(...report.variants.map((v) => v.variant.length), 7);
+
+  const lines = [`Experiment ${report.experimentId} (control: ${report.control})`, ''];
+  lines.push(
+    `${'Variant'.padEnd(width)}  Customers  Converted  Conversion (95% CI)          ` +
+      `Acceptance (95% CI)          vs control (95% CI)`
+  );
+  report.variants.forEach((v) => {
+    const conversion = `${percent(v.conversionRate)} ${interval(v.conversionCi95)}`;
+    const acceptance = `${percent(v.acceptanceRate)} ${interval(v.acceptanceCi95)}`;
+    const difference = v.vsControl
+      ? `${v.vsControl.difference >= 0 ? '+' : ''}${percent(v.vsControl.difference)} ` +
+        interval(v.vsControl.ci95)
+      : '-';
+    lines.push(
+      `${v.variant.padEnd(width)}  ${String(v.customers).padStart(9)}  ${String(v.converted).padStart(9)}  ` +
+        `${conversion.padEnd(27)}  ${acceptance.padEnd(27)}  ${difference}`
+    );
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  EXPOSURES_PATH,
+  ExperimentConfigError,
+  validateExperiments,
+  loadExperiments,
+  assignVariant,
+  logExposure,
+  loadExposures,
+  buildExperimentReport,
+  formatExperimentReport,
+};
@@ -0,0 +1,435 @@
+// src/featurePipeline.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Bump when features, encoders or their order change so old models are refused
+const PIPELINE_VERSION = 2;
+
+const SCHEMA_FILE = 'featureSchema.json';
+
+// Bucket for categorical values that were not seen in the training data
+const OTHER = 'other';
+
+// Continuous features, min-max normalized before they reach the model
+const CONTINUOUS_FEATURES = [
+  'total_devices',
+  'avg_bandwidth_usage',
+  'network_speed',
+  'tx_avg_bps',
+  'rx_p95_bps',
+  'tx_p95_bps',
+  'rx_max_bps',
+  'tx_max_bps',
+  'rssi_mean',
+  'rssi_median',
+  'rssi_max',
+  'rssi_min',
+];
+
+// Categorical features, one-hot encoded in this order. Fixed encoders keep
+// their values; learned encoders take their vocabulary from the training data.
+const CATEGORICAL_ENCODERS = [
+  { feature: 'coverage_size', values: ['Small', 'Medium', 'Large'] },
+  { feature: 'state', learned: true },
+  { feature: 'region', learned: true, option: 'regions' },
+];
+
+const DEFAULT_OPTIONS = {
+  // Add a one-hot column for values outside the learned vocabulary
+  otherBucket: true,
+  // Values seen fewer times than this in training go to the 'other' bucket, so
+  // the model also learns what 'other' looks like
+  minCategoryCount: 2,
+  // Group states into US Census regions as an extra categorical feature
+  regions: false,
+  // Add the share of training customers in the same city as a continuous feature
+  cityFrequency: true,
+};
+
+// US Census Bureau regions
+const STATE_REGIONS = {
+  Northeast: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT', 'NJ', 'NY', 'PA'],
+  Midwest: ['IL', 'IN', 'MI', 'OH', 'WI', 'IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'],
+  South: [
+    'DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV',
+    'AL', 'KY', 'MS', 'TN', 'AR', 'LA', 'OK', 'TX',
+  ],
+  West: [
+    'AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY',
+    'AK', 'CA', 'HI', 'OR', 'WA',
+  ],
+};
+
+/**
+ * Look up the Census region of a state.
+ * @param {String} state - Two-letter state code.
+ * @returns {String} Region name, or '' if the state is unknown.
+ */
+function getRegion(state) {
+  const code = String(state || '').toUpperCase();
+  const region = Object.keys(STATE_REGIONS).find((name) =>
+    STATE_REGIONS[name].includes(code)
+  );
+  return region || '';
+}
+
+/**
+ * Normalize a city name so 'Plano' and 'PLANO ' count as the same city.
+ * @param {String} city - City name.
+ * @returns {String} Normalized key.
+ */
+function cityKey(city) {
+  return String(city || '').trim().toUpperCase();
+}
+
+/**
+ * Add derived fields that do not depend on training data.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} Customer with derived fields (region) added.
+ */
+function deriveFeatures(customer) {
+  return { ...customer, region: getRegion(customer.state) };
+}
+
+/**
+ * Learn the pipeline schema from training customers: categorical vocabularies,
+ * city frequencies and the ordered list of model inputs.
+ * @param {Array} customers - Customers from deriveFeatures.
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {Object} Feature schema.
+ */
+function fitPipeline(customers, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const categoricalEncoders = CATEGORICAL_ENCODERS.filter(
+    (encoder) => !encoder.option || settings[encoder.option]
+  ).map((encoder) => {
+    if (!encoder.learned) {
+      return {
+        feature: encoder.feature,
+        values: encoder.values,
+        folded: [],
+        other: false,
+      };
+    }
+    const counts = {};
+    customers.forEach((customer) => {
+      const value = String(customer[encoder.feature] || '');
+      if (value) counts[value] = (counts[value] || 0) + 1;
+    });
+    const values = Object.keys(counts)
+      .filter((value) => counts[value] >= settings.minCategoryCount)
+      .sort();
+    // Rare values were seen in training but share the 'other' column
+    const folded = Object.keys(counts)
+      .filter((value) => !values.includes(value))
+      .sort();
+    return {
+      feature: encoder.feature,
+      values,
+      folded,
+      other: settings.otherBucket,
+    };
+  });
+
+  const continuousFeatures = CONTINUOUS_FEATURES.slice();
+  let cityFrequencies = null;
+  if (settings.cityFrequency) {
+    continuousFeatures.push('city_frequency');
+    cityFrequencies = {};
+    customers.forEach((customer) => {
+      const key = cityKey(customer.city);
+      if (key) cityFrequencies[key] = (cityFrequencies[key] || 0) + 1;
+    });
+    Object.keys(cityFrequencies).forEach((key) => {
+      cityFrequencies[key] = cityFrequencies[key] / customers.length;
+    });
+  }
+
+  const schema = {
+    version: PIPELINE_VERSION,
+    options: settings,
+    continuousFeatures,
+    categoricalEncoders,
+    cityFrequencies,
+  };
+  schema.features = featureNames(schema);
+  schema.inputSize = schema.features.length;
+  return schema;
+}
+
+/**
+ * Names of the one-hot columns produced by the categorical encoders.
+ * @param {Object} schema - Feature schema.
+ * @returns {Array} Column names such as 'coverage_size_Small' or 'state_other'.
+ */
+function categoricalFeatureNames(schema) {
+  return schema.categoricalEncoders.flatMap(({ feature, values, other }) =>
+    values.concat(other ? [OTHER] : []).map((value) => `${feature}_${value}`)
+  );
+}
+
+/**
+ * Model input columns, in the order the model expects them.
+ * @param {Object} schema - Feature schema.
+ * @returns {Array} Feature names.
+ */
+function featureNames(schema) {
+  return schema.continuousFeatures.concat(categoricalFeatureNames(schema));
+}
+
+/**
+ * List the categorical values of a customer that the schema has never seen.
+ * @param {Object} schema - Feature schema.
+ * @param {Object} customer - Customer from deriveFeatures.
+ * @returns {Array} Array of { feature, value }.
+ */
+function findUnseenCategories(schema, customer) {
+  const unseen = [];
+  schema.categoricalEncoders.forEach(({ feature, values, folded = [] }) => {
+    const value = String(customer[feature] || '');
+    const known = values.concat(folded);
+    if (!known.some((seen) => seen.toLowerCase() === value.toLowerCase())) {
+      unseen.push({ feature, value });
+    }
+  });
+  if (schema.cityFrequencies && !schema.cityFrequencies[cityKey(customer.city)]) {
+    unseen.push({ feature: 'city', value: customer.city || '' });
+  }
+  return unseen;
+}
+
+/**
+ * Extract the raw model input row for a customer.
+ * @param {Object} schema - Feature schema.
+ * @param {Object} customer - Customer from deriveFeatures.
+ * @returns {Object} { continuous, categorical } value arrays.
+ */
+function toFeatureRow(schema, customer) {
+  const continuous = schema.continuousFeatures.map((feature) => {
+    if (feature === 'city_frequency') {
+      return schema.cityFrequencies[cityKey(customer.city)] || 0;
+    }
+    return customer[feature] || 0;
+  });
+
+  const categorical = schema.categoricalEncoders.flatMap(
+    ({ feature, values, other }) => {
+      const actual = String(customer[feature] || '').toLowerCase();
+      const oneHot = values.map((value) => (actual === value.toLowerCase() ? 1 : 0));
+      if (other) {
+        oneHot.push(oneHot.includes(1) ? 0 : 1);
+      }
+      return oneHot;
+    }
+  );
+
+  return { continuous, categorical };
+}
+
+/**
+ * Compute min-max normalization parameters over training rows.
+ * @param {Array} rows - Rows from toFeatureRow.
+ * @returns {Object} { inputMax, inputMin } for the continuous features.
+ */
+function fitNormalization(rows) {
+  const size = rows[0].continuous.length;
+  const inputMax = [];
+  const inputMin = [];
+  for (let i = 0; i < size; i++) {
+    inputMax.push(Math.max(...rows.map((row) => row.continuous[i])));
+    inputMin.push(Math.min(...rows.map((row) => row.continuous[i])));
+  }
+  return { inputMax, inputMin };
+}
+
+/**
+ * Normalize feature rows into model inputs: min-max scaled continuous features
+ * followed by the one-hot columns.
+ * @param {Array} rows - Rows from toFeatureRow.
+ * @param {Object} normalizationData - { inputMax, inputMin }
+ * @returns {Array} Array of model input vectors.
+ */
+function normalizeRows(rows, { inputMax, inputMin }) {
+  return rows.map((row) =>
+    row.continuous
+      .map((value, i) => {
+        const denom = inputMax[i] - inputMin[i];
+        return (value - inputMin[i]) / (denom === 0 ? 1e-8 : denom);
+      })
+      .concat(row.categorical)
+  );
+}
+
+/**
+ * Mean of each model input over training rows: the "typical customer" that
+ * attributions compare against.
+ * @param {Array} normalizedRows - Rows from normalizeRows.
+ * @returns {Array} Mean value per model input.
+ */
+function fitBaseline(normalizedRows) {
+  return normalizedRows[0].map(
+    (_, i) => normalizedRows.reduce((sum, row) => sum + row[i], 0) / normalizedRows.length
+  );
+}
+
+/**
+ * Group model input columns by the feature they encode: one column per
+ * continuous feature, one block of one-hot columns per categorical feature.
+ * @param {Object} schema - Feature schema.
+ * @returns {Array} Array of { feature, indices } in input order.
+ */
+function featureGroups(schema) {
+  const groups = schema.continuousFeatures.map((feature, index) => ({
+    feature,
+    indices: [index],
+  }));
+  let offset = schema.continuousFeatures.length;
+  schema.categoricalEncoders.forEach(({ feature, values, other }) => {
+    const width = values.length + (other ? 1 : 0);
+    groups.push({
+      feature,
+      indices: Array.from({ length: width }, (_, i) => offset + i),
+    });
+    offset += width;
+  });
+  return groups;
+}
+
+/**
+ * Save the feature schema into a model directory.
+ * @param {String} modelDir - Model directory.
+ * @param {Object} schema - Feature schema from fitPipeline.
+ */
+function saveSchema(modelDir, schema) {
+  fs.writeFileSync(
+    path.join(modelDir, SCHEMA_FILE),
+    JSON.stringify(schema, null, 2)
+  );
+}
+
+/**
+ * Load the feature schema saved with a model.
+ * @param {String} modelDir - Model directory.
+ * @returns {Object|null} Feature schema, or null if the model has none.
+ */
+function loadSchema(modelDir) {
+  const schemaPath = path.join(modelDir, SCHEMA_FILE);
+  if (!fs.existsSync(schemaPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+}
+
+/**
+ * Describe the first position where two feature lists differ.
+ * @param {String} label - What the lists hold, e.g. 'Continuous feature'.
+ * @param {Array} saved - Names saved with the model.
+ * @param {Array} current - Names the pipeline defines now.
+ * @returns {String|null} Mismatch description, or null if the lists are equal.
+ */
+function firstDifference(label, saved, current) {
+  const length = Math.max(saved.length, current.length);
+  for (let i = 0; i < length; i++) {
+    if (saved[i] !== current[i]) {
+      return (
+        `${label} order differs from the pipeline at position ${i}: ` +
+        `model has "${saved[i] || '(none)'}", pipeline has "${current[i] || '(none)'}".`
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a model and its saved schema agree with the current pipeline:
+ * its version, the continuous and categorical features defined in this module
+ * (with the options it was trained with), and the input and normalization sizes.
+ * @param {Object|null} schema - Schema saved with the model.
+ * @param {Object} model - Loaded tf.LayersModel.
+ * @param {Object} normalizationData - { inputMax, inputMin } saved with the model.
+ * @returns {Array} Array of mismatch descriptions (empty if compatible).
+ */
+function checkCompatibility(schema, model, normalizationData) {
+  const errors = [];
+
+  if (!schema) {
+    return [`No ${SCHEMA_FILE} found next to the model. Retrain to create one.`];
+  }
+  if (schema.version !== PIPELINE_VERSION) {
+    return [
+      `Model was trained with feature pipeline v${schema.version}, current pipeline is v${PIPELINE_VERSION}.`,
+    ];
+  }
+
+  // Compare the saved feature lists with the ones defined above, in case they
+  // changed without a PIPELINE_VERSION bump. Learned vocabularies come from the
+  // training data and are taken as saved.
+  const settings = { ...DEFAULT_OPTIONS, ...schema.options };
+  const continuous = CONTINUOUS_FEATURES.concat(settings.cityFrequency ? ['city_frequency'] : []);
+  const encoders = CATEGORICAL_ENCODERS.filter(
+    (encoder) => !encoder.option || settings[encoder.option]
+  );
+  const orderError =
+    firstDifference('Continuous feature', schema.continuousFeatures, continuous) ||
+    firstDifference(
+      'Categorical feature',
+      schema.categoricalEncoders.map((encoder) => encoder.feature),
+      encoders.map((encoder) => encoder.feature)
+    );
+  if (orderError) {
+    errors.push(orderError);
+  }
+  encoders
+    .filter((encoder) => !encoder.learned)
+    .forEach(({ feature, values }) => {
+      const saved = schema.categoricalEncoders.find((encoder) => encoder.feature === feature);
+      if (saved && saved.values.join() !== values.join()) {
+        errors.push(
+          `Categorical feature "${feature}" values differ: model has ${saved.values.join(', ')}, ` +
+            `pipeline has ${values.join(', ')}.`
+        );
+      }
+    });
+
+  const expected = featureNames(schema);
+
+  const modelInputSize = model.inputs[0].shape[1];
+  if (modelInputSize !== expected.length) {
+    errors.push(
+      `Model expects ${modelInputSize} inputs but the pipeline produces ${expected.length}.`
+    );
+  }
+
+  const continuousCount = schema.continuousFeatures.length;
+  if (
+    !normalizationData ||
+    normalizationData.inputMax.length !== continuousCount ||
+    normalizationData.inputMin.length !== continuousCount
+  ) {
+    errors.push(
+      `Normalization data does not cover the ${continuousCount} continuous features.`
+    );
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PIPELINE_VERSION,
+  DEFAULT_OPTIONS,
+  getRegion,
+  deriveFeatures,
+  fitPipeline,
+  toFeatureRow,
+  featureNames,
+  findUnseenCategories,
+  fitNormalization,
+  normalizeRows,
+  fitBaseline,
+  featureGroups,
+  saveSchema,
+  loadSchema,
+  checkCompatibility,
+};
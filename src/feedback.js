@@ -0,0 +1,246 @@
+// src/feedback.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { countRows, writeFeedback, readFeedback } = require('./storage');
+
+// Outcomes recorded before the store existed, one JSON outcome per line. Imported
+// into the store while its feedback table is empty.
+const FEEDBACK_PATH =
+  process.env.FEEDBACK_PATH || path.join(__dirname, '../data/feedback.jsonl');
+
+const OUTCOMES = ['accepted', 'declined', 'not-pitched'];
+
+// Training label for each outcome. A product that was not pitched says nothing
+// about the customer's interest, so it has no label.
+const OUTCOME_LABELS = { accepted: 1, declined: 0 };
+
+// Where training labels come from: the labeling rules, recorded outcomes, or both
+const LABEL_SOURCES = ['rules', 'feedback', 'blend'];
+
+// Training on feedback alone needs at least this many customers with outcomes
+const MIN_FEEDBACK_CUSTOMERS = 20;
+
+/**
+ * Validate an outcome reported by an agent.
+ * @param {Object} body - { productId, outcome, agent, note, rank }
+ * @param {Array} products - Catalog products.
+ * @returns {Object} { values, errors } - Cleaned values, and every problem found.
+ */
+function validateFeedback(body, products) {
+  const { productId, outcome, agent, note, rank } = body || {};
+  const values = {};
+  const errors = [];
+
+  if (!products.some((product) => product.id === productId)) {
+    errors.push(`productId must be a catalog product id, got "${productId}".`);
+  } else {
+    values.productId = productId;
+  }
+  if (!OUTCOMES.includes(outcome)) {
+    errors.push(`outcome must be one of ${OUTCOMES.join(', ')}.`);
+  } else {
+    values.outcome = outcome;
+  }
+  if (agent !== undefined) {
+    if (typeof agent !== 'string' || agent.trim() === '' || agent.length > 100) {
+      errors.push('agent must be a non-empty string of at most 100 characters.');
+    } else {
+      values.agent = agent.trim();
+    }
+  }
+  if (note !== undefined) {
+    if (typeof note !== 'string' || note.length > 1000) {
+      errors.push('note must be a string of at most 1000 characters.');
+    } else {
+      values.note = note;
+    }
+  }
+  if (rank !== undefined) {
+    if (!Number.isInteger(rank) || rank < 1) {
+      errors.push('rank must be a positive integer.');
+    } else {
+      values.rank = rank;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Read outcomes from a JSONL file. Lines that do not parse (e.g. a write cut
+ * short by a crash) are skipped with a warning.
+ * @param {String} filePath - JSONL file.
+ * @returns {Array} Feedback entries.
+ */
+function readFeedbackFile(filePath) {
+  const entries = [];
+  fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping malformed feedback line ${index + 1}: ${error.message}`);
+      }
+    });
+  return entries;
+}
+
+/**
+ * Import outcomes from a JSONL file into the store. Entries already stored
+ * (same id) are skipped.
+ * @param {String} [filePath] - JSONL file (default FEEDBACK_PATH).
+ * @returns {Object} { read, saved } entry counts.
+ * @throws {Error} If the file does not exist.
+ */
+function importFeedback(filePath = FEEDBACK_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Feedback file ${filePath} not found.`);
+  }
+  const entries = readFeedbackFile(filePath);
+  const saved = writeFeedback(entries);
+  console.log(`Imported ${saved} of ${entries.length} outcomes from ${path.basename(filePath)}.`);
+  return { read: entries.length, saved };
+}
+
+/**
+ * Import FEEDBACK_PATH while the store has no outcomes yet.
+ */
+function seedFeedback() {
+  if (countRows('feedback') === 0 && fs.existsSync(FEEDBACK_PATH)) {
+    importFeedback();
+  }
+}
+
+/**
+ * Save an outcome to the feedback store.
+ * @param {Object} record - { acctId, productId, outcome, agent, note, rank, modelVersion }
+ * @returns {Object} Stored entry with id and recordedAt.
+ */
+function recordFeedback(record) {
+  seedFeedback();
+  const entry = {
+    id: crypto.randomUUID(),
+    recordedAt: new Date().toISOString(),
+    ...record,
+  };
+  writeFeedback([entry]);
+  return entry;
+}
+
+/**
+ * Read every stored outcome, oldest first.
+ * @returns {Array} Feedback entries.
+ */
+function loadFeedback() {
+  seedFeedback();
+  return readFeedback();
+}
+
+/**
+ * Keep the latest outcome for each customer and product.
+ * @param {Array} entries - Feedback entries, oldest first.
+ * @returns {Map} acctId -> Map(productId -> outcome)
+ */
+function latestOutcomes(entries) {
+  const byCustomer = new Map();
+  entries.forEach(({ acctId, productId, outcome }) => {
+    if (!byCustomer.has(acctId)) {
+      byCustomer.set(acctId, new Map());
+    }
+    byCustomer.get(acctId).set(productId, outcome);
+  });
+  return byCustomer;
+}
+
+/**
+ * Build training labels from the rule labels and recorded outcomes.
+ *  - rules: the rule labels, for every customer.
+ *  - feedback: only customers with an accepted or declined outcome; products
+ *    without one count as not taken.
+ *  - blend: every customer; where an outcome exists the label is
+ *    feedbackWeight * outcome + (1 - feedbackWeight) * rule label.
+ * @param {Array} customers - Preprocessed customers.
+ * @param {Array} products - Catalog products.
+ * @param {Array} ruleLabels - 0/1 rule labels per customer.
+ * @param {Array} entries - Feedback entries from loadFeedback.
+ * @param {Object} options - { source, feedbackWeight, minCustomers } where
+ * minCustomers (default MIN_FEEDBACK_CUSTOMERS) applies to source feedback.
+ * @returns {Object} { labels, evalLabels, labeledIndices, summary } where labels
+ * may be soft targets, evalLabels are 0/1 for evaluation and labeledIndices are
+ * the customers to train and evaluate on.
+ * @throws {Error} If source is feedback and too few customers have outcomes.
+ */
+function buildTrainingLabels(
+  customers,
+  products,
+  ruleLabels,
+  entries,
+  { source, feedbackWeight, minCustomers = MIN_FEEDBACK_CUSTOMERS }
+) {
+  const outcomes = latestOutcomes(entries);
+  const counts = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, 0]));
+  let customersWithOutcomes = 0;
+
+  const labels = [];
+  const labeledIndices = [];
+  customers.forEach((customer, index) => {
+    const customerOutcomes = outcomes.get(customer.acct_id) || new Map();
+    let hasLabel = false;
+    const row = products.map((product, p) => {
+      const outcome = customerOutcomes.get(product.id);
+      if (outcome) counts[outcome]++;
+      const label = OUTCOME_LABELS[outcome];
+      if (label === undefined) {
+        return source === 'feedback' ? 0 : ruleLabels[index][p];
+      }
+      hasLabel = true;
+      if (source === 'feedback') return label;
+      if (source === 'blend') {
+        return feedbackWeight * label + (1 - feedbackWeight) * ruleLabels[index][p];
+      }
+      return ruleLabels[index][p];
+    });
+
+    if (hasLabel) customersWithOutcomes++;
+    labels.push(row);
+    if (source !== 'feedback' || hasLabel) {
+      labeledIndices.push(index);
+    }
+  });
+
+  if (source === 'feedback' && customersWithOutcomes < minCustomers) {
+    throw new Error(
+      `Only ${customersWithOutcomes} customers have accepted or declined outcomes; ` +
+        `training on feedback alone needs at least ${minCustomers}. ` +
+        'Use label source "blend" until more outcomes are recorded.'
+    );
+  }
+
+  return {
+    labels,
+    evalLabels: labels.map((row) => row.map((value) => (value >= 0.5 ? 1 : 0))),
+    labeledIndices,
+    summary: {
+      source,
+      feedbackWeight: source === 'blend' ? feedbackWeight : null,
+      records: entries.length,
+      outcomes: counts,
+      customers: customersWithOutcomes,
+    },
+  };
+}
+
+module.exports = {
+  FEEDBACK_PATH,
+  OUTCOMES,
+  LABEL_SOURCES,
+  validateFeedback,
+  recordFeedback,
+  loadFeedback,
+  importFeedback,
+  buildTrainingLabels,
+};
@@ -0,0 +1,310 @@
+// src/labelingRules.js
+
+const fs = require('fs');
+const path = require('path');
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Thrown when the labeling rules file is malformed. `errors` lists every problem found.
+ */
+class LabelingRuleError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid labeling rules ${source}:\n` +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'LabelingRuleError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Split a condition such as `rssi_min < -80 OR coverage_size == Large` into tokens.
+ * @param {String} text - Condition text.
+ * @returns {Array} Array of { type, value } tokens.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\()|(\))|(<=|>=|==|!=|<|>)|(-?\d+(?:\.\d+)?)(?![\w.])|'([^']*)'|"([^"]*)"|([A-Za-z_][\w-]*))/y;
+  let index = 0;
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${index} in "${text}".`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1]) tokens.push({ type: 'lparen' });
+    else if (match[2]) tokens.push({ type: 'rparen' });
+    else if (match[3]) tokens.push({ type: 'comparator', value: match[3] });
+    else if (match[4]) tokens.push({ type: 'number', value: parseFloat(match[4]) });
+    else if (match[5] !== undefined) tokens.push({ type: 'string', value: match[5] });
+    else if (match[6] !== undefined) tokens.push({ type: 'string', value: match[6] });
+    else if (KEYWORDS.includes(match[7].toUpperCase())) {
+      tokens.push({ type: 'keyword', value: match[7].toUpperCase() });
+    } else tokens.push({ type: 'word', value: match[7] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition into an expression tree.
+ * Grammar: or := and (OR and)* ; and := not (AND not)* ;
+ * not := NOT not | '(' or ')' | feature [comparator value]
+ * @param {String} text - Condition text.
+ * @returns {Object} Expression tree.
+ */
+function parseCondition(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = (value) =>
+    peek() && peek().type === 'keyword' && peek().value === value;
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected ${type} in "${text}".`);
+    }
+    return token;
+  };
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isKeyword('OR')) {
+      position++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  }
+
+  function parseAnd() {
+    const terms = [parseNot()];
+    while (isKeyword('AND')) {
+      position++;
+      terms.push(parseNot());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  function parseNot() {
+    if (isKeyword('NOT')) {
+      position++;
+      return { type: 'not', term: parseNot() };
+    }
+    if (peek() && peek().type === 'lparen') {
+      position++;
+      const inner = parseOr();
+      expect('rparen');
+      return inner;
+    }
+
+    const feature = expect('word').value;
+    if (!peek() || peek().type !== 'comparator') {
+      // A bare feature name is true when the feature is set (non-zero)
+      return { type: 'flag', feature };
+    }
+
+    const comparator = expect('comparator').value;
+    const valueToken = tokens[position++];
+    if (!valueToken || !['number', 'string', 'word'].includes(valueToken.type)) {
+      throw new Error(`Expected a value after "${feature} ${comparator}" in "${text}".`);
+    }
+    return { type: 'compare', feature, comparator, value: valueToken.value };
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token after position ${position} in "${text}".`);
+  }
+  return tree;
+}
+
+/**
+ * Evaluate an expression tree against a customer.
+ * @param {Object} tree - Expression tree from parseCondition.
+ * @param {Object} customer - Preprocessed customer data.
+ * @returns {Boolean} True if the condition holds.
+ */
+function evaluateCondition(tree, customer) {
+  switch (tree.type) {
+    case 'or':
+      return tree.terms.some((term) => evaluateCondition(term, customer));
+    case 'and':
+      return tree.terms.every((term) => evaluateCondition(term, customer));
+    case 'not':
+      return !evaluateCondition(tree.term, customer);
+    case 'flag':
+      return Boolean(customer[tree.feature]);
+    case 'compare': {
+      let actual = customer[tree.feature];
+      let expected = tree.value;
+      // Compare text case-insensitively so `coverage_size == large` also matches
+      if (typeof expected === 'string' || typeof actual === 'string') {
+        actual = String(actual).toLowerCase();
+        expected = String(expected).toLowerCase();
+      }
+      switch (tree.comparator) {
+        case '<':
+          return actual < expected;
+        case '<=':
+          return actual <= expected;
+        case '>':
+          return actual > expected;
+        case '>=':
+          return actual >= expected;
+        case '==':
+          return actual === expected;
+        case '!=':
+          return actual !== expected;
+      }
+    }
+  }
+  throw new Error(`Unknown condition node "${tree.type}".`);
+}
+
+/**
+ * List every feature an expression tree reads.
+ * @param {Object} tree - Expression tree.
+ * @returns {Array} Feature names.
+ */
+function collectFeatures(tree) {
+  switch (tree.type) {
+    case 'or':
+    case 'and':
+      return tree.terms.flatMap(collectFeatures);
+    case 'not':
+      return collectFeatures(tree.term);
+    default:
+      return [tree.feature];
+  }
+}
+
+/**
+ * Load the labeling rules file and parse every condition.
+ * @param {String} [filePath] - Rules file. Defaults to LABELING_RULES_PATH or
+ * data/labeling_rules.json.
+ * @returns {Array} Array of rules, each with its parsed `condition` tree.
+ * @throws {LabelingRuleError} If the file is missing or a condition does not parse.
+ */
+function loadLabelingRules(
+  filePath = process.env.LABELING_RULES_PATH ||
+    path.join(__dirname, '../data/labeling_rules.json')
+) {
+  const source = path.basename(filePath);
+  if (!fs.existsSync(filePath)) {
+    throw new LabelingRuleError(source, ['File not found.']);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new LabelingRuleError(source, [error.message]);
+  }
+
+  const errors = [];
+  const rules = (data.rules || []).map((rule, index) => {
+    const label = rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+    try {
+      return { ...rule, condition: parseCondition(rule.when || '') };
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      return { ...rule, condition: null };
+    }
+  });
+
+  if (rules.length === 0) {
+    errors.push('No rules defined.');
+  }
+  if (errors.length > 0) {
+    throw new LabelingRuleError(source, errors);
+  }
+  return rules;
+}
+
+/**
+ * Check that every rule targets a catalog product and only reads known features.
+ * @param {Array} rules - Rules from loadLabelingRules.
+ * @param {Array} products - Catalog products.
+ * @param {Array} featureNames - Features available on preprocessed customers.
+ * @param {String} [source] - Rules file name, used in the error message.
+ * @throws {LabelingRuleError} Listing every unknown product or feature.
+ */
+function validateLabelingRules(
+  rules,
+  products,
+  featureNames,
+  source = 'labeling_rules.json'
+) {
+  const errors = [];
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+    if (!rule.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label} is defined more than once.`);
+    }
+    ids.add(rule.id);
+
+    if (!products.some((product) => product.id === rule.product)) {
+      errors.push(`${label} targets unknown product "${rule.product}".`);
+    }
+    collectFeatures(rule.condition).forEach((feature) => {
+      if (!featureNames.includes(feature)) {
+        errors.push(`${label} references unknown feature "${feature}".`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new LabelingRuleError(source, errors);
+  }
+}
+
+/**
+ * Label every customer with the rules. A product is labeled 1 when any of its
+ * rules matches.
+ * @param {Array} rules - Validated rules.
+ * @param {Array} customers - Preprocessed customers.
+ * @param {Array} products - Catalog products, in model output order.
+ * @returns {Object} { labels, report } - One label row per customer, and how
+ * many customers each rule matched.
+ */
+function applyLabelingRules(rules, customers, products) {
+  const report = rules.map((rule) => ({
+    id: rule.id,
+    product: rule.product,
+    when: rule.when,
+    matched: 0,
+  }));
+
+  const labels = customers.map((customer) => {
+    const label = Array(products.length).fill(0);
+    rules.forEach((rule, ruleIndex) => {
+      if (evaluateCondition(rule.condition, customer)) {
+        label[products.findIndex((p) => p.id === rule.product)] = 1;
+        report[ruleIndex].matched++;
+      }
+    });
+    return label;
+  });
+
+  return { labels, report };
+}
+
+module.exports = {
+  loadLabelingRules,
+  validateLabelingRules,
+  applyLabelingRules,
+  parseCondition,
+  evaluateCondition,
+  collectFeatures,
+  LabelingRuleError,
+};
@@ -4,33 +4,239 @@ const tf = require('@tensorflow/tfjs-node');
 const path = require('path');
 const fs = require('fs');
 const { preprocessCustomers } = require('./dataProcessing');
+const { applyOwnership } = require('./ownership');
+const {
+  toFeatureRow,
+  normalizeRows,
+  loadSchema,
+  checkCompatibility,
+  findUnseenCategories,
+} = require('./featurePipeline');
+const { getVersion, resolvePromotedModel, resolveModelVersion } = require('./modelRegistry');
+const { applyRankingRules } = require('./ranking');
+const { applyConsent } = require('./privacy');
+const {
+  computeAttributions,
+  describeAttributions,
+  topFactors,
+  explainRecommendation,
+} = require('./attribution');
+const { assessNetworkHealth, issuesForProduct, healthNote } = require('./networkHealth');
 
 /**
- * Load the trained TensorFlow.js model.
+ * Thrown when the saved model does not match the current feature pipeline.
+ */
+class ModelSchemaError extends Error {
+  constructor(errors) {
+    super(
+      'Refusing to serve model: it does not match the feature pipeline.\n' +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'ModelSchemaError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read a model and its artifacts from a directory and check it against the
+ * feature schema saved next to it.
+ * @param {String} modelDir - Model directory.
+ * @returns {Promise<Object|null>} { model, normalizationData, featureSchema },
+ * or null if the model could not be read.
+ * @throws {ModelSchemaError} If the input shape or feature order differs.
+ */
+async function readModel(modelDir) {
+  let loadedModel;
+  try {
+    loadedModel = await tf.loadLayersModel(
+      `file://${path.join(modelDir, 'model.json')}`
+    );
+  } catch (error) {
+    console.error('Error loading model:', error);
+    return null;
+  }
+
+  const loadedNormalization = loadNormalizationData(modelDir);
+  const loadedSchema = loadSchema(modelDir);
+  const errors = checkCompatibility(
+    loadedSchema,
+    loadedModel,
+    loadedNormalization
+  );
+  if (errors.length > 0) {
+    loadedModel.dispose();
+    throw new ModelSchemaError(errors);
+  }
+
+  return {
+    model: loadedModel,
+    normalizationData: loadedNormalization,
+    featureSchema: loadedSchema,
+  };
+}
+
+/**
+ * Load the promoted model from the registry (or models/my_model if nothing is
+ * promoted). The model is cached until reloadModel is called.
+ * @throws {ModelSchemaError} If the input shape or feature order differs.
  */
 let model = null;
+let normalizationData = null;
+let featureSchema = null;
+let modelVersion = null;
 async function loadModel() {
   if (!model) {
-    try {
-      model = await tf.loadLayersModel(
-        `file://${path.join(__dirname, '../models/my_model/model.json')}`
-      );
-      console.log('Model loaded successfully.');
-    } catch (error) {
-      console.error('Error loading model:', error);
+    const { version, dir } = resolvePromotedModel();
+    const loaded = await readModel(dir);
+    if (!loaded) {
+      return null;
     }
+
+    ({ model, normalizationData, featureSchema } = loaded);
+    modelVersion = version;
+    console.log(`Model ${version || '(models/my_model)'} loaded successfully.`);
   }
   return model;
 }
 
 /**
- * Load normalization data.
+ * Swap in the currently promoted model without restarting. The old model keeps
+ * serving if the new one cannot be loaded or does not fit the catalog.
+ * @param {Array} [products] - Catalog being served; the new model's outputs
+ * must line up with it (see checkCatalog).
+ * @returns {Promise<String|null>} Version now being served (null for models/my_model).
+ * @throws {ModelSchemaError} If the promoted model does not match the pipeline.
+ * @throws {Error} If it cannot be read or does not match the catalog.
  */
-function loadNormalizationData() {
-  const normalizationPath = path.join(
-    __dirname,
-    '../models/my_model/normalizationData.json'
+async function reloadModel(products) {
+  const { version, dir } = resolvePromotedModel();
+  const loaded = await readModel(dir);
+  if (!loaded) {
+    throw new Error(`Could not load model ${version || '(models/my_model)'}.`);
+  }
+
+  if (products) {
+    const errors = catalogErrors(products, loaded.model, version, products);
+    if (errors.length > 0) {
+      loaded.model.dispose();
+      throw new Error(
+        `Model ${version || '(models/my_model)'} does not match the catalog:\n` +
+          errors.map((error) => `  - ${error}`).join('\n')
+      );
+    }
+  }
+
+  const previous = model;
+  ({ model, normalizationData, featureSchema } = loaded);
+  modelVersion = version;
+  if (previous) previous.dispose();
+  console.log(`Model ${version || '(models/my_model)'} reloaded successfully.`);
+  return modelVersion;
+}
+
+/**
+ * Registered versions served next to the promoted model (e.g. by experiment
+ * variants), keyed by version. Versions never change once registered.
+ */
+const versionModels = new Map();
+
+/**
+ * Load a specific registered model version, cached after the first call.
+ * @param {String} version - Version id such as 'v3'.
+ * @returns {Promise<Object>} { model, normalizationData, featureSchema, version }
+ * @throws {Error} If the version is missing or cannot be read.
+ * @throws {ModelSchemaError} If it does not match the feature pipeline.
+ */
+async function loadModelVersion(version) {
+  if (!versionModels.has(version)) {
+    const { dir } = resolveModelVersion(version);
+    const loaded = await readModel(dir);
+    if (!loaded) {
+      throw new Error(`Could not load model ${version}.`);
+    }
+    versionModels.set(version, { ...loaded, version });
+    console.log(`Model ${version} loaded successfully.`);
+  }
+  return versionModels.get(version);
+}
+
+/**
+ * Pick the model to score with: a specific version, or the promoted one.
+ * @param {String} [version] - Version id; omit for the promoted model.
+ * @returns {Promise<Object|null>} { model, normalizationData, featureSchema,
+ * version }, or null if the promoted model could not be loaded.
+ */
+async function selectModel(version) {
+  if (version && version !== modelVersion) {
+    return loadModelVersion(version);
+  }
+  if (!(await loadModel())) {
+    return null;
+  }
+  return { model, normalizationData, featureSchema, version: modelVersion };
+}
+
+/**
+ * Get the registry version of the model being served.
+ * @returns {String|null} Version id, or null for models/my_model.
+ */
+function getModelVersion() {
+  return modelVersion;
+}
+
+/**
+ * Check a catalog against the models being served. Outputs are read by
+ * position, so each model needs one output per product, and a registered
+ * version must have been trained on the same products in the same order.
+ * models/my_model has no recorded products, so it is held to the order of the
+ * catalog it is being served with, when there is one.
+ * @param {Array} products - Catalog products.
+ * @param {Array} [versions] - Other versions being served, e.g. by experiment variants.
+ * @param {Object} [options] - { servedProducts }: the catalog currently served.
+ * @returns {Promise<Array>} Problems; empty if the catalog fits every model.
+ */
+async function checkCatalog(products, versions = [], { servedProducts } = {}) {
+  const served = [await selectModel()].concat(
+    await Promise.all(versions.map((version) => loadModelVersion(version)))
   );
+  return served
+    .filter(Boolean)
+    .flatMap(({ model: servedModel, version }) =>
+      catalogErrors(products, servedModel, version, servedProducts)
+    );
+}
+
+/**
+ * Check one model's outputs against a catalog, as described in checkCatalog.
+ * @param {Array} products - Catalog products.
+ * @param {Object} servedModel - Loaded model.
+ * @param {String|null} version - Its registry version (null for models/my_model).
+ * @param {Array} [servedProducts] - Catalog models/my_model is served with.
+ * @returns {Array} Problems; empty if the catalog fits the model.
+ */
+function catalogErrors(products, servedModel, version, servedProducts) {
+  const name = `Model ${version || '(models/my_model)'}`;
+  const outputs = servedModel.outputs[0].shape[1];
+  if (outputs !== products.length) {
+    return [`${name} has ${outputs} outputs but the catalog has ${products.length} products.`];
+  }
+  const trained = version
+    ? (getVersion(version) || {}).products
+    : servedProducts && servedProducts.map((product) => product.id);
+  if (!trained) return [];
+  const moved = products.findIndex((product, index) => product.id !== trained[index]);
+  if (moved === -1) return [];
+  return [
+    `${name} output ${moved} is "${trained[moved]}" but the catalog has "${products[moved].id}" there.`,
+  ];
+}
+
+/**
+ * Load normalization data.
+ * @param {String} modelDir - Model directory.
+ */
+function loadNormalizationData(modelDir) {
+  const normalizationPath = path.join(modelDir, 'normalizationData.json');
   if (fs.existsSync(normalizationPath)) {
     const data = fs.readFileSync(normalizationPath, 'utf8');
     return JSON.parse(data);
@@ -41,118 +247,253 @@ function loadNormalizationData() {
 }
 
 /**
- * Get product recommendations for a given customer.
- * @param {Object} customer - Raw customer object.
+ * Count of categorical values seen at prediction time that the model never saw
+ * in training, keyed by feature. They are encoded into the 'other' bucket.
+ */
+const unseenCategoryCounts = {};
+
+// Unseen values named in each summary line, so a batch does not flood the log
+const UNSEEN_EXAMPLES = 3;
+
+/**
+ * Count the categorical values the model has never seen across one scoring run
+ * and log one warning metric per feature.
+ * @param {Object} schema - Feature schema of the model scoring the customers.
+ * @param {Array} customers - Preprocessed customers scored together.
+ */
+function recordUnseenCategories(schema, customers) {
+  const run = {};
+  customers.forEach((customer) => {
+    findUnseenCategories(schema, customer).forEach(({ feature, value }) => {
+      if (!run[feature]) run[feature] = { count: 0, values: new Set() };
+      run[feature].count++;
+      run[feature].values.add(value);
+    });
+  });
+
+  Object.entries(run).forEach(([feature, { count, values }]) => {
+    unseenCategoryCounts[feature] = (unseenCategoryCounts[feature] || 0) + count;
+    const examples = [...values]
+      .slice(0, UNSEEN_EXAMPLES)
+      .map((value) => `"${value}"`)
+      .join(', ');
+    console.warn(
+      `[metric] unseen_category feature=${feature} customers=${count} ` +
+        `values=${values.size} total=${unseenCategoryCounts[feature]} examples=${examples}`
+    );
+  });
+}
+
+/**
+ * Get the running counts of unseen categorical values.
+ * @returns {Object} Counts keyed by feature.
+ */
+function getUnseenCategoryCounts() {
+  return { ...unseenCategoryCounts };
+}
+
+/**
+ * Score every product for many customers with one model.predict per batch.
+ * @param {Array} customers - Raw customer objects.
  * @param {Array} products - Array of product objects.
- * @returns {Array} Array of all products ranked with scores and explanations.
- */
-async function getRecommendations(customer, products) {
-  await loadModel();
-
-  // Preprocess the customer data
-  const preprocessedCustomer = preprocessCustomers([customer])[0];
-
-  // Define feature names
-  const continuousFeatures = [
-    'total_devices',
-    'avg_bandwidth_usage',
-    'network_speed',
-    'tx_avg_bps',
-    'rx_p95_bps',
-    'tx_p95_bps',
-    'rx_max_bps',
-    'tx_max_bps',
-    'rssi_mean',
-    'rssi_median',
-    'rssi_max',
-    'rssi_min',
-  ];
-  const categoricalFeatures = [
-    'coverage_size_Small',
-    'coverage_size_Medium',
-    'coverage_size_Large',
-    'state_TX',
-    'state_CA',
-    'state_CT',
-    'state_FL',
-    'state_OH',
-    'state_IN',
-    'state_PA',
-    'state_WV',
-    'state_IL',
-    'state_NV',
-    // Add more states if necessary
-  ];
+ * @param {Object} [options] - { batchSize, explain, modelVersion }. batchSize is
+ * rows per model.predict call; explain (default true) adds per-feature
+ * attributions to every scored product; modelVersion scores with a specific
+ * registered version instead of the promoted model.
+ * @returns {Array|null} One { preprocessedCustomer, rankedProducts } per
+ * customer, or null if the model could not be loaded.
+ */
+async function scoreCustomers(
+  customers,
+  products,
+  { batchSize = 512, explain = true, modelVersion: version } = {}
+) {
+  const selected = await selectModel(version);
+  if (!selected) {
+    return null;
+  }
+  const { model, normalizationData, featureSchema } = selected;
 
-  // Extract features
-  const inputContinuous = continuousFeatures.map(
-    (feature) => preprocessedCustomer[feature] || 0
-  );
-  const inputCategorical = categoricalFeatures.map(
-    (feature) => preprocessedCustomer[feature] || 0
+  // Preprocess the customer data and build the normalized model inputs
+  const preprocessedCustomers = preprocessCustomers(customers);
+  recordUnseenCategories(featureSchema, preprocessedCustomers);
+  const featureRows = preprocessedCustomers.map((customer) =>
+    toFeatureRow(featureSchema, customer)
   );
+  const normalizedRows = normalizeRows(featureRows, normalizationData);
 
-  // Load normalization data
-  const normalizationData = loadNormalizationData();
-  if (!normalizationData) {
-    console.error('Normalization data is missing.');
-    return [];
+  // Make predictions
+  const predictions = [];
+  for (let start = 0; start < normalizedRows.length; start += batchSize) {
+    const inputTensor = tf.tensor2d(
+      normalizedRows.slice(start, start + batchSize)
+    );
+    const prediction = model.predict(inputTensor);
+    predictions.push(...prediction.arraySync());
+    inputTensor.dispose();
+    prediction.dispose();
   }
 
-  // Convert to tensor and normalize continuous inputs
-  const inputTensor = tf.tensor2d([inputContinuous]);
-  const inputMax = tf.tensor2d([normalizationData.inputMax]);
-  const inputMin = tf.tensor2d([normalizationData.inputMin]);
+  // Why the model gave each score, feature by feature
+  const attributions = explain
+    ? computeAttributions(
+        model,
+        featureSchema,
+        normalizationData,
+        normalizedRows,
+        predictions,
+        { batchSize }
+      )
+    : null;
 
-  const denom = inputMax.sub(inputMin);
-  const isZeroDenom = denom.equal(0);
-  const safeDenom = denom.add(isZeroDenom.mul(1e-8));
+  return preprocessedCustomers.map((preprocessedCustomer, row) => {
+    // Create a list of products with scores
+    const rankedProducts = products.map((product, index) => ({
+      rank: index + 1, // Temporary rank, will be updated after sorting
+      productId: product.id,
+      productName: product.name,
+      category: product.category,
+      score: predictions[row][index],
+      features: product.features,
+      price: product.price,
+      billing: product.billing,
+      unit: product.unit,
+      attributions: attributions
+        ? describeAttributions(preprocessedCustomer, attributions[row][index])
+        : [],
+    }));
 
-  const normalizedContinuousInput = inputTensor.sub(inputMin).div(safeDenom);
+    // Sort the products based on the prediction scores in descending order
+    rankedProducts.sort((a, b) => b.score - a.score);
 
-  // Combine normalized continuous features with categorical features
-  const categoricalTensor = tf.tensor2d([inputCategorical]);
-  const normalizedInput = normalizedContinuousInput.concat(categoricalTensor, 1);
+    return {
+      preprocessedCustomer,
+      rankedProducts,
+      input: featureRows[row],
+      normalizedInput: normalizedRows[row],
+      prediction: predictions[row],
+    };
+  });
+}
 
-  // Make prediction
-  const prediction = model.predict(normalizedInput);
-  const predictionArray = prediction.arraySync()[0];
+/**
+ * Score every product for a given customer with the model.
+ * @param {Object} customer - Raw customer object.
+ * @param {Array} products - Array of product objects.
+ * @param {Object} [options] - { modelVersion } to score with a specific version.
+ * @returns {Object|null} { preprocessedCustomer, rankedProducts } sorted by
+ * score, or null if the model could not be loaded.
+ */
+async function scoreProducts(customer, products, { modelVersion: version } = {}) {
+  const scored = await scoreCustomers([customer], products, { modelVersion: version });
+  if (!scored) {
+    return null;
+  }
+  const { preprocessedCustomer, rankedProducts } = scored[0];
+  return { preprocessedCustomer, rankedProducts };
+}
 
-  // Create a list of products with scores
-  const rankedProducts = products.map((product, index) => ({
-    rank: index + 1, // Temporary rank, will be updated after sorting
-    productName: product.name,
-    score: predictionArray[index],
-    features: product.features,
-    price: product.price,
-  }));
+/**
+ * Turn scored products into the final recommendations for one customer:
+ * ownership filtering, marketing consent, business rules, ranks and explanations.
+ * @param {Object} preprocessedCustomer - Preprocessed customer data.
+ * @param {Array} rankedProducts - Scored products, sorted by score.
+ * @param {Array} products - Array of product objects.
+ * @param {Object} [options] - { ranking } objective from OBJECTIVES, overriding
+ * the one in the ranking rules, and { useName } false to leave the customer's
+ * name out of the explanations.
+ * @returns {Object} { recommendations, excluded }
+ */
+function rankRecommendations(
+  preprocessedCustomer,
+  rankedProducts,
+  products,
+  { ranking, useName } = {}
+) {
+  // Drop products the customer already owns and mark upgrade paths
+  const owned = applyOwnership(preprocessedCustomer, rankedProducts, products);
 
-  // Sort the products based on the prediction scores in descending order
-  rankedProducts.sort((a, b) => b.score - a.score);
+  // Drop categories the customer opted out of being marketed
+  const consented = applyConsent(preprocessedCustomer, owned.recommendations);
 
-  // Update rank after sorting
-  rankedProducts.forEach((product, index) => {
+  // Business rules: eligibility, objective, boosts, caps and pins
+  const reranked = applyRankingRules(preprocessedCustomer, consented.allowed, {
+    objective: ranking,
+  });
+  const { recommendations } = reranked;
+  const excluded = owned.excluded
+    .concat(consented.excluded)
+    .map((product) => ({ ...product, rules: [] }))
+    .concat(reranked.excluded);
+
+  // Update rank after filtering
+  recommendations.forEach((product, index) => {
     product.rank = index + 1;
   });
 
-  // Generate explanations for each product
-  const rankedProductsWithExplanations = rankedProducts.map((product) => {
-    const explanation = generateAIExplanation(preprocessedCustomer, product);
+  // Explain each product by the features that drove its score, and cite the
+  // network check where it found a problem the product addresses
+  const health = assessNetworkHealth(preprocessedCustomer);
+  const rankedProductsWithExplanations = recommendations.map((product) => {
+    const factors = topFactors(preprocessedCustomer, product.attributions);
+    const note = healthNote(health, product);
+    const explanation = explainRecommendation(preprocessedCustomer, product, factors, {
+      useName,
+    });
     return {
       rank: product.rank,
+      productId: product.productId,
       productName: product.productName,
+      category: product.category,
       score: product.score,
+      rankingScore: product.rankingScore,
       price: product.price,
-      explanation: explanation,
+      billing: product.billing,
+      unit: product.unit,
+      upgradeFrom: product.upgradeFrom,
+      expectedRevenue: product.expectedRevenue,
+      rules: product.rules,
+      explanation: note ? `${explanation} ${note}` : explanation,
+      factors,
+      healthIssues: issuesForProduct(health, product).map((issue) => issue.code),
+      attributions: product.attributions,
     };
   });
 
-  // Debugging Logs
-  console.log('Input features:', inputContinuous.concat(inputCategorical));
-  console.log('Normalized input:', normalizedInput.arraySync());
-  console.log('Model prediction:', predictionArray);
+  return { recommendations: rankedProductsWithExplanations, excluded };
+}
+
+/**
+ * Get product recommendations for a given customer.
+ * @param {Object} customer - Raw customer object.
+ * @param {Array} products - Array of product objects.
+ * @param {Object} [options] - { modelVersion, ranking } to score with a specific
+ * model version and order by a specific ranking objective, e.g. for an
+ * experiment variant, and { useName } false to leave the customer's name out
+ * of the explanations.
+ * @returns {Object} { recommendations, excluded } - Ranked products with scores
+ * and explanations, plus the owned, covered, opted-out or ineligible products
+ * that were dropped and why.
+ */
+async function getRecommendations(
+  customer,
+  products,
+  { modelVersion: version, ranking, useName } = {}
+) {
+  const scored = await scoreProducts(customer, products, { modelVersion: version });
+  if (!scored) {
+    return { recommendations: [], excluded: [] };
+  }
+
+  const { recommendations, excluded } = rankRecommendations(
+    scored.preprocessedCustomer,
+    scored.rankedProducts,
+    products,
+    { ranking, useName }
+  );
+
   console.log('Top 3 Recommended products:');
-  rankedProductsWithExplanations.slice(0, 3).forEach((prod) => {
+  recommendations.slice(0, 3).forEach((prod) => {
     console.log(
       `${prod.rank}: ${prod.productName} | Score: ${prod.score.toFixed(
         4
@@ -160,72 +501,47 @@ async function getRecommendations(customer, products) {
     );
   });
 
-  return rankedProductsWithExplanations;
-}
-
-/**
- * Generate explanations for a recommended product based on customer data and product features.
- * @param {Object} customer - Preprocessed customer data.
- * @param {Object} product - Product object.
- * @returns {String} Generated explanation.
- */
-function generateAIExplanation(customer, product) {
-  // Extract customer details
-  const name = customer.customerName || 'Valued Customer';
-  const devices = customer.total_devices;
-  const avgBandwidth = (customer.avg_bandwidth_usage / 1e6).toFixed(2); // Convert to Mbps
-  const coverageSize = customer.coverage_size;
-  const networkSpeed = customer.network_speed;
-  const state = getState(customer);
-  const rssiMean = customer.rssi_mean;
-  const rssiMin = customer.rssi_min;
-
-  // Initialize explanation
-  let explanation = `Hi ${name}, based on your current setup, we recommend ${product.productName}.`;
-
-  // Customize explanation based on product
-  if (product.productName.toLowerCase().includes('fiber')) {
-    explanation += ` With your network speed of ${networkSpeed} Mbps and average bandwidth usage of ${avgBandwidth} Mbps, upgrading to ${product.productName} can provide you with faster and more reliable internet connectivity.`;
-  } else if (product.productName.toLowerCase().includes('whole-home wi-fi')) {
-    explanation += ` Considering you have ${devices} devices and a ${coverageSize} coverage area, ${product.productName} can help eliminate dead zones and ensure seamless connectivity throughout your home.`;
-  } else if (product.productName.toLowerCase().includes('wi-fi security plus')) {
-    explanation += ` Enhancing your security with ${product.productName} ensures comprehensive protection for all your devices, safeguarding against potential threats and vulnerabilities.`;
-  } else if (product.productName.toLowerCase().includes('wi-fi security')) {
-    explanation += ` To protect your network from malicious sites and potential cyber threats, ${product.productName} offers advanced security features tailored to your needs.`;
-  } else if (product.productName.toLowerCase().includes('total shield')) {
-    explanation += ` Given your high bandwidth usage and the need for robust security measures, ${product.productName} provides comprehensive protection for your network and devices.`;
-  } else if (product.productName.toLowerCase().includes('my premium tech pro')) {
-    explanation += ` Managing ${devices} devices can be challenging. ${product.productName} offers premium technical support to ensure all your devices run smoothly and efficiently.`;
-  } else if (product.productName.toLowerCase().includes('identity protection')) {
-    explanation += ` Living in ${state}, ${product.productName} helps safeguard your personal information, ensuring your data remains secure and protected from unauthorized access.`;
-  } else if (product.productName.toLowerCase().includes('youtube tv')) {
-    explanation += ` With your streaming needs and network capabilities, ${product.productName} offers a seamless TV experience without the need for additional hardware.`;
-  } else if (product.productName.toLowerCase().includes('additional extender')) {
-    explanation += ` To enhance your Wi-Fi coverage, ${product.productName} can help eliminate dead zones and ensure a strong signal throughout your property.`;
-  } else if (product.productName.toLowerCase().includes('battery back-up for unbreakable wi-fi')) {
-    explanation += ` Ensure uninterrupted internet access during outages with ${product.productName}, providing reliable backup power for your network.`;
-  } else if (product.productName.toLowerCase().includes('unbreakable wi-fi')) {
-    explanation += ` Maintain a stable internet connection even during unexpected outages with ${product.productName}, ensuring your connectivity remains uninterrupted.`;
-  } else {
-    explanation += ` ${product.features.join(' ')}. Consider adding it to enhance your internet experience.`;
-  }
+  console.log(`Excluded ${excluded.length} owned, covered, opted-out or ineligible products.`);
 
-  return explanation;
+  return { recommendations, excluded };
 }
 
 /**
- * Get the state of the customer based on one-hot encoded state features.
- * @param {Object} customer - Preprocessed customer data.
- * @returns {String} State abbreviation or 'Unknown'.
+ * Get product recommendations for many customers with batched prediction.
+ * @param {Array} customers - Raw customer objects.
+ * @param {Array} products - Array of product objects.
+ * @param {Object} [options] - { batchSize } rows per model.predict call, and
+ * { useName } false to leave customers' names out of the explanations.
+ * @returns {Array} One { customer, recommendations, excluded } per customer.
  */
-function getState(customer) {
-  const states = ['TX', 'CA', 'CT', 'FL', 'OH', 'IN', 'PA', 'WV', 'IL', 'NV'];
-  for (const state of states) {
-    if (customer[`state_${state}`] === 1) {
-      return state;
-    }
+async function getRecommendationsBatch(customers, products, options = {}) {
+  const scored = await scoreCustomers(customers, products, options);
+  if (!scored) {
+    return customers.map((customer) => ({
+      customer,
+      recommendations: [],
+      excluded: [],
+    }));
   }
-  return 'Unknown';
+
+  return scored.map(({ preprocessedCustomer, rankedProducts }, index) => ({
+    customer: customers[index],
+    ...rankRecommendations(preprocessedCustomer, rankedProducts, products, {
+      useName: options.useName,
+    }),
+  }));
 }
 
-module.exports = { getRecommendations };
\ No newline at end of file
+module.exports = {
+  getRecommendations,
+  getRecommendationsBatch,
+  scoreProducts,
+  scoreCustomers,
+  loadModel,
+  reloadModel,
+  loadModelVersion,
+  getModelVersion,
+  checkCatalog,
+  getUnseenCategoryCounts,
+  ModelSchemaError,
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+// src/modelRegistry.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REGISTRY_DIR =
+  process.env.MODEL_REGISTRY_PATH || path.join(__dirname, '../models/registry');
+const REGISTRY_FILE = path.join(REGISTRY_DIR, 'registry.json');
+const METADATA_FILE = 'metadata.json';
+
+// Served when no version has been promoted yet
+const LEGACY_MODEL_DIR = path.join(__dirname, '../models/my_model');
+
+/**
+ * Hash data so a model version records exactly what it was trained on.
+ * @param {*} value - JSON-serializable data (customer records, products...).
+ * @returns {String} SHA-256 hex digest.
+ */
+function hashData(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Read the registry state.
+ * @returns {Object} { promoted, history } where history lists promotions in order.
+ */
+function readState() {
+  if (!fs.existsSync(REGISTRY_FILE)) {
+    return { promoted: null, history: [] };
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+}
+
+/**
+ * Write the registry state atomically, so a watching server never reads a
+ * half-written file.
+ * @param {Object} state - { promoted, history }
+ */
+function writeState(state) {
+  fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+  const tempFile = `${REGISTRY_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, REGISTRY_FILE);
+}
+
+/**
+ * Directory of a model version.
+ * @param {String} version - Version id such as 'v3'.
+ * @returns {String} Directory path.
+ */
+function versionDir(version) {
+  return path.join(REGISTRY_DIR, version);
+}
+
+/**
+ * Read the metadata of a model version.
+ * @param {String} version - Version id.
+ * @returns {Object|null} Metadata, or null if the version does not exist or
+ * its training run never finished.
+ */
+function getVersion(version) {
+  const metadataPath = path.join(versionDir(version), METADATA_FILE);
+  if (!/^v\d+$/.test(version) || !fs.existsSync(metadataPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+}
+
+/**
+ * List every completed model version, oldest first.
+ * @returns {Array} Metadata objects with a `promoted` flag.
+ */
+function listVersions() {
+  if (!fs.existsSync(REGISTRY_DIR)) {
+    return [];
+  }
+  const { promoted } = readState();
+  return fs
+    .readdirSync(REGISTRY_DIR)
+    .filter((name) => /^v\d+$/.test(name))
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)))
+    .map(getVersion)
+    .filter(Boolean)
+    .map((metadata) => ({ ...metadata, promoted: metadata.version === promoted }));
+}
+
+/**
+ * Reserve the next version id and create its directory. The version only
+ * shows up in the registry once finishVersion writes its metadata.
+ * @returns {Object} { version, dir }
+ */
+function createVersion() {
+  fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+  const numbers = fs
+    .readdirSync(REGISTRY_DIR)
+    .filter((name) => /^v\d+$/.test(name))
+    .map((name) => parseInt(name.slice(1)));
+  const version = `v${numbers.length ? Math.max(...numbers) + 1 : 1}`;
+  const dir = versionDir(version);
+  fs.mkdirSync(dir);
+  return { version, dir };
+}
+
+/**
+ * Write the metadata of a finished training run.
+ * @param {String} version - Version id from createVersion.
+ * @param {Object} metadata - { dataHash, catalogHash, hyperparameters, metrics, ... }
+ * @returns {Object} Saved metadata.
+ */
+function finishVersion(version, metadata) {
+  const saved = { version, createdAt: new Date().toISOString(), ...metadata };
+  fs.writeFileSync(
+    path.join(versionDir(version), METADATA_FILE),
+    JSON.stringify(saved, null, 2)
+  );
+  return saved;
+}
+
+/**
+ * Make a version the one the server loads.
+ * @param {String} version - Version id.
+ * @returns {Object} Metadata of the promoted version.
+ * @throws {Error} If the version does not exist.
+ */
+function promoteVersion(version) {
+  const metadata = getVersion(version);
+  if (!metadata) {
+    throw new Error(`Model version "${version}" not found in the registry.`);
+  }
+  const state = readState();
+  if (state.promoted !== version) {
+    state.promoted = version;
+    state.history.push(version);
+    writeState(state);
+  }
+  return metadata;
+}
+
+/**
+ * Go back to the version that was promoted before the current one.
+ * @returns {Object} Metadata of the restored version.
+ * @throws {Error} If there is no earlier promotion.
+ */
+function rollbackVersion() {
+  const state = readState();
+  if (state.history.length < 2) {
+    throw new Error('No earlier promoted version to roll back to.');
+  }
+  state.history.pop();
+  state.promoted = state.history[state.history.length - 1];
+  writeState(state);
+  return getVersion(state.promoted);
+}
+
+/**
+ * Resolve the model the server should load: the promoted version, or
+ * models/my_model when nothing has been promoted.
+ * @returns {Object} { version, dir } where version is null for the fallback.
+ */
+function resolvePromotedModel() {
+  const { promoted } = readState();
+  if (promoted && getVersion(promoted)) {
+    return { version: promoted, dir: versionDir(promoted) };
+  }
+  return { version: null, dir: LEGACY_MODEL_DIR };
+}
+
+/**
+ * Resolve a specific registered version, e.g. one an experiment serves
+ * alongside the promoted model.
+ * @param {String} version - Version id such as 'v3'.
+ * @returns {Object} { version, dir }
+ * @throws {Error} If the version does not exist.
+ */
+function resolveModelVersion(version) {
+  if (!getVersion(version)) {
+    throw new Error(`Model version "${version}" not found in the registry.`);
+  }
+  return { version, dir: versionDir(version) };
+}
+
+/**
+ * Call a function whenever the promoted version changes, e.g. after a
+ * promote or rollback from the CLI.
+ * @param {Function} onChange - Called with no arguments.
+ */
+function watchPromotions(onChange) {
+  let { promoted } = readState();
+  fs.watchFile(REGISTRY_FILE, { interval: 2000 }, () => {
+    const current = readState().promoted;
+    if (current !== promoted) {
+      promoted = current;
+      onChange();
+    }
+  });
+}
+
+module.exports = {
+  hashData,
+  listVersions,
+  getVersion,
+  createVersion,
+  finishVersion,
+  promoteVersion,
+  rollbackVersion,
+  resolvePromotedModel,
+  resolveModelVersion,
+  watchPromotions,
+};
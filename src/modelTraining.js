@@ -6,291 +6,223 @@ const {
   loadProductData,
   preprocessCustomers,
 } = require('./dataProcessing');
+const {
+  loadLabelingRules,
+  validateLabelingRules,
+  applyLabelingRules,
+} = require('./labelingRules');
+const {
+  fitPipeline,
+  toFeatureRow,
+  fitNormalization,
+  normalizeRows,
+  fitBaseline,
+  saveSchema,
+} = require('./featurePipeline');
+const {
+  splitTrainTest,
+  kFoldSplits,
+  createRandom,
+  evaluatePredictions,
+  buildReport,
+  saveReport,
+  formatReport,
+} = require('./evaluation');
+const {
+  hashData,
+  createVersion,
+  finishVersion,
+  promoteVersion,
+} = require('./modelRegistry');
+const { loadTrainingConfig } = require('./trainingConfig');
+const { loadFeedback, buildTrainingLabels } = require('./feedback');
+const { logAcctId } = require('./privacy');
 const path = require('path');
 const fs = require('fs');
 
-async function trainModel() {
-  try {
-    console.log('Starting model training...');
-
-    // Load and preprocess data
-    console.log('Loading customer data...');
-    const customersRaw = await loadCustomerData();
-    console.log(`Loaded ${customersRaw.length} raw customer records.`);
-
-    console.log('Loading product data...');
-    const products = loadProductData();
-    console.log(`Loaded ${products.length} products.`);
-
-    // Check if products are loaded
-    if (products.length === 0) {
-      console.error(
-        'No products found. Please check your product_catalog.md file.'
-      );
-      return;
-    }
-
-    console.log('Preprocessing customer data...');
-    const customers = preprocessCustomers(customersRaw);
-    console.log(`Preprocessed ${customers.length} customer records.`);
-
-    const numProducts = products.length;
-    console.log(`Number of products: ${numProducts}`);
-
-    // Define feature names
-    const continuousFeatures = [
-      'total_devices',
-      'avg_bandwidth_usage',
-      'network_speed',
-      'tx_avg_bps',
-      'rx_p95_bps',
-      'tx_p95_bps',
-      'rx_max_bps',
-      'tx_max_bps',
-      'rssi_mean',
-      'rssi_median',
-      'rssi_max',
-      'rssi_min',
-    ];
-    const categoricalFeatures = [
-      'coverage_size_Small',
-      'coverage_size_Medium',
-      'coverage_size_Large',
-      'state_TX',
-      'state_CA',
-      'state_CT',
-      'state_FL',
-      'state_OH',
-      'state_IN',
-      'state_PA',
-      'state_WV',
-      'state_IL',
-      'state_NV',
-      // Add more states if necessary
-    ];
-
-    console.log('Extracting continuous features...');
-    const continuousInputs = customers.map((customer) =>
-      continuousFeatures.map((feature) => customer[feature] || 0)
-    );
-
-    console.log('Extracting categorical features...');
-    const categoricalInputs = customers.map((customer) =>
-      categoricalFeatures.map((feature) => customer[feature] || 0)
+// Folds used to score search candidates when cross-validation is disabled
+const DEFAULT_SEARCH_FOLDS = 3;
+
+/**
+ * Load customers and products, label them from the rules and/or recorded
+ * outcomes, and hold out a fixed test set.
+ * @param {Object} config - Training config.
+ * @returns {Promise<Object>} { customersRaw, customers, products, labels,
+ * evalLabels, labeling, feedbackHash, trainIndices, testIndices } where labels
+ * are the training targets and evalLabels their 0/1 version for evaluation.
+ */
+async function prepareData(config) {
+  // Load and preprocess data
+  console.log('Loading customer data...');
+  const customersRaw = await loadCustomerData();
+  console.log(`Loaded ${customersRaw.length} raw customer records.`);
+
+  console.log('Loading product data...');
+  // Throws a CatalogValidationError if the catalog is missing or invalid
+  const products = loadProductData();
+  console.log(`Loaded ${products.length} products.`);
+
+  console.log('Preprocessing customer data...');
+  const customers = preprocessCustomers(customersRaw);
+  console.log(`Preprocessed ${customers.length} customer records.`);
+
+  // Hold out a fixed test set so every run is evaluated on the same customers
+  const split = splitTrainTest(customers, {
+    seed: config.seed,
+    testFraction: config.testFraction,
+  });
+  // Define labels from the declarative rules in data/labeling_rules.json
+  console.log('Assigning labels from labeling rules...');
+  const rules = loadLabelingRules();
+  const featureNames = [
+    ...new Set(customers.flatMap((customer) => Object.keys(customer))),
+  ];
+  validateLabelingRules(rules, products, featureNames);
+  const { labels: ruleLabels, report } = applyLabelingRules(rules, customers, products);
+
+  console.log('\n--- Labeling Rule Report ---');
+  report.forEach((rule) => {
+    console.log(`${rule.id} (${rule.product}): ${rule.matched} customers`);
+  });
+  console.log('--- End of Labeling Rule Report ---\n');
+
+  // Recorded outcomes replace or blend with the rule labels
+  const { source, feedbackWeight } = config.labels;
+  const feedback = source === 'rules' ? [] : loadFeedback();
+  const { labels, evalLabels, labeledIndices, summary } = buildTrainingLabels(
+    customers,
+    products,
+    ruleLabels,
+    feedback,
+    { source, feedbackWeight }
+  );
+  if (source !== 'rules') {
+    console.log(
+      `Label source: ${source}${source === 'blend' ? ` (feedback weight ${feedbackWeight})` : ''}. ` +
+        `${summary.records} feedback records, ${summary.customers} customers with outcomes ` +
+        `(${summary.outcomes.accepted} accepted, ${summary.outcomes.declined} declined, ` +
+        `${summary.outcomes['not-pitched']} not pitched).`
     );
+  }
 
-    console.log('Converting inputs to tensors...');
-    const continuousTensor = tf.tensor2d(continuousInputs);
-    const categoricalTensor = tf.tensor2d(categoricalInputs);
-
-    console.log('Normalizing continuous features...');
-    const inputMax = continuousTensor.max(0);
-    const inputMin = continuousTensor.min(0);
-    const denom = inputMax.sub(inputMin);
-    const isZeroDenom = denom.equal(0);
-    const safeDenom = denom.add(isZeroDenom.mul(1e-8));
-
-    const normalizedContinuousInputs = continuousTensor
-      .sub(inputMin)
-      .div(safeDenom);
-
-    console.log('Combining normalized continuous and categorical features...');
-    const normalizedInputs = normalizedContinuousInputs.concat(
-      categoricalTensor,
-      1
-    );
-
-    // Save normalization parameters
-    console.log('Saving normalization data...');
-    const normalizationData = {
-      inputMax: inputMax.arraySync(),
-      inputMin: inputMin.arraySync(),
-    };
-
-    const modelDir = path.join(__dirname, '../models/my_model');
-    if (!fs.existsSync(modelDir)) {
-      fs.mkdirSync(modelDir, { recursive: true });
-      console.log('Created models/my_model directory.');
-    }
-
-    fs.writeFileSync(
-      path.join(modelDir, 'normalizationData.json'),
-      JSON.stringify(normalizationData)
-    );
-    console.log('Normalization data saved.');
-
-    // Define labels based on customer features
-    console.log('Assigning labels based on customer data...');
-    const labels = customers.map((customer, idx) => {
-      const label = Array(numProducts).fill(0);
-
-      // Fiber Speed Tiers
-      if (customer.network_speed <= 500) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'fiber 500'
-        );
-        if (index >= 0) label[index] = 1;
-      } else if (customer.network_speed <= 1000) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'fiber 1 gig'
-        );
-        if (index >= 0) label[index] = 1;
-      } else if (customer.network_speed <= 2000) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'fiber 2 gig'
-        );
-        if (index >= 0) label[index] = 1;
-      } else if (customer.network_speed <= 5000) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'fiber 5 gig'
-        );
-        if (index >= 0) label[index] = 1;
-      } else {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'fiber 7 gig'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // Whole-Home Wi-Fi
-      if (customer.coverage_size_Large === 1 || customer.rssi_min < -80) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'whole-home wi-fi'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // Wi-Fi Security
-      if (
-        !customer.wifi_security &&
-        !customer.wifi_security_plus &&
-        !customer.total_shield &&
-        customer.avg_bandwidth_usage > 1000000
-      ) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'wi-fi security'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // Wi-Fi Security Plus
-      if (customer.wifi_security_plus) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'wi-fi security plus'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // Total Shield
-      if (customer.avg_bandwidth_usage > 5000000) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'total shield'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // My Premium Tech Pro
-      if (customer.total_devices > 15 || customer.rssi_mean < -70) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'my premium tech pro'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // Identity Protection
-      if (customer.state_CA === 1 || customer.state_TX === 1) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'identity protection'
-        );
-        if (index >= 0) label[index] = 1;
-      }
-
-      // YouTube TV
-      if (customer.rx_avg_bps > 10000000) {
-        const index = products.findIndex(
-          (p) => p.name.toLowerCase() === 'youtube tv'
-        );
-        if (index >= 0) label[index] = 1;
+  // Customers without outcomes are left out when training on feedback alone
+  const labeled = new Set(labeledIndices);
+  const trainIndices = split.trainIndices.filter((i) => labeled.has(i));
+  const testIndices = split.testIndices.filter((i) => labeled.has(i));
+  console.log(
+    `Split ${labeledIndices.length} customers into ${trainIndices.length} train and ${testIndices.length} test (seed ${config.seed}).`
+  );
+
+  console.log('Labels assigned.');
+
+  // **New Code: Inspect Labels**
+  const sampleSize = 10; // Adjust as needed
+  console.log('\n--- Label Samples ---');
+  for (let i = 0; i < Math.min(sampleSize, customers.length); i++) {
+    console.log(`Customer: ${logAcctId(customers[i].acct_id)}`);
+    console.log('Labels:');
+    evalLabels[i].forEach((label, idx) => {
+      if (label === 1) {
+        console.log(`  - ${products[idx].name}`);
       }
-
-      // Additional rules can be added here...
-
-      return label;
-    });
-
-    console.log('Labels assigned.');
-
-    // **New Code: Inspect Labels**
-    const sampleSize = 10; // Adjust as needed
-    console.log('\n--- Label Samples ---');
-    for (let i = 0; i < Math.min(sampleSize, customers.length); i++) {
-      console.log(`Customer: ${customers[i].customerName}`);
-      console.log('Labels:');
-      labels[i].forEach((label, idx) => {
-        if (label === 1) {
-          console.log(`  - ${products[idx].name}`);
-        }
-      });
-      console.log('----------------------');
-    }
-    console.log('--- End of Label Samples ---\n');
-
-    // **New Code: Analyze Label Distribution**
-    const labelCounts = {};
-    products.forEach((product) => {
-      labelCounts[product.name] = 0;
     });
-
-    labels.forEach((label) => {
-      label.forEach((val, idx) => {
-        if (val === 1) {
-          labelCounts[products[idx].name]++;
-        }
-      });
+    console.log('----------------------');
+  }
+  console.log('--- End of Label Samples ---\n');
+
+  // **New Code: Analyze Label Distribution**
+  const labelCounts = {};
+  products.forEach((product) => {
+    labelCounts[product.name] = 0;
+  });
+
+  labeledIndices.forEach((i) => {
+    evalLabels[i].forEach((val, idx) => {
+      if (val === 1) {
+        labelCounts[products[idx].name]++;
+      }
     });
+  });
 
-    console.log('\n--- Label Distribution ---');
-    for (const [product, count] of Object.entries(labelCounts)) {
-      console.log(`${product}: ${count}`);
-    }
-    console.log('--- End of Label Distribution ---\n');
-
-    console.log('Converting labels to tensor...');
-    const labelTensor = tf.tensor2d(labels);
-    console.log('Labels tensor created.');
+  console.log('\n--- Label Distribution ---');
+  for (const [product, count] of Object.entries(labelCounts)) {
+    console.log(`${product}: ${count}`);
+  }
+  console.log('--- End of Label Distribution ---\n');
+
+  return {
+    customersRaw,
+    customers,
+    products,
+    labels,
+    evalLabels,
+    labeling: summary,
+    feedbackHash: feedback.length > 0 ? hashData(feedback) : null,
+    trainIndices,
+    testIndices,
+  };
+}
 
-    // Define the model
-    console.log('Defining the model architecture...');
-    const model = tf.sequential();
+/**
+ * Define and compile the network.
+ * @param {Number} inputSize - Number of model inputs.
+ * @param {Number} outputSize - Number of products.
+ * @param {Object} params - { hiddenUnits, dropout, optimizer, learningRate }
+ * @returns {Object} Compiled tf.Sequential model.
+ */
+function buildModel(inputSize, outputSize, params) {
+  const model = tf.sequential();
+  params.hiddenUnits.forEach((units, index) => {
     model.add(
       tf.layers.dense({
-        inputShape: [normalizedInputs.shape[1]],
-        units: 128, // Increased units for better learning
+        ...(index === 0 ? { inputShape: [inputSize] } : {}),
+        units,
         activation: 'relu',
       })
     );
-    model.add(tf.layers.dropout({ rate: 0.3 })); // Dropout layer to prevent overfitting
-    model.add(tf.layers.dense({ units: 64, activation: 'relu' })); // Additional hidden layer
-    model.add(tf.layers.dropout({ rate: 0.3 })); // Another dropout layer
-    model.add(tf.layers.dense({ units: 32, activation: 'relu' })); // Further hidden layer
-    model.add(
-      tf.layers.dense({ units: numProducts, activation: 'sigmoid' })
-    ); // Output layer for multi-label classification
-
-    console.log('Compiling the model...');
-    model.compile({
-      optimizer: 'adam',
-      loss: 'binaryCrossentropy', // Suitable for multi-label classification
-      metrics: ['accuracy'],
-    });
+    // Dropout between hidden layers to prevent overfitting
+    if (index < params.hiddenUnits.length - 1 && params.dropout > 0) {
+      model.add(tf.layers.dropout({ rate: params.dropout }));
+    }
+  });
+  model.add(
+    tf.layers.dense({ units: outputSize, activation: 'sigmoid' })
+  ); // Output layer for multi-label classification
+
+  model.compile({
+    optimizer: tf.train[params.optimizer](params.learningRate),
+    loss: 'binaryCrossentropy', // Suitable for multi-label classification
+    metrics: ['accuracy'],
+  });
+  return model;
+}
 
-    console.log('Starting model training...');
-    const history = await model.fit(normalizedInputs, labelTensor, {
-      epochs: 150, // Increased epochs for better learning
-      batchSize: 16,
-      validationSplit: 0.2,
-      callbacks: {
-        onEpochEnd: (epoch, logs) => {
+/**
+ * Fit a model, stopping once validation loss stops improving and restoring the
+ * weights of the best epoch.
+ * @param {Object} model - Compiled model.
+ * @param {Array} train - [inputs, labels] tensors.
+ * @param {Array} validation - [inputs, labels] tensors.
+ * @param {Object} params - { epochs, batchSize, earlyStopping }
+ * @param {Object} [options] - { verbose } logs every epoch when true.
+ * @returns {Promise<Object>} { bestEpoch, bestValLoss, epochsRun }
+ */
+async function fitWithEarlyStopping(model, train, validation, params, { verbose = false } = {}) {
+  const { patience, minDelta } = params.earlyStopping;
+  let bestValLoss = Infinity;
+  let bestEpoch = 0;
+  let bestWeights = null;
+  let epochsRun = 0;
+  let wait = 0;
+
+  await model.fit(train[0], train[1], {
+    epochs: params.epochs,
+    batchSize: params.batchSize,
+    validationData: validation,
+    callbacks: {
+      onEpochEnd: (epoch, logs) => {
+        epochsRun = epoch + 1;
+        if (verbose) {
           console.log(
             `Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(
               4
@@ -300,22 +232,379 @@ async function trainModel() {
               4
             )}, val_accuracy = ${logs.val_acc.toFixed(4)}`
           );
-        },
-        onTrainEnd: () => {
-          console.log('Training completed.');
-        },
+        }
+
+        // Checkpoint the best epoch in memory
+        if (logs.val_loss < bestValLoss - minDelta) {
+          bestValLoss = logs.val_loss;
+          bestEpoch = epoch + 1;
+          if (bestWeights) tf.dispose(bestWeights);
+          bestWeights = model.getWeights().map((weight) => weight.clone());
+          wait = 0;
+        } else if (patience > 0 && ++wait >= patience) {
+          if (verbose) {
+            console.log(`Early stopping: no improvement for ${patience} epochs.`);
+          }
+          model.stopTraining = true;
+        }
       },
+    },
+  });
+
+  if (bestWeights) {
+    model.setWeights(bestWeights);
+    tf.dispose(bestWeights);
+  }
+  return { bestEpoch, bestValLoss, epochsRun };
+}
+
+/**
+ * Fit the feature pipeline and a model on some customers and evaluate it on
+ * others. A validation set for early stopping is carved out of the fit set.
+ * @param {Object} data - Output of prepareData.
+ * @param {Object} params - Training config.
+ * @param {Array} fitIndices - Customers to train on.
+ * @param {Array} evalIndices - Customers to evaluate on.
+ * @param {Object} [options] - { verbose }
+ * @returns {Promise<Object>} { model, featureSchema, normalizationData,
+ * predictions, evaluation, loss, bestEpoch, epochsRun }
+ */
+async function trainAndEvaluate(data, params, fitIndices, evalIndices, { verbose = false } = {}) {
+  const { customers, products, labels, evalLabels } = data;
+
+  // Features, encoders and normalization come from the shared feature pipeline.
+  // Categorical vocabularies are learned from the fit set only.
+  const fitCustomers = fitIndices.map((i) => customers[i]);
+  const featureSchema = fitPipeline(fitCustomers, params.featureOptions);
+  const featureRows = customers.map((customer) =>
+    toFeatureRow(featureSchema, customer)
+  );
+  const normalizationData = fitNormalization(
+    fitIndices.map((i) => featureRows[i])
+  );
+  const normalizedRows = normalizeRows(featureRows, normalizationData);
+  // Saved with the normalization data as the reference point for attributions
+  normalizationData.baseline = fitBaseline(fitIndices.map((i) => normalizedRows[i]));
+
+  const validationSplit = splitTrainTest(fitCustomers, {
+    seed: params.seed + 1,
+    testFraction: params.validationSplit,
+  });
+  const toTensors = (indices) => [
+    tf.tensor2d(indices.map((i) => normalizedRows[i])),
+    tf.tensor2d(indices.map((i) => labels[i])),
+  ];
+  const train = toTensors(validationSplit.trainIndices.map((i) => fitIndices[i]));
+  const validation = toTensors(validationSplit.testIndices.map((i) => fitIndices[i]));
+  const holdout = toTensors(evalIndices);
+
+  if (verbose) {
+    console.log(
+      `Feature schema v${featureSchema.version}: ${featureSchema.inputSize} inputs. ` +
+        `Training on ${train[0].shape[0]} customers, validating on ${validation[0].shape[0]}.`
+    );
+  }
+
+  const model = buildModel(featureSchema.inputSize, products.length, params);
+  const { bestEpoch, epochsRun } = await fitWithEarlyStopping(
+    model,
+    train,
+    validation,
+    params,
+    { verbose }
+  );
+
+  const output = model.predict(holdout[0]);
+  const predictions = await output.array();
+  const [lossTensor, accuracyTensor] = model.evaluate(holdout[0], holdout[1]);
+  const loss = (await lossTensor.data())[0];
+  tf.dispose([...train, ...validation, ...holdout, output, lossTensor, accuracyTensor]);
+
+  return {
+    model,
+    featureSchema,
+    normalizationData,
+    predictions,
+    evaluation: evaluatePredictions(
+      evalIndices.map((i) => evalLabels[i]),
+      predictions,
+      products
+    ),
+    loss,
+    bestEpoch,
+    epochsRun,
+  };
+}
+
+/**
+ * Format a metric for the console, keeping nulls readable.
+ * @param {Number|null} value - Metric value.
+ * @returns {String} Value with 4 decimals, or '-'.
+ */
+function formatMetric(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(4);
+}
+
+/**
+ * Read a selection metric from cross-validation means.
+ * @param {Object} mean - Mean metrics from crossValidate.
+ * @param {String} metric - One of SEARCH_METRICS.
+ * @returns {Number} Metric value, oriented so that higher is better.
+ */
+function selectionScore(mean, metric) {
+  const value = mean[metric];
+  if (value === null || value === undefined) return -Infinity;
+  return metric === 'loss' ? -value : value;
+}
+
+/**
+ * K-fold cross-validation on the training split. The test set stays held out.
+ * @param {Object} data - Output of prepareData.
+ * @param {Object} params - Training config.
+ * @param {Number} folds - Number of folds.
+ * @returns {Promise<Object>} { folds: per-fold metrics, mean, std }
+ */
+async function crossValidate(data, params, folds) {
+  const trainCustomers = data.trainIndices.map((i) => data.customers[i]);
+  const splits = kFoldSplits(trainCustomers, folds, params.seed);
+
+  const results = [];
+  for (let fold = 0; fold < splits.length; fold++) {
+    const { trainIndices, testIndices } = splits[fold];
+    const result = await trainAndEvaluate(
+      data,
+      params,
+      trainIndices.map((i) => data.trainIndices[i]),
+      testIndices.map((i) => data.trainIndices[i])
+    );
+    result.model.dispose();
+
+    results.push({
+      fold: fold + 1,
+      bestEpoch: result.bestEpoch,
+      loss: result.loss,
+      f1: result.evaluation.macro.f1,
+      auc: result.evaluation.macro.auc,
+      'ndcg@3': result.evaluation.ranking['@3'].ndcg,
+      'precision@3': result.evaluation.ranking['@3'].precision,
+    });
+  }
+
+  const mean = {};
+  const std = {};
+  ['loss', 'f1', 'auc', 'ndcg@3', 'precision@3', 'bestEpoch'].forEach((metric) => {
+    const values = results.map((r) => r[metric]).filter((v) => v !== null);
+    if (values.length === 0) {
+      mean[metric] = null;
+      std[metric] = null;
+      return;
+    }
+    const average = values.reduce((a, b) => a + b, 0) / values.length;
+    mean[metric] = average;
+    std[metric] = Math.sqrt(
+      values.reduce((sum, v) => sum + (v - average) ** 2, 0) / values.length
+    );
+  });
+
+  return { folds: results, mean, std };
+}
+
+/**
+ * List the hyperparameter combinations to try.
+ * @param {Object} search - { strategy, trials, space }
+ * @param {Number} seed - Seed for random search.
+ * @returns {Array} Parameter overrides, one per trial.
+ */
+function searchCandidates({ strategy, trials, space }, seed) {
+  const grid = Object.keys(space).reduce(
+    (combos, key) =>
+      combos.flatMap((combo) => space[key].map((value) => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+  if (strategy === 'grid') {
+    return grid;
+  }
+
+  // Random search samples distinct combinations from the grid
+  const random = createRandom(seed);
+  const pool = grid.slice();
+  const candidates = [];
+  while (candidates.length < trials && pool.length > 0) {
+    candidates.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return candidates;
+}
+
+/**
+ * Grid or random hyperparameter search, scoring each candidate by k-fold
+ * cross-validation on the training split.
+ * @param {Object} data - Output of prepareData.
+ * @param {Object} config - Training config with a search section.
+ * @returns {Promise<Object>} { strategy, metric, folds, results, best }
+ */
+async function searchHyperparameters(data, config) {
+  const { strategy, metric } = config.search;
+  const folds = config.crossValidation.folds || DEFAULT_SEARCH_FOLDS;
+  const candidates = searchCandidates(config.search, config.seed);
+  console.log(
+    `\nHyperparameter search (${strategy}): ${candidates.length} trials, ${folds}-fold CV, selecting on ${metric}.`
+  );
+
+  const results = [];
+  for (let trial = 0; trial < candidates.length; trial++) {
+    const params = candidates[trial];
+    const { mean } = await crossValidate(data, { ...config, ...params }, folds);
+    results.push({ params, mean });
+    console.log(
+      `Trial ${trial + 1}/${candidates.length} ${JSON.stringify(params)}: ` +
+        `loss ${formatMetric(mean.loss)}, F1 ${formatMetric(mean.f1)}, ` +
+        `AUC ${formatMetric(mean.auc)}, NDCG@3 ${formatMetric(mean['ndcg@3'])}`
+    );
+  }
+
+  results.sort((a, b) => selectionScore(b.mean, metric) - selectionScore(a.mean, metric));
+  const best = results[0];
+  console.log(
+    `Best config: ${JSON.stringify(best.params)} (${metric} ${formatMetric(best.mean[metric])})\n`
+  );
+  return { strategy, metric, folds, results, best };
+}
+
+/**
+ * Train the recommendation model and register it as a new version in
+ * models/registry, together with an evaluation report on a held-out test set.
+ * The new version is not served until it is promoted.
+ * @param {Object} [options] - { configPath, overrides, promote }. Settings come
+ * from data/training_config.json (or configPath) with overrides applied on top.
+ * @returns {Promise<Object>} Metadata of the registered version.
+ * @throws {TrainingConfigError} If the config is invalid.
+ */
+async function trainModel(options = {}) {
+  console.log('Starting model training...');
+  let config = loadTrainingConfig({
+    filePath: options.configPath,
+    overrides: options.overrides,
+  });
+
+  const data = await prepareData(config);
+
+  // Optionally search for better hyperparameters before the final fit
+  let search = null;
+  if (config.search.strategy) {
+    search = await searchHyperparameters(data, config);
+    config = { ...config, ...search.best.params };
+  }
+
+  let crossValidation = null;
+  if (config.crossValidation.folds >= 2) {
+    console.log(`Running ${config.crossValidation.folds}-fold cross-validation...`);
+    crossValidation = await crossValidate(data, config, config.crossValidation.folds);
+    crossValidation.folds.forEach((fold) => {
+      console.log(
+        `Fold ${fold.fold}: loss ${formatMetric(fold.loss)}, F1 ${formatMetric(fold.f1)}, ` +
+          `AUC ${formatMetric(fold.auc)}, NDCG@3 ${formatMetric(fold['ndcg@3'])}, best epoch ${fold.bestEpoch}`
+      );
     });
+    const { mean, std } = crossValidation;
+    console.log(
+      `Cross-validation mean: loss ${formatMetric(mean.loss)} ± ${formatMetric(std.loss)}, ` +
+        `F1 ${formatMetric(mean.f1)} ± ${formatMetric(std.f1)}, ` +
+        `AUC ${formatMetric(mean.auc)} ± ${formatMetric(std.auc)}, ` +
+        `NDCG@3 ${formatMetric(mean['ndcg@3'])} ± ${formatMetric(std['ndcg@3'])}\n`
+    );
+  }
 
-    console.log('Model training complete.');
+  const hyperparameters = {
+    hiddenUnits: config.hiddenUnits,
+    dropout: config.dropout,
+    optimizer: config.optimizer,
+    learningRate: config.learningRate,
+    epochs: config.epochs,
+    batchSize: config.batchSize,
+    validationSplit: config.validationSplit,
+    earlyStopping: config.earlyStopping,
+    seed: config.seed,
+    testFraction: config.testFraction,
+  };
+  console.log(`Training final model with ${JSON.stringify(hyperparameters)}...`);
+  const { model, featureSchema, normalizationData, predictions, bestEpoch, epochsRun } =
+    await trainAndEvaluate(data, config, data.trainIndices, data.testIndices, {
+      verbose: true,
+    });
+  console.log(`Training completed after ${epochsRun} epochs, keeping epoch ${bestEpoch}.`);
+
+  // Evaluate on the held-out test set
+  const { products, evalLabels, trainIndices, testIndices } = data;
+  const evaluationReport = buildReport({
+    labels: testIndices.map((i) => evalLabels[i]),
+    predictions,
+    products,
+    split: {
+      seed: config.seed,
+      testFraction: config.testFraction,
+      trainSize: trainIndices.length,
+      testSize: testIndices.length,
+      labels: { source: config.labels.source, feedbackWeight: data.labeling.feedbackWeight },
+    },
+  });
+  console.log(`\n${formatReport(evaluationReport)}\n`);
+
+  // Save normalization parameters, the feature schema and the report next to the model
+  console.log('Saving the trained model...');
+  const { version, dir: modelDir } = createVersion();
+  fs.writeFileSync(
+    path.join(modelDir, 'normalizationData.json'),
+    JSON.stringify(normalizationData)
+  );
+  saveSchema(modelDir, featureSchema);
+  saveReport(modelDir, evaluationReport);
+  await model.save(`file://${modelDir}`);
+  model.dispose();
+
+  // Metadata is written last, so an interrupted run never shows up as a version
+  const metadata = finishVersion(version, {
+    dataHash: hashData(data.customersRaw),
+    catalogHash: hashData(products),
+    feedbackHash: data.feedbackHash,
+    labels: data.labeling,
+    products: products.map((product) => product.id),
+    pipelineVersion: featureSchema.version,
+    inputSize: featureSchema.inputSize,
+    hyperparameters: { ...hyperparameters, featureOptions: featureSchema.options },
+    training: { bestEpoch, epochsRun },
+    crossValidation: crossValidation && {
+      folds: crossValidation.folds.length,
+      mean: crossValidation.mean,
+      std: crossValidation.std,
+    },
+    search: search && {
+      strategy: search.strategy,
+      metric: search.metric,
+      folds: search.folds,
+      trials: search.results.length,
+      best: search.best,
+    },
+    metrics: {
+      macro: evaluationReport.macro,
+      ranking: evaluationReport.ranking,
+    },
+  });
+  console.log(`Model saved successfully as version ${version}.`);
+
+  if (options.promote) {
+    promoteVersion(version);
+    console.log(`Promoted model ${version}.`);
+  } else {
+    console.log(`Promote it with: node src/cli.js models promote ${version}`);
+  }
+  return metadata;
+}
 
-    // Save the model
-    console.log('Saving the trained model...');
-    await model.save(`file://${modelDir}`);
-    console.log('Model saved successfully.');
-  } catch (error) {
+if (require.main === module) {
+  trainModel().catch((error) => {
     console.error('Error during model training:', error);
-  }
+    process.exit(1);
+  });
 }
 
-trainModel();
\ No newline at end of file
+module.exports = { trainModel };
@@ -0,0 +1,260 @@
+// src/networkHealth.js
+
+// Signal quality bands by median RSSI (dBm), strongest first
+const SIGNAL_BANDS = [
+  { band: 'excellent', min: -50, score: 1 },
+  { band: 'good', min: -60, score: 0.85 },
+  { band: 'fair', min: -70, score: 0.6 },
+  { band: 'poor', min: -80, score: 0.3 },
+  { band: 'very poor', min: -Infinity, score: 0.1 },
+];
+
+// A device this weak is effectively in a dead zone
+const DEAD_ZONE_RSSI = -85;
+// A weak device (below WEAK_DEVICE_RSSI) this far below the strongest one points
+// to uneven coverage. A wide spread alone is normal: devices next to the router
+// read around -30 dBm.
+const WEAK_DEVICE_RSSI = -80;
+const UNEVEN_SPREAD_DB = 50;
+// Share of plan speed above which busy-hour usage is running out of headroom
+const TIGHT_UTILIZATION = 0.8;
+const MODERATE_UTILIZATION = 0.5;
+// Share of plan speed at which peak traffic is considered saturated
+const SATURATION_UTILIZATION = 0.9;
+
+// Score weights for the overall health score (sum to 100)
+const WEIGHTS = { signal: 40, deadZones: 20, headroom: 25, saturation: 15 };
+
+// Product categories each issue is relevant to, so explanations can cite it
+const ISSUE_CATEGORIES = {
+  'weak-signal': ['wifi'],
+  'dead-zones': ['wifi'],
+  'low-headroom': ['speed-tier'],
+  'download-saturation': ['speed-tier'],
+  'upload-saturation': ['speed-tier'],
+};
+
+const toMbps = (bps) => bps / 1e6;
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * RSSI readings of 0 are not real signals. The CSV loader imputes missing
+ * readings, but customers built elsewhere may still carry 0.
+ * @param {Number} value - RSSI in dBm.
+ * @returns {Boolean} True if the reading is usable.
+ */
+function hasReading(value) {
+  return typeof value === 'number' && value < 0;
+}
+
+/**
+ * Classify signal quality from the median (or mean) RSSI.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} { band, rssi, score } or { band: 'unknown' } without readings.
+ */
+function assessSignal(customer) {
+  const rssi = hasReading(customer.rssi_median)
+    ? customer.rssi_median
+    : hasReading(customer.rssi_mean)
+      ? customer.rssi_mean
+      : null;
+  if (rssi === null) {
+    return { band: 'unknown', rssi: null, score: null };
+  }
+  const { band, score } = SIGNAL_BANDS.find((b) => rssi >= b.min);
+  return { band, rssi, score };
+}
+
+/**
+ * Look for likely dead zones: a device with a very weak signal, or a weak one
+ * far below the strongest device.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} { likely, weakestRssi, spread, reason, score }
+ */
+function assessDeadZones(customer) {
+  if (!hasReading(customer.rssi_min)) {
+    return { likely: null, weakestRssi: null, spread: null, reason: null, score: null };
+  }
+
+  const weakestRssi = customer.rssi_min;
+  const spread = hasReading(customer.rssi_max) ? customer.rssi_max - weakestRssi : null;
+  let reason = null;
+  if (weakestRssi < DEAD_ZONE_RSSI) {
+    reason = `weakest device signal is ${weakestRssi} dBm`;
+  } else if (weakestRssi < WEAK_DEVICE_RSSI && spread !== null && spread >= UNEVEN_SPREAD_DB) {
+    reason = `signal varies by ${spread} dB across devices`;
+  }
+
+  return {
+    likely: reason !== null,
+    weakestRssi,
+    spread,
+    reason,
+    // Extenders already in place make remaining weak spots less likely to be whole rooms
+    score: reason === null ? 1 : customer.extenders > 0 ? 0.5 : 0.2,
+  };
+}
+
+/**
+ * Compare plan speed with busy-hour (p95) and peak usage in each direction.
+ * Plans are symmetric, so upload is measured against the same speed.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} { headroom, saturation }
+ */
+function assessCapacity(customer) {
+  const planMbps = customer.network_speed;
+  if (!(planMbps > 0)) {
+    return {
+      headroom: { status: 'unknown', planMbps: null, score: null },
+      saturation: { status: 'unknown', score: null },
+    };
+  }
+
+  const downloadP95 = toMbps(customer.rx_p95_bps);
+  const uploadP95 = toMbps(customer.tx_p95_bps);
+  const busiest = Math.max(downloadP95, uploadP95);
+  const utilization = busiest / planMbps;
+  const headroomStatus =
+    utilization >= TIGHT_UTILIZATION
+      ? 'tight'
+      : utilization >= MODERATE_UTILIZATION
+        ? 'moderate'
+        : 'ample';
+
+  const downloadPeak = toMbps(customer.rx_max_bps) / planMbps;
+  const uploadPeak = toMbps(customer.tx_max_bps) / planMbps;
+  const download = downloadPeak >= SATURATION_UTILIZATION;
+  const upload = uploadPeak >= SATURATION_UTILIZATION;
+
+  return {
+    headroom: {
+      status: headroomStatus,
+      planMbps,
+      p95DownloadMbps: round(downloadP95),
+      p95UploadMbps: round(uploadP95),
+      headroomMbps: round(planMbps - busiest),
+      utilization: round(utilization, 3),
+      score: round(Math.max(0, 1 - utilization), 2),
+    },
+    saturation: {
+      status: download && upload ? 'both' : download ? 'download' : upload ? 'upload' : 'none',
+      download,
+      upload,
+      peakDownloadUtilization: round(downloadPeak, 3),
+      peakUploadUtilization: round(uploadPeak, 3),
+      // Upload-heavy homes (cameras, backups, video calls) saturate differently
+      uploadToDownloadRatio:
+        downloadP95 > 0 ? round(uploadP95 / downloadP95, 2) : null,
+      score: download || upload ? 0.3 : 1,
+    },
+  };
+}
+
+/**
+ * Score a customer's network health from the RSSI and throughput columns.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @returns {Object} { score, grade, signal, deadZones, headroom, saturation, issues }.
+ * score is 0-100 over the parts that have data, each part carries its own 0-1
+ * score, and issues list what to act on.
+ */
+function assessNetworkHealth(customer) {
+  const signal = assessSignal(customer);
+  const deadZones = assessDeadZones(customer);
+  const { headroom, saturation } = assessCapacity(customer);
+
+  const parts = [
+    [signal.score, WEIGHTS.signal],
+    [deadZones.score, WEIGHTS.deadZones],
+    [headroom.score, WEIGHTS.headroom],
+    [saturation.score, WEIGHTS.saturation],
+  ].filter(([score]) => score !== null);
+  const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0);
+  const score =
+    totalWeight > 0
+      ? Math.round(
+          (parts.reduce((sum, [part, weight]) => sum + part * weight, 0) / totalWeight) * 100
+        )
+      : null;
+
+  const issues = [];
+  if (signal.band === 'poor' || signal.band === 'very poor') {
+    issues.push({
+      code: 'weak-signal',
+      severity: signal.band === 'very poor' ? 'high' : 'medium',
+      message: `Typical Wi-Fi signal is ${signal.band} (${signal.rssi} dBm).`,
+    });
+  }
+  if (deadZones.likely) {
+    issues.push({
+      code: 'dead-zones',
+      severity: deadZones.weakestRssi < DEAD_ZONE_RSSI ? 'high' : 'medium',
+      message: `Likely dead zones: ${deadZones.reason}.`,
+    });
+  }
+  if (headroom.status === 'tight') {
+    issues.push({
+      code: 'low-headroom',
+      severity: 'high',
+      message: `Busy-hour usage uses ${Math.round(headroom.utilization * 100)}% of the ${headroom.planMbps} Mbps plan.`,
+    });
+  }
+  if (saturation.download) {
+    issues.push({
+      code: 'download-saturation',
+      severity: 'medium',
+      message: `Peak downloads reach ${Math.round(saturation.peakDownloadUtilization * 100)}% of plan speed.`,
+    });
+  }
+  if (saturation.upload) {
+    issues.push({
+      code: 'upload-saturation',
+      severity: 'medium',
+      message: `Peak uploads reach ${Math.round(saturation.peakUploadUtilization * 100)}% of plan speed.`,
+    });
+  }
+
+  return {
+    score,
+    grade: score === null ? 'unknown' : score >= 75 ? 'healthy' : score >= 50 ? 'fair' : 'poor',
+    signal,
+    deadZones,
+    headroom,
+    saturation,
+    issues,
+  };
+}
+
+/**
+ * Health issues that support recommending a product.
+ * @param {Object} health - Output of assessNetworkHealth.
+ * @param {Object} product - Product with a category.
+ * @returns {Array} Matching issues.
+ */
+function issuesForProduct(health, product) {
+  return health.issues.filter((issue) =>
+    (ISSUE_CATEGORIES[issue.code] || []).includes(product.category)
+  );
+}
+
+/**
+ * A sentence citing the network check for a recommended product.
+ * @param {Object} health - Output of assessNetworkHealth.
+ * @param {Object} product - Product with a category.
+ * @returns {String|null} Sentence, or null if no issue relates to the product.
+ */
+function healthNote(health, product) {
+  const issues = issuesForProduct(health, product);
+  if (issues.length === 0) {
+    return null;
+  }
+  return `Your network check (health ${health.score}/100) found: ${issues
+    .map((issue) => issue.message.replace(/\.$/, '').replace(/^./, (c) => c.toLowerCase()))
+    .join('; ')}.`;
+}
+
+module.exports = {
+  TIGHT_UTILIZATION,
+  assessNetworkHealth,
+  issuesForProduct,
+  healthNote,
+};
@@ -0,0 +1,205 @@
+// src/nextBestAction.js
+
+const { findOwnedProducts } = require('./ownership');
+const { TIGHT_UTILIZATION } = require('./networkHealth');
+
+// Lowest model score at which a product is worth a step in the plan
+const MIN_STEP_SCORE = 0.2;
+
+/**
+ * Stages of the plan, in the order they are pitched. A speed upgrade comes
+ * first only when busy-hour usage is close to the plan speed; otherwise it
+ * waits until the other needs are covered.
+ */
+const STAGES = [
+  { stage: 'speed', categories: ['speed-tier'], label: 'speed upgrade', urgentOnly: true },
+  { stage: 'coverage', categories: ['wifi'], label: 'Wi-Fi coverage' },
+  { stage: 'security', categories: ['security'], label: 'security' },
+  { stage: 'support', categories: ['support'], label: 'in-home support' },
+  { stage: 'entertainment', categories: ['entertainment'], label: 'entertainment' },
+  { stage: 'speed', categories: ['speed-tier'], label: 'speed upgrade', urgentOnly: false },
+];
+
+/**
+ * Pick the speed tier to pitch when usage is close to the plan speed: the
+ * cheapest recommended tier with room for busy-hour usage, or the fastest one
+ * if none has.
+ * @param {Array} tiers - Recommended speed tiers.
+ * @param {Object} health - Output of assessNetworkHealth.
+ * @param {Array} products - Catalog products.
+ * @returns {Object|undefined} Recommendation to pitch.
+ */
+function pickSpeedTier(tiers, health, products) {
+  const busiestMbps = Math.max(health.headroom.p95DownloadMbps, health.headroom.p95UploadMbps);
+  const speedOf = (tier) => products.find((p) => p.id === tier.productId).speedMbps;
+  const bySpeed = [...tiers].sort((a, b) => speedOf(a) - speedOf(b));
+  return (
+    bySpeed.find((tier) => busiestMbps / speedOf(tier) < TIGHT_UTILIZATION) ||
+    bySpeed[bySpeed.length - 1]
+  );
+}
+
+/**
+ * Why a step is pitched at its point in the plan.
+ * @param {Object} stage - Entry of STAGES.
+ * @param {Object} recommendation - Recommendation for the step.
+ * @param {Object} health - Output of assessNetworkHealth.
+ * @returns {String} Reason sentence.
+ */
+function stepReason(stage, recommendation, health) {
+  if (stage.stage === 'speed' && stage.urgentOnly) {
+    const { utilization, planMbps } = health.headroom;
+    return `Busy-hour usage is ${Math.round(utilization * 100)}% of the ${planMbps} Mbps plan, so speed comes first.`;
+  }
+  const issues = (recommendation.healthIssues || [])
+    .map((code) => health.issues.find((issue) => issue.code === code))
+    .filter(Boolean);
+  if (issues.length > 0) {
+    return `Addresses ${stage.label}: ${issues.map((issue) => issue.message).join(' ')}`;
+  }
+  return `Best ${stage.label} option (score ${Math.round(recommendation.score * 100)}%).`;
+}
+
+/**
+ * Build a step from a recommendation.
+ * @param {Object} recommendation - Recommendation from getRecommendations.
+ * @param {Object} details - { stage, reason, prerequisites }
+ * @returns {Object} Plan step (numbered later).
+ */
+function toStep(recommendation, { stage, reason, prerequisites }) {
+  return {
+    stage,
+    productId: recommendation.productId,
+    productName: recommendation.productName,
+    category: recommendation.category,
+    score: recommendation.score,
+    price: recommendation.price,
+    billing: recommendation.billing,
+    upgradeFrom: recommendation.upgradeFrom || null,
+    expectedRevenue: recommendation.expectedRevenue,
+    reason,
+    prerequisites,
+    explanation: recommendation.explanation,
+  };
+}
+
+/**
+ * Plan the order in which to pitch products to a customer: one product per
+ * stage (see STAGES), each with its expected monthly revenue and the catalog
+ * prerequisites it depends on. A required product that is not owned yet is
+ * planned as its own step just before the product that needs it.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Array} recommendations - Ranked recommendations from getRecommendations.
+ * @param {Array} products - Catalog products.
+ * @param {Object} health - Output of assessNetworkHealth.
+ * @param {Object} [options] - { minScore } (default MIN_STEP_SCORE).
+ * @returns {Object} { steps, skipped, expectedRevenue } where skipped lists the
+ * stages left out and why, and expectedRevenue sums the steps.
+ */
+function planNextBestActions(
+  customer,
+  recommendations,
+  products,
+  health,
+  { minScore = MIN_STEP_SCORE } = {}
+) {
+  const owned = findOwnedProducts(customer, products);
+  const catalogProduct = (id) => products.find((product) => product.id === id);
+  const steps = [];
+  const skipped = [];
+  const speedIsUrgent = health.headroom.status === 'tight';
+
+  const isOwned = (id) => owned.some((product) => product.id === id);
+  const isPlanned = (id) => steps.some((step) => step.productId === id);
+
+  // Plan a product after its prerequisites. Returns why it cannot be planned,
+  // or null once it is.
+  const plan = (recommendation, stage, reason) => {
+    const product = catalogProduct(recommendation.productId);
+    const planned = steps.length;
+    const conflict = product.excludes.find(
+      (id) => (isOwned(id) && !product.supersedes.includes(id)) || isPlanned(id)
+    );
+    if (conflict) {
+      return `${product.name} cannot be combined with ${catalogProduct(conflict).name}.`;
+    }
+
+    const prerequisites = [];
+    for (const id of product.requires) {
+      const required = catalogProduct(id);
+      if (isOwned(id) || isPlanned(id)) {
+        prerequisites.push({
+          productId: id,
+          productName: required.name,
+          status: isOwned(id) ? 'owned' : 'planned',
+        });
+        continue;
+      }
+      const requiredRecommendation = recommendations.find((r) => r.productId === id);
+      if (!requiredRecommendation) {
+        steps.length = planned;
+        return `${product.name} requires ${required.name}, which cannot be recommended.`;
+      }
+      const blocked = plan(
+        requiredRecommendation,
+        stage,
+        `Required before ${product.name}.`
+      );
+      if (blocked) {
+        // Drop prerequisites already planned for this product
+        steps.length = planned;
+        return blocked;
+      }
+      prerequisites.push({ productId: id, productName: required.name, status: 'planned' });
+    }
+
+    steps.push(toStep(recommendation, { stage, reason, prerequisites }));
+    return null;
+  };
+
+  STAGES.forEach((stage) => {
+    if (stage.stage === 'speed' && stage.urgentOnly !== speedIsUrgent) return;
+
+    const candidates = recommendations.filter(
+      (r) => stage.categories.includes(r.category) && !isPlanned(r.productId)
+    );
+    // Try the stage's products best first until one fits with what is owned
+    // and already planned
+    const options =
+      stage.stage === 'speed' && speedIsUrgent
+        ? [pickSpeedTier(candidates, health, products)].filter(Boolean)
+        : candidates.filter((r) => r.score >= minScore);
+    let blocked = null;
+    const chosen = options.find((option) => {
+      blocked = plan(option, stage.stage, stepReason(stage, option, health));
+      return !blocked;
+    });
+
+    if (!chosen) {
+      const ownedInStage = owned.filter((product) => stage.categories.includes(product.category));
+      const reason =
+        blocked ||
+        (ownedInStage.length > 0 && candidates.length === 0
+          ? `Already has ${ownedInStage.map((product) => product.name).join(', ')}.`
+          : `No ${stage.label} product scored at least ${Math.round(minScore * 100)}%.`);
+      skipped.push({ stage: stage.stage, reason });
+    }
+  });
+
+  const numbered = steps.map((step, index) => ({ step: index + 1, ...step }));
+  numbered.forEach((step) => {
+    step.prerequisites.forEach((prerequisite) => {
+      const planned = numbered.find((s) => s.productId === prerequisite.productId);
+      prerequisite.step = planned ? planned.step : null;
+    });
+  });
+
+  const expectedRevenue = numbered.reduce((sum, step) => sum + step.expectedRevenue, 0);
+  return {
+    steps: numbered,
+    skipped,
+    expectedRevenue: Math.round(expectedRevenue * 100) / 100,
+  };
+}
+
+module.exports = { planNextBestActions };
@@ -0,0 +1,138 @@
+// src/ownership.js
+
+/**
+ * Ownership columns for products that are not in the catalog but still cover
+ * a catalog product. Keys are the covered product id.
+ */
+const EXTERNAL_COVERAGE = {
+  'identity-protection': [
+    {
+      column: 'family_identity_protection',
+      productName: 'Family Identity Protection',
+    },
+  ],
+};
+
+/**
+ * Find the catalog products the customer already owns, using each product's
+ * ownershipColumn and, for speed tiers, the current network_speed.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Array} products - Catalog products.
+ * @returns {Array} Owned catalog products.
+ */
+function findOwnedProducts(customer, products) {
+  return products.filter((product) => {
+    if (product.category === 'speed-tier') {
+      return product.speedMbps === customer.network_speed;
+    }
+    return Boolean(product.ownershipColumn) && customer[product.ownershipColumn] === 1;
+  });
+}
+
+/**
+ * Decide whether a single product is excluded, kept as an upgrade, or kept as is.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Object} product - Catalog product.
+ * @param {Array} owned - Catalog products the customer owns.
+ * @returns {Object} { excluded, reason, coveredBy, detail, upgradeFrom }
+ */
+function classifyProduct(customer, product, owned) {
+  if (owned.includes(product)) {
+    return {
+      excluded: true,
+      reason: 'owned',
+      detail:
+        product.category === 'speed-tier'
+          ? `Customer is already on ${product.name}.`
+          : `Customer already has ${product.name}.`,
+    };
+  }
+
+  const coveringProduct = owned.find((o) => o.supersedes.includes(product.id));
+  if (coveringProduct) {
+    return {
+      excluded: true,
+      reason: 'covered',
+      coveredBy: coveringProduct.name,
+      detail:
+        product.category === 'speed-tier'
+          ? `${product.name} is slower than the current ${coveringProduct.name}.`
+          : `${product.name} is included in the customer's ${coveringProduct.name}.`,
+    };
+  }
+
+  // Speed tiers also compare against plans that are not in the catalog (e.g. 200 Mbps)
+  const currentTier = owned.find((o) => o.category === 'speed-tier');
+  const currentPlan = currentTier
+    ? currentTier.name
+    : `${customer.network_speed} Mbps plan`;
+  if (product.category === 'speed-tier' && customer.network_speed > 0) {
+    if (product.speedMbps < customer.network_speed) {
+      return {
+        excluded: true,
+        reason: 'covered',
+        coveredBy: currentPlan,
+        detail: `${product.name} is slower than the current ${currentPlan}.`,
+      };
+    }
+    return { excluded: false, upgradeFrom: currentPlan };
+  }
+
+  const externalCover = (EXTERNAL_COVERAGE[product.id] || []).find(
+    (cover) => customer[cover.column] === 1
+  );
+  if (externalCover) {
+    return {
+      excluded: true,
+      reason: 'covered',
+      coveredBy: externalCover.productName,
+      detail: `${product.name} is included in the customer's ${externalCover.productName}.`,
+    };
+  }
+
+  const upgraded = owned.find((o) => product.supersedes.includes(o.id));
+  if (upgraded) {
+    return { excluded: false, upgradeFrom: upgraded.name };
+  }
+
+  return { excluded: false };
+}
+
+/**
+ * Ownership-aware stage run after scoring. Drops products the customer owns or
+ * that an owned product already supersedes, and marks upgrade paths.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Array} rankedProducts - Scored products, sorted by score.
+ * @param {Array} products - Catalog products.
+ * @returns {Object} { recommendations, excluded }
+ */
+function applyOwnership(customer, rankedProducts, products) {
+  const owned = findOwnedProducts(customer, products);
+  const recommendations = [];
+  const excluded = [];
+
+  rankedProducts.forEach((ranked) => {
+    const product = products.find((p) => p.id === ranked.productId);
+    const result = classifyProduct(customer, product, owned);
+    if (result.excluded) {
+      excluded.push({
+        productId: ranked.productId,
+        productName: ranked.productName,
+        score: ranked.score,
+        reason: result.reason,
+        coveredBy: result.coveredBy || null,
+        detail: result.detail,
+      });
+      return;
+    }
+
+    recommendations.push({
+      ...ranked,
+      upgradeFrom: result.upgradeFrom || null,
+    });
+  });
+
+  return { recommendations, excluded };
+}
+
+module.exports = { applyOwnership, findOwnedProducts };
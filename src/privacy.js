@@ -0,0 +1,465 @@
+// src/privacy.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROLES } = require('./auth');
+const { CATEGORIES } = require('./catalog');
+const { FEEDBACK_PATH } = require('./feedback');
+const { EXPOSURES_PATH } = require('./experiments');
+const {
+  readConsents,
+  deleteCustomerData,
+  readForgotten,
+  readSetting,
+  writeSetting,
+} = require('./storage');
+
+const PRIVACY_CONFIG_PATH =
+  process.env.PRIVACY_CONFIG_PATH || path.join(__dirname, '../data/privacy.json');
+
+// How a customer's name or acct_id is shown: as is, shortened (initials, or
+// the first characters of an acct_id), as a stable pseudonym that still joins
+// across responses, or not at all
+const MASKING_MODES = ['show', 'partial', 'pseudonym', 'redact'];
+
+// Response fields holding a name or an acct_id, and which setting masks them
+const MASKED_FIELDS = { acctId: 'acctIds', acct_id: 'acctIds', customerName: 'names' };
+
+// Characters of an acct_id kept by 'partial' masking
+const PARTIAL_ACCT_ID_LENGTH = 6;
+
+// Used when there is no privacy file: nothing masked in responses, names kept
+// out of the logs, and no consent flags
+const DEFAULT_MASKING = {
+  logs: { names: 'redact', acctIds: 'partial' },
+  roles: Object.fromEntries(ROLES.map((role) => [role, { names: 'show', acctIds: 'show' }])),
+};
+
+/**
+ * Thrown when the privacy file is malformed. `errors` lists every problem found.
+ */
+class PrivacyConfigError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid privacy settings ${source}:\n` + errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'PrivacyConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check one { names, acctIds } masking policy.
+ * @param {Object} policy - Policy from the privacy file.
+ * @param {String} label - Where the policy is, for error messages.
+ * @param {Array} errors - Problems found so far, appended to.
+ */
+function validatePolicy(policy, label, errors) {
+  if (!policy || typeof policy !== 'object') {
+    errors.push(`${label} needs "names" and "acctIds" masking modes.`);
+    return;
+  }
+  ['names', 'acctIds'].forEach((field) => {
+    if (!MASKING_MODES.includes(policy[field])) {
+      errors.push(`${label} "${field}" must be one of ${MASKING_MODES.join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Read the privacy file: how names and acct_ids are masked in logs and in
+ * responses to each role, and the marketing-consent flags with the product
+ * categories each one covers. A missing file means DEFAULT_MASKING and no flags.
+ * @param {String} [filePath] - Privacy file (default PRIVACY_CONFIG_PATH).
+ * @returns {Object} { source, masking: { logs, roles }, consent }
+ * @throws {PrivacyConfigError} If the file does not parse or is invalid.
+ */
+function readPrivacyConfig(filePath = PRIVACY_CONFIG_PATH) {
+  const source = path.basename(filePath);
+  if (!fs.existsSync(filePath)) {
+    return { source, masking: DEFAULT_MASKING, consent: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new PrivacyConfigError(source, [error.message]);
+  }
+
+  const errors = [];
+  const masking = config.masking || {};
+  const logs = masking.logs || DEFAULT_MASKING.logs;
+  validatePolicy(logs, 'masking.logs', errors);
+
+  const roles = masking.roles || {};
+  Object.keys(roles)
+    .filter((role) => !ROLES.includes(role))
+    .forEach((role) => errors.push(`masking.roles has unknown role "${role}".`));
+  ROLES.forEach((role) => {
+    if (role in roles) {
+      validatePolicy(roles[role], `masking.roles.${role}`, errors);
+    }
+  });
+
+  const consent = config.consent || {};
+  Object.entries(consent).forEach(([flag, settings]) => {
+    const label = `Consent flag "${flag}"`;
+    if (!/^[A-Za-z][\w-]*$/.test(flag)) {
+      errors.push(`${label} needs a name of letters, digits, '-' or '_'.`);
+    }
+    if (!settings || !Array.isArray(settings.categories) || settings.categories.length === 0) {
+      errors.push(`${label} needs a non-empty "categories" list.`);
+      return;
+    }
+    settings.categories
+      .filter((category) => !CATEGORIES.includes(category))
+      .forEach((category) =>
+        errors.push(
+          `${label} has unknown category "${category}" (expected one of ${CATEGORIES.join(', ')}).`
+        )
+      );
+    if ('default' in settings && typeof settings.default !== 'boolean') {
+      errors.push(`${label} "default" must be true or false.`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new PrivacyConfigError(source, errors);
+  }
+  return {
+    source,
+    masking: { logs, roles: { ...DEFAULT_MASKING.roles, ...roles } },
+    consent: Object.fromEntries(
+      Object.entries(consent).map(([flag, settings]) => [flag, { default: true, ...settings }])
+    ),
+  };
+}
+
+/**
+ * Settings used by everything below, read on first use unless set first.
+ */
+let privacyConfig = null;
+
+/**
+ * Read the privacy file and use it from now on.
+ * @param {String} [filePath] - Privacy file (default PRIVACY_CONFIG_PATH).
+ * @returns {Object} The settings now in use.
+ * @throws {PrivacyConfigError} If the file does not parse or is invalid.
+ */
+function loadPrivacyConfig(filePath = PRIVACY_CONFIG_PATH) {
+  privacyConfig = readPrivacyConfig(filePath);
+  return privacyConfig;
+}
+
+/**
+ * Use already validated settings from now on, e.g. when swapping in reloaded data.
+ * @param {Object} config - Output of readPrivacyConfig.
+ */
+function setPrivacyConfig(config) {
+  privacyConfig = config;
+}
+
+/**
+ * Secret key for pseudonyms and forgotten-account hashes, created on first
+ * use. It lives in the store so pseudonyms stay the same across restarts.
+ */
+let pseudonymKey = null;
+function getPseudonymKey() {
+  if (!pseudonymKey) {
+    pseudonymKey = readSetting('pseudonym_key');
+    if (!pseudonymKey) {
+      pseudonymKey = crypto.randomBytes(32).toString('hex');
+      writeSetting('pseudonym_key', pseudonymKey);
+    }
+  }
+  return pseudonymKey;
+}
+
+/**
+ * Keyed hash of a value. Unlike a plain hash it cannot be reversed by hashing
+ * every known acct_id without the key.
+ * @param {String} value - Name or acct_id.
+ * @returns {String} Hex HMAC-SHA256.
+ */
+function hashValue(value) {
+  return crypto.createHmac('sha256', getPseudonymKey()).update(String(value)).digest('hex');
+}
+
+/**
+ * Stable pseudonym for a name or acct_id.
+ * @param {String} value - Name or acct_id.
+ * @returns {String} e.g. 'anon-3f9c0a1b2c3d4e5f'.
+ */
+function pseudonymize(value) {
+  return `anon-${hashValue(value).slice(0, 16)}`;
+}
+
+/**
+ * Mask a name or acct_id.
+ * @param {String} value - Value to mask; null and undefined are kept.
+ * @param {String} mode - One of MASKING_MODES.
+ * @param {String} field - 'names' or 'acctIds', for 'partial'.
+ * @returns {String} Masked value.
+ */
+function maskValue(value, mode, field) {
+  if (value === null || value === undefined || mode === 'show') return value;
+  if (mode === 'redact') return '[redacted]';
+  if (mode === 'pseudonym') return pseudonymize(value);
+  if (field === 'names') {
+    return String(value)
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((part) => `${part[0].toUpperCase()}.`)
+      .join(' ');
+  }
+  return `${String(value).slice(0, PARTIAL_ACCT_ID_LENGTH)}...`;
+}
+
+/**
+ * Mask every name and acct_id field in a response body, however deeply nested.
+ * @param {*} value - Response body.
+ * @param {Object} policy - { names, acctIds } masking modes.
+ * @returns {*} Copy of the body with the fields masked.
+ */
+function maskFields(value, policy) {
+  if (Array.isArray(value)) {
+    return value.map((item) => maskFields(item, policy));
+  }
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => {
+      const field = MASKED_FIELDS[key];
+      return [key, field ? maskValue(item, policy[field], field) : maskFields(item, policy)];
+    })
+  );
+}
+
+/**
+ * Masking policy for responses to a role.
+ * @param {String} role - One of ROLES.
+ * @returns {Object} { names, acctIds } masking modes.
+ */
+function maskingFor(role) {
+  const { masking } = privacyConfig || loadPrivacyConfig();
+  return masking.roles[role] || { names: 'redact', acctIds: 'redact' };
+}
+
+/**
+ * Whether responses to a role show customer names as is. Text generated for
+ * the customer, such as explanations, only greets them by name if so.
+ * @param {String} role - One of ROLES.
+ * @returns {Boolean} True if names are not masked.
+ */
+function showsNames(role) {
+  return maskingFor(role).names === 'show';
+}
+
+/**
+ * Mask the names and acct_ids in a value for a role.
+ * @param {*} value - Response body or part of one.
+ * @param {String} role - One of ROLES.
+ * @returns {*} Masked copy.
+ */
+function maskForRole(value, role) {
+  const policy = maskingFor(role);
+  if (policy.names === 'show' && policy.acctIds === 'show') return value;
+  return maskFields(value, policy);
+}
+
+/**
+ * Middleware: mask names and acct_ids in JSON responses as configured for the
+ * caller's role. Must run after authenticate.
+ */
+function maskResponses(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(req.user ? maskForRole(body, req.user.role) : body);
+  next();
+}
+
+/**
+ * A customer name as it may appear in the logs.
+ * @param {String} name - Customer name.
+ * @returns {String} Masked name.
+ */
+function logName(name) {
+  const { masking } = privacyConfig || loadPrivacyConfig();
+  return maskValue(name, masking.logs.names, 'names');
+}
+
+/**
+ * An acct_id as it may appear in the logs.
+ * @param {String} acctId - Account id.
+ * @returns {String} Masked acct_id.
+ */
+function logAcctId(acctId) {
+  const { masking } = privacyConfig || loadPrivacyConfig();
+  return maskValue(acctId, masking.logs.acctIds, 'acctIds');
+}
+
+/**
+ * A customer's effective consent: the recorded flags over each flag's default.
+ * @param {Object} customer - Customer object, with `consent` if any was recorded.
+ * @returns {Object} Flag name to true (may be marketed to) or false (opted out).
+ */
+function consentFlags(customer) {
+  const { consent } = privacyConfig || loadPrivacyConfig();
+  const recorded = customer.consent || {};
+  return Object.fromEntries(
+    Object.entries(consent).map(([flag, settings]) => [
+      flag,
+      typeof recorded[flag] === 'boolean' ? recorded[flag] : settings.default,
+    ])
+  );
+}
+
+/**
+ * Drop products in categories the customer has not consented to be marketed.
+ * @param {Object} customer - Customer object, raw or preprocessed.
+ * @param {Array} scoredProducts - Products with productId, productName and category.
+ * @returns {Object} { allowed, excluded } where excluded entries name the flag.
+ */
+function applyConsent(customer, scoredProducts) {
+  const { consent } = privacyConfig || loadPrivacyConfig();
+  const flags = consentFlags(customer);
+  const blocked = Object.keys(flags).filter((flag) => !flags[flag]);
+
+  const allowed = [];
+  const excluded = [];
+  scoredProducts.forEach((product) => {
+    const flag = blocked.find((f) => consent[f].categories.includes(product.category));
+    if (!flag) {
+      allowed.push(product);
+      return;
+    }
+    excluded.push({
+      productId: product.productId,
+      productName: product.productName,
+      score: product.score,
+      reason: 'no-consent',
+      coveredBy: null,
+      consent: flag,
+      detail: `The customer has opted out of "${flag}" marketing.`,
+    });
+  });
+  return { allowed, excluded };
+}
+
+/**
+ * Validate a consent update.
+ * @param {Object} body - { flags } mapping flag names to true or false.
+ * @returns {Object} { values, errors } - Cleaned flags, and every problem found.
+ */
+function validateConsent(body) {
+  const { consent } = privacyConfig || loadPrivacyConfig();
+  const flags = body && body.flags;
+  const values = {};
+  const errors = [];
+
+  if (!flags || typeof flags !== 'object' || Array.isArray(flags)) {
+    return { values, errors: ['flags must be an object of consent flags to true or false.'] };
+  }
+  Object.entries(flags).forEach(([flag, granted]) => {
+    if (!(flag in consent)) {
+      errors.push(`Unknown consent flag "${flag}" (expected one of ${Object.keys(consent).join(', ')}).`);
+    } else if (typeof granted !== 'boolean') {
+      errors.push(`${flag} must be true or false.`);
+    } else {
+      values[flag] = granted;
+    }
+  });
+  return { values, errors };
+}
+
+/**
+ * Attach each customer's recorded consent flags as `consent`.
+ * @param {Array} customers - Customer objects.
+ * @returns {Array} Copies of the customers that have recorded consent, the others as is.
+ */
+function attachConsent(customers) {
+  const consents = readConsents();
+  return customers.map((customer) => {
+    const recorded = consents.get(customer.acct_id);
+    return recorded ? { ...customer, consent: recorded.flags } : customer;
+  });
+}
+
+/**
+ * Leave out customers who were forgotten, so an import from an old CSV does
+ * not bring them back.
+ * @param {Array} customers - Customer objects.
+ * @returns {Object} { customers, forgotten } - The others, and how many were left out.
+ */
+function dropForgotten(customers) {
+  const forgotten = readForgotten();
+  if (forgotten.size === 0) {
+    return { customers, forgotten: 0 };
+  }
+  const kept = customers.filter((customer) => !forgotten.has(hashValue(customer.acct_id)));
+  return { customers: kept, forgotten: customers.length - kept.length };
+}
+
+/**
+ * Rewrite a JSONL file without the lines about an account.
+ * @param {String} filePath - JSONL file.
+ * @param {String} acctId - Account id.
+ * @returns {Number} Lines removed.
+ */
+function scrubJsonl(filePath, acctId) {
+  if (!fs.existsSync(filePath)) return 0;
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const kept = lines.filter((line) => !line.includes(acctId));
+  if (kept.length === lines.length) return 0;
+
+  // Write beside the file and rename, so a crash never leaves it half written
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, kept.join('\n'));
+  fs.renameSync(tempPath, filePath);
+  return lines.length - kept.length;
+}
+
+/**
+ * Forget a customer: delete their record, consent, recommendation history and
+ * feedback from the store, remove their lines from the feedback and exposure
+ * logs, and pseudonymize their acct_id in the audit log. Imports leave the
+ * account out from now on. Models already trained on the customer are not
+ * retrained.
+ * @param {String} acctId - Account id.
+ * @returns {Object} What was removed: { customers, consent, snapshots,
+ * feedback, auditEntries, feedbackFileLines, exposures }
+ */
+function forgetCustomer(acctId) {
+  const counts = deleteCustomerData(acctId, {
+    acctHash: hashValue(acctId),
+    pseudonym: pseudonymize(acctId),
+  });
+  return {
+    ...counts,
+    feedbackFileLines: scrubJsonl(FEEDBACK_PATH, acctId),
+    exposures: scrubJsonl(EXPOSURES_PATH, acctId),
+  };
+}
+
+module.exports = {
+  PRIVACY_CONFIG_PATH,
+  MASKING_MODES,
+  PrivacyConfigError,
+  readPrivacyConfig,
+  loadPrivacyConfig,
+  setPrivacyConfig,
+  pseudonymize,
+  showsNames,
+  maskForRole,
+  maskResponses,
+  logName,
+  logAcctId,
+  consentFlags,
+  applyConsent,
+  validateConsent,
+  attachConsent,
+  dropForgotten,
+  forgetCustomer,
+};
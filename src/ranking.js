@@ -0,0 +1,383 @@
+// src/ranking.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCondition, evaluateCondition, collectFeatures } = require('./labelingRules');
+const { getRegion } = require('./featurePipeline');
+
+const RANKING_RULES_PATH =
+  process.env.RANKING_RULES_PATH || path.join(__dirname, '../data/ranking_rules.json');
+
+// One-time purchases are spread over this many months when compared with
+// monthly prices
+const ONE_TIME_AMORTIZATION_MONTHS = 12;
+
+const RULE_TYPES = ['boost', 'pin', 'cap', 'eligibility'];
+
+/**
+ * Monthly revenue of a product. Per-unit prices are monthly, as in bundles.
+ * @param {Object} product - Product with price and billing.
+ * @returns {Number} Revenue per month.
+ */
+function monthlyRevenue(product) {
+  return product.billing === 'one-time'
+    ? product.price / ONE_TIME_AMORTIZATION_MONTHS
+    : product.price;
+}
+
+/**
+ * Expected monthly revenue of recommending a product: the model score times
+ * its monthly revenue.
+ * @param {Object} product - Scored product.
+ * @returns {Number} Expected revenue per month.
+ */
+function expectedRevenue(product) {
+  return product.score * monthlyRevenue(product);
+}
+
+// What recommendations are ordered by, before boosts, caps and pins
+const OBJECTIVES = {
+  score: (product) => product.score,
+  'expected-revenue': expectedRevenue,
+};
+
+/**
+ * Thrown when the ranking rules file is malformed. `errors` lists every problem found.
+ */
+class RankingRuleError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid ranking rules ${source}:\n` +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'RankingRuleError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read the ranking rules file and parse every condition. A missing file means
+ * ranking by score with no rules.
+ * @param {String} [filePath] - Rules file (default RANKING_RULES_PATH).
+ * @returns {Object} { source, objective, rules } with each rule's parsed `condition`.
+ * @throws {RankingRuleError} If the file does not parse or a rule is malformed.
+ */
+function readRankingRules(filePath = RANKING_RULES_PATH) {
+  const source = path.basename(filePath);
+  if (!fs.existsSync(filePath)) {
+    return { source, objective: 'score', rules: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new RankingRuleError(source, [error.message]);
+  }
+  return parseRankingRules(data, source);
+}
+
+/**
+ * Check the contents of a ranking rules file and parse every condition.
+ * @param {Object} data - Parsed rules file ({ objective, rules }).
+ * @param {String} [source] - Rules file name, used in the error message.
+ * @returns {Object} { source, objective, rules } with each rule's parsed `condition`.
+ * @throws {RankingRuleError} Listing every malformed rule.
+ */
+function parseRankingRules(data, source = 'ranking_rules.json') {
+  const errors = [];
+  const objective = data.objective || 'score';
+  if (!(objective in OBJECTIVES)) {
+    errors.push(`objective must be one of ${Object.keys(OBJECTIVES).join(', ')}.`);
+  }
+
+  const ids = new Set();
+  const rules = (data.rules || []).map((rule, index) => {
+    const label = rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+    if (!rule.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label} is defined more than once.`);
+    }
+    ids.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label} type must be one of ${RULE_TYPES.join(', ')}.`);
+    }
+    if (!Array.isArray(rule.products) || rule.products.length === 0) {
+      errors.push(`${label} needs a non-empty "products" list.`);
+    }
+    if (rule.type === 'boost' && !(typeof rule.factor === 'number' && rule.factor > 0)) {
+      errors.push(`${label} needs a positive "factor".`);
+    }
+    if (rule.type === 'pin' && !(Number.isInteger(rule.position) && rule.position >= 1)) {
+      errors.push(`${label} needs a "position" of 1 or more.`);
+    }
+    if (rule.type === 'cap') {
+      if (!(Number.isInteger(rule.top) && rule.top >= 1)) {
+        errors.push(`${label} needs a "top" of 1 or more.`);
+      }
+      if (!(typeof rule.maxShare === 'number' && rule.maxShare >= 0 && rule.maxShare <= 1)) {
+        errors.push(`${label} needs a "maxShare" between 0 and 1.`);
+      }
+    }
+    if (rule.type === 'eligibility') {
+      const lists = ['states', 'excludeStates'].filter((key) => key in rule);
+      if (lists.length !== 1) {
+        errors.push(`${label} needs exactly one of "states" or "excludeStates".`);
+      }
+      lists.forEach((key) => {
+        const invalid = (Array.isArray(rule[key]) ? rule[key] : [rule[key]]).filter(
+          (state) => !getRegion(String(state).toUpperCase())
+        );
+        if (!Array.isArray(rule[key]) || invalid.length > 0) {
+          errors.push(`${label} "${key}" must be a list of US state codes.`);
+        }
+      });
+    }
+    ['from', 'until'].forEach((key) => {
+      if (key in rule && Number.isNaN(Date.parse(rule[key]))) {
+        errors.push(`${label} "${key}" must be a date such as 2026-03-01.`);
+      }
+    });
+
+    let condition = null;
+    if (rule.when) {
+      try {
+        condition = parseCondition(rule.when);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    }
+    return { enabled: true, ...rule, condition };
+  });
+
+  if (errors.length > 0) {
+    throw new RankingRuleError(source, errors);
+  }
+  return { source, objective, rules };
+}
+
+/**
+ * Rules used by applyRankingRules, read on first use unless set first.
+ */
+let rankingRules = null;
+
+/**
+ * Read the ranking rules file and use it from now on.
+ * @param {String} [filePath] - Rules file (default RANKING_RULES_PATH).
+ * @returns {Object} The rules now in use.
+ * @throws {RankingRuleError} If the file does not parse or a rule is malformed.
+ */
+function loadRankingRules(filePath = RANKING_RULES_PATH) {
+  rankingRules = readRankingRules(filePath);
+  return rankingRules;
+}
+
+/**
+ * Use already validated rules from now on, e.g. when swapping in reloaded data.
+ * @param {Object} config - Output of readRankingRules.
+ */
+function setRankingRules(config) {
+  rankingRules = config;
+}
+
+/**
+ * Check that every rule targets catalog products and only reads known features.
+ * @param {Object} config - Output of readRankingRules.
+ * @param {Array} products - Catalog products.
+ * @param {Array} featureNames - Features available on preprocessed customers.
+ * @param {String} [source] - Rules file name for the error message (default
+ * the file the config was loaded from).
+ * @throws {RankingRuleError} Listing every unknown product or feature.
+ */
+function validateRankingRules(config, products, featureNames, source = config.source) {
+  const errors = [];
+  config.rules.forEach((rule) => {
+    rule.products.forEach((productId) => {
+      if (!products.some((product) => product.id === productId)) {
+        errors.push(`Rule "${rule.id}" targets unknown product "${productId}".`);
+      }
+    });
+    if (rule.condition) {
+      collectFeatures(rule.condition).forEach((feature) => {
+        if (!featureNames.includes(feature)) {
+          errors.push(`Rule "${rule.id}" references unknown feature "${feature}".`);
+        }
+      });
+    }
+  });
+  if (errors.length > 0) {
+    throw new RankingRuleError(source, errors);
+  }
+}
+
+/**
+ * Whether a rule is in force for a customer: enabled, inside its date window
+ * and, if it has one, its condition holds.
+ * @param {Object} rule - Parsed rule.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Date} now - Current time.
+ * @returns {Boolean} True if the rule applies.
+ */
+function ruleApplies(rule, customer, now) {
+  if (!rule.enabled) return false;
+  if (rule.from && now < new Date(rule.from)) return false;
+  // A bare date in "until" includes that whole day
+  const until = /^\d{4}-\d{2}-\d{2}$/.test(rule.until || '')
+    ? `${rule.until}T23:59:59.999Z`
+    : rule.until;
+  if (until && now > new Date(until)) return false;
+  return !rule.condition || evaluateCondition(rule.condition, customer);
+}
+
+/**
+ * Place a customer in [0, 1) for a cap rule. The same customer always gets the
+ * same value, so a capped product is capped consistently for them.
+ * @param {String} ruleId - Cap rule id.
+ * @param {String} acctId - Customer account id.
+ * @returns {Number} Bucket in [0, 1).
+ */
+function capBucket(ruleId, acctId) {
+  const hash = crypto.createHash('sha256').update(`${ruleId}:${acctId}`).digest();
+  return hash.readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Drop products that the customer's state is not eligible for.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Array} scoredProducts - Products with productId and productName.
+ * @param {Object} [options] - { now } for date windows (default: current time).
+ * @returns {Object} { eligible, excluded } where excluded entries explain the rule.
+ */
+function filterEligible(customer, scoredProducts, { now = new Date() } = {}) {
+  const { rules } = rankingRules || loadRankingRules();
+  const eligibilityRules = rules.filter(
+    (rule) => rule.type === 'eligibility' && ruleApplies(rule, customer, now)
+  );
+
+  const eligible = [];
+  const excluded = [];
+  scoredProducts.forEach((product) => {
+    const rule = eligibilityRules.find((r) => {
+      if (!r.products.includes(product.productId)) return false;
+      const state = customer.state;
+      return r.states
+        ? !r.states.map((s) => s.toUpperCase()).includes(state)
+        : r.excludeStates.map((s) => s.toUpperCase()).includes(state);
+    });
+    if (!rule) {
+      eligible.push(product);
+      return;
+    }
+    excluded.push({
+      productId: product.productId,
+      productName: product.productName,
+      score: product.score,
+      reason: 'ineligible',
+      coveredBy: null,
+      detail: `${product.productName} is not available in ${customer.state || 'this state'}.`,
+      rules: [{ id: rule.id, type: rule.type, effect: 'excluded' }],
+    });
+  });
+  return { eligible, excluded };
+}
+
+/**
+ * Re-rank recommendations with the business rules, in this order:
+ *  1. eligibility rules drop products the customer's state cannot buy,
+ *  2. products are ordered by the objective times every matching boost,
+ *  3. cap rules move a product out of the top N for customers outside the
+ *     allowed share,
+ *  4. pin rules move a product to a fixed position.
+ * @param {Object} customer - Preprocessed customer data.
+ * @param {Array} recommendations - Products left after ownership filtering.
+ * @param {Object} [options] - { objective, now }. objective overrides the
+ * file's objective (e.g. for an experiment variant).
+ * @returns {Object} { recommendations, excluded } where every recommendation
+ * has rankingScore, expectedRevenue and the rules that fired for it.
+ */
+function applyRankingRules(customer, recommendations, { objective, now = new Date() } = {}) {
+  const config = rankingRules || loadRankingRules();
+  const rankBy = OBJECTIVES[objective || config.objective];
+  if (!rankBy) {
+    throw new Error(`Unknown ranking objective "${objective}".`);
+  }
+  const active = config.rules.filter(
+    (rule) => rule.type !== 'eligibility' && ruleApplies(rule, customer, now)
+  );
+  const { eligible, excluded } = filterEligible(customer, recommendations, { now });
+
+  // Objective and boosts
+  const ranked = eligible.map((product) => {
+    const fired = [];
+    let rankingScore = rankBy(product);
+    active
+      .filter((rule) => rule.type === 'boost' && rule.products.includes(product.productId))
+      .forEach((rule) => {
+        rankingScore *= rule.factor;
+        fired.push({ id: rule.id, type: rule.type, effect: `score x${rule.factor}` });
+      });
+    return {
+      ...product,
+      rankingScore,
+      expectedRevenue: Math.round(expectedRevenue(product) * 100) / 100,
+      rules: fired,
+    };
+  });
+  ranked.sort((a, b) => b.rankingScore - a.rankingScore);
+
+  // Caps push a product just below the top N for most customers
+  active
+    .filter((rule) => rule.type === 'cap')
+    .forEach((rule) => {
+      if (capBucket(rule.id, customer.acct_id) < rule.maxShare) return;
+      rule.products.forEach((productId) => {
+        const index = ranked.findIndex((product) => product.productId === productId);
+        if (index === -1 || index >= rule.top) return;
+        const [product] = ranked.splice(index, 1);
+        const target = Math.min(rule.top, ranked.length);
+        ranked.splice(target, 0, product);
+        product.rules.push({
+          id: rule.id,
+          type: rule.type,
+          effect: `moved from ${index + 1} to ${target + 1}`,
+        });
+      });
+    });
+
+  // Pins go last so they hold their position
+  active
+    .filter((rule) => rule.type === 'pin')
+    .forEach((rule) => {
+      rule.products.forEach((productId) => {
+        const index = ranked.findIndex((product) => product.productId === productId);
+        if (index === -1) return;
+        const [product] = ranked.splice(index, 1);
+        const target = Math.min(rule.position - 1, ranked.length);
+        ranked.splice(target, 0, product);
+        product.rules.push({
+          id: rule.id,
+          type: rule.type,
+          effect: `pinned at ${target + 1}`,
+        });
+      });
+    });
+
+  return { recommendations: ranked, excluded };
+}
+
+module.exports = {
+  OBJECTIVES,
+  RankingRuleError,
+  readRankingRules,
+  parseRankingRules,
+  loadRankingRules,
+  setRankingRules,
+  validateRankingRules,
+  applyRankingRules,
+  filterEligible,
+  expectedRevenue,
+  monthlyRevenue,
+};
@@ -0,0 +1,103 @@
+// src/recommendationHistory.js
+
+const { writeSnapshot, readSnapshots } = require('./storage');
+
+// Products per snapshot shown in the history unless asked otherwise
+const DEFAULT_HISTORY_TOP = 3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Save the ranking a customer was shown, so its history can be replayed.
+ * @param {Object} shown - { acctId, modelVersion, ranking, experimentId, variant }
+ * @param {Array} recommendations - Ranked recommendations from getRecommendations.
+ * @returns {String} 'recorded' for a new snapshot, 'seen' if the ranking did not change.
+ */
+function recordSnapshot(shown, recommendations) {
+  return writeSnapshot({
+    ...shown,
+    products: recommendations.map((recommendation) => ({
+      productId: recommendation.productId,
+      score: round(recommendation.score),
+      rankingScore: round(recommendation.rankingScore),
+    })),
+  });
+}
+
+/**
+ * How a customer's top products changed from one snapshot to the next.
+ * @param {Array} previous - Top product ids of the earlier snapshot.
+ * @param {Array} current - Top product ids of the later snapshot.
+ * @returns {Object} { entered, left, moved } where moved lists products that
+ * stayed in the top with { productId, from, to } ranks.
+ */
+function compareTop(previous, current) {
+  return {
+    entered: current.filter((id) => !previous.includes(id)),
+    left: previous.filter((id) => !current.includes(id)),
+    moved: current
+      .map((id, index) => ({ productId: id, from: previous.indexOf(id) + 1, to: index + 1 }))
+      .filter(({ from, to }) => from > 0 && from !== to),
+  };
+}
+
+/**
+ * Build a customer's recommendation history: each snapshot's top products,
+ * newest first, with what changed since the snapshot before it and whether
+ * the model version changed.
+ * @param {String} acctId - Account id.
+ * @param {Array} products - Catalog products, for product names.
+ * @param {Object} [options] - { top, limit } products per snapshot (default
+ * DEFAULT_HISTORY_TOP) and snapshots returned (default 20).
+ * @returns {Object} { modelVersions, snapshots }
+ */
+function buildHistory(acctId, products, { top = DEFAULT_HISTORY_TOP, limit = 20 } = {}) {
+  const productName = (id) => {
+    const product = products.find((p) => p.id === id);
+    return product ? product.name : id;
+  };
+
+  // One extra, older snapshot so the oldest one returned has something to compare to
+  const snapshots = readSnapshots(acctId, { limit: limit + 1 });
+  const history = snapshots.map((snapshot, index) => {
+    const topProducts = snapshot.products.slice(0, top);
+    const previous = snapshots[index - 1];
+    return {
+      recordedAt: snapshot.recordedAt,
+      lastSeenAt: snapshot.lastSeenAt,
+      views: snapshot.views,
+      modelVersion: snapshot.modelVersion,
+      ranking: snapshot.ranking,
+      experiment: snapshot.experimentId
+        ? { id: snapshot.experimentId, variant: snapshot.variant }
+        : null,
+      top: topProducts.map((product, rank) => ({
+        rank: rank + 1,
+        productId: product.productId,
+        productName: productName(product.productId),
+        score: product.score,
+      })),
+      changes: previous
+        ? {
+            modelChanged: previous.modelVersion !== snapshot.modelVersion,
+            ...compareTop(
+              previous.products.slice(0, top).map((product) => product.productId),
+              topProducts.map((product) => product.productId)
+            ),
+          }
+        : null,
+    };
+  });
+
+  const shown = history.slice(-limit).reverse();
+  return {
+    modelVersions: [...new Set(shown.map((snapshot) => snapshot.modelVersion))],
+    snapshots: shown,
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_TOP,
+  recordSnapshot,
+  buildHistory,
+};
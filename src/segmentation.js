@@ -0,0 +1,374 @@
+// src/segmentation.js
+
+const { scoreCustomers } = require('./modelPrediction');
+const { findOwnedProducts } = require('./ownership');
+const { createRandom, DEFAULT_SEED } = require('./evaluation');
+const { csvCell } = require('./batchScoring');
+
+const DEFAULT_SEGMENTS = 4;
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const MAX_ITERATIONS = 100;
+
+// How far a segment has to sit from the average customer to earn a label
+const HEAVY_RATIO = 1.5;
+const LIGHT_RATIO = 0.5;
+const LARGE_HOME_SHARE = 0.5;
+const SIGNAL_MARGIN_DB = 3;
+const HOME_SHARE_MARGIN = 0.1;
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Squared Euclidean distance between two points.
+ * @param {Array} a - Point.
+ * @param {Array} b - Point.
+ * @returns {Number} Squared distance.
+ */
+function squaredDistance(a, b) {
+  return a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+}
+
+/**
+ * Index of the centroid closest to a point.
+ * @param {Array} point - Point.
+ * @param {Array} centroids - Centroids.
+ * @returns {Number} Centroid index.
+ */
+function nearestCentroid(point, centroids) {
+  let best = 0;
+  centroids.forEach((centroid, index) => {
+    if (squaredDistance(point, centroid) < squaredDistance(point, centroids[best])) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Cluster points with k-means, seeded with k-means++ so the same seed always
+ * gives the same segments.
+ * @param {Array} points - Equal-length numeric vectors.
+ * @param {Number} k - Number of clusters.
+ * @param {Object} [options] - { seed, maxIterations }
+ * @returns {Object} { assignments, centroids, iterations }
+ */
+function kMeans(points, k, { seed = DEFAULT_SEED, maxIterations = MAX_ITERATIONS } = {}) {
+  const random = createRandom(seed);
+
+  // k-means++: each next centroid is picked with probability proportional to
+  // its squared distance from the closest centroid so far
+  const centroids = [points[Math.floor(random() * points.length)]];
+  while (centroids.length < k) {
+    const distances = points.map((point) =>
+      Math.min(...centroids.map((centroid) => squaredDistance(point, centroid)))
+    );
+    const total = distances.reduce((sum, distance) => sum + distance, 0);
+    if (total === 0) break;
+    let target = random() * total;
+    const index = distances.findIndex((distance) => (target -= distance) <= 0);
+    centroids.push(points[index === -1 ? points.length - 1 : index]);
+  }
+
+  let assignments = points.map((point) => nearestCentroid(point, centroids));
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    centroids.forEach((centroid, c) => {
+      const members = points.filter((_, i) => assignments[i] === c);
+      // An empty cluster keeps its centroid
+      if (members.length > 0) {
+        centroids[c] = centroid.map((_, d) => mean(members.map((point) => point[d])));
+      }
+    });
+
+    const next = points.map((point) => nearestCentroid(point, centroids));
+    const changed = next.some((assignment, i) => assignment !== assignments[i]);
+    assignments = next;
+    if (!changed) break;
+  }
+
+  return { assignments, centroids, iterations };
+}
+
+/**
+ * Average usage, home and signal figures of a group of customers.
+ * @param {Array} customers - Preprocessed customers.
+ * @returns {Object} Profile with averages in readable units.
+ */
+function profileCustomers(customers) {
+  return {
+    avgDevices: round(mean(customers.map((c) => c.total_devices)), 1),
+    avgBandwidthUsage: round(mean(customers.map((c) => c.avg_bandwidth_usage)), 1),
+    avgP95DownloadMbps: round(mean(customers.map((c) => c.rx_p95_bps / 1e6)), 2),
+    avgMedianRssi: round(mean(customers.map((c) => c.rssi_median)), 1),
+    avgPlanMbps: round(mean(customers.map((c) => c.network_speed)), 0),
+    largeHomeShare: round(
+      mean(customers.map((c) => (c.coverage_size === 'Large' ? 1 : 0)))
+    ),
+  };
+}
+
+/**
+ * How many HEAVY_RATIO steps a segment's average sits above (positive) or
+ * below (negative) the overall average.
+ * @param {Object} profile - Segment profile.
+ * @param {Object} overall - Profile of every customer.
+ * @param {String} key - Profile field.
+ * @returns {Number} Steps; 0 if either average is not positive.
+ */
+function ratioSteps(profile, overall, key) {
+  if (!(overall[key] > 0 && profile[key] > 0)) return 0;
+  return Math.log(profile[key] / overall[key]) / Math.log(HEAVY_RATIO);
+}
+
+// Secondary traits: how a segment compares with the average customer on each
+// dimension, as phrases for above and below average. Strength is measured in
+// label margins, so a dimension that just misses its main-trait threshold
+// counts about 1 however it is measured.
+const SECONDARY_TRAITS = [
+  {
+    dimension: 'usage',
+    above: 'higher usage',
+    below: 'lower usage',
+    strength: (profile, overall) => ratioSteps(profile, overall, 'avgBandwidthUsage'),
+  },
+  {
+    dimension: 'devices',
+    above: 'more devices',
+    below: 'fewer devices',
+    strength: (profile, overall) => ratioSteps(profile, overall, 'avgDevices'),
+  },
+  {
+    dimension: 'homes',
+    above: 'more large homes',
+    below: 'fewer large homes',
+    strength: (profile, overall) =>
+      (profile.largeHomeShare - overall.largeHomeShare) / HOME_SHARE_MARGIN,
+  },
+  {
+    dimension: 'signal',
+    above: 'stronger signal',
+    below: 'weaker signal',
+    strength: (profile, overall) =>
+      (profile.avgMedianRssi - overall.avgMedianRssi) / SIGNAL_MARGIN_DB,
+  },
+  {
+    dimension: 'plan',
+    above: 'faster plans',
+    below: 'slower plans',
+    strength: (profile, overall) => ratioSteps(profile, overall, 'avgPlanMbps'),
+  },
+];
+
+/**
+ * Describe a segment by how it differs from the average customer.
+ * @param {Object} profile - Segment profile from profileCustomers.
+ * @param {Object} overall - Profile of every customer.
+ * @returns {Object} { main, secondary } - Main traits such as "big homes with
+ * weak signal" (never empty), then how the segment compares on every
+ * dimension the main traits do not cover, such as "higher usage", strongest
+ * first.
+ */
+function describeSegment(profile, overall) {
+  const ratio = (key) => (overall[key] > 0 ? profile[key] / overall[key] : 1);
+  const usage = Math.max(ratio('avgBandwidthUsage'), ratio('avgP95DownloadMbps'));
+  const weakSignal = profile.avgMedianRssi <= overall.avgMedianRssi - SIGNAL_MARGIN_DB;
+  const main = [];
+  const covered = [];
+
+  if (profile.largeHomeShare >= LARGE_HOME_SHARE && weakSignal) {
+    main.push('big homes with weak signal');
+    covered.push('homes', 'signal');
+  }
+  if (usage >= HEAVY_RATIO) {
+    main.push('heavy streamers');
+    covered.push('usage');
+  }
+  if (ratio('avgDevices') >= HEAVY_RATIO) {
+    main.push('device-heavy homes');
+    covered.push('devices');
+  }
+  if (ratio('avgBandwidthUsage') <= LIGHT_RATIO) {
+    main.push('light users');
+    covered.push('usage');
+  }
+  if (main.length === 0) main.push('typical households');
+
+  const secondary = SECONDARY_TRAITS.filter(({ dimension }) => !covered.includes(dimension))
+    .map((trait) => ({ trait, strength: trait.strength(profile, overall) }))
+    .filter(({ strength }) => strength !== 0)
+    .sort((a, b) => Math.abs(b.strength) - Math.abs(a.strength))
+    .map(({ trait, strength }) => (strength > 0 ? trait.above : trait.below));
+  return { main, secondary };
+}
+
+/**
+ * Cluster customers into segments on the normalized continuous model inputs
+ * and report, per segment, a label, a profile, product penetration from the
+ * ownership columns and the average model score per product.
+ * @param {Array} customers - Raw customer objects.
+ * @param {Array} products - Catalog products.
+ * @param {Object} [options] - { k, seed } (default DEFAULT_SEGMENTS, DEFAULT_SEED).
+ * @returns {Promise<Object|null>} { k, seed, customers, overall, segments,
+ * assignments } where assignments map each acct_id to its segment, or null if
+ * the model could not be loaded.
+ */
+async function buildSegments(customers, products, { k = DEFAULT_SEGMENTS, seed = DEFAULT_SEED } = {}) {
+  const scored = await scoreCustomers(customers, products, { explain: false });
+  if (!scored) {
+    return null;
+  }
+
+  // The one-hot state columns would split customers by geography, so cluster
+  // on usage, device and signal features only
+  const points = scored.map(({ input, normalizedInput }) =>
+    normalizedInput.slice(0, input.continuous.length)
+  );
+  const clusters = Math.max(1, Math.min(k, points.length));
+  const { assignments, iterations } = kMeans(points, clusters, { seed });
+  console.log(`Clustered ${points.length} customers into ${clusters} segments in ${iterations} iterations.`);
+
+  const preprocessed = scored.map(({ preprocessedCustomer }) => preprocessedCustomer);
+  const overall = profileCustomers(preprocessed);
+  const segments = [];
+  for (let c = 0; c < clusters; c++) {
+    const members = scored.filter((_, i) => assignments[i] === c);
+    if (members.length === 0) continue;
+    const memberCustomers = members.map(({ preprocessedCustomer }) => preprocessedCustomer);
+    const profile = profileCustomers(memberCustomers);
+    const owned = memberCustomers.map((customer) => findOwnedProducts(customer, products));
+
+    const { main, secondary } = describeSegment(profile, overall);
+    segments.push({
+      cluster: c,
+      traits: main.concat(secondary),
+      main,
+      secondary,
+      size: members.length,
+      share: round(members.length / scored.length),
+      profile,
+      penetration: Object.fromEntries(
+        products.map((product) => [
+          product.id,
+          round(mean(owned.map((list) => (list.includes(product) ? 1 : 0)))),
+        ])
+      ),
+      averageScores: Object.fromEntries(
+        products.map((product, index) => [
+          product.id,
+          round(mean(members.map(({ prediction }) => prediction[index]))),
+        ])
+      ),
+    });
+  }
+
+  // Largest segment first. A label is the main trait and the strongest
+  // secondary one, with further secondary traits while another segment would
+  // share it. Only segments that compare the same way on every dimension are
+  // numbered.
+  segments.sort((a, b) => b.size - a.size);
+  const labelOf = (segment, count) =>
+    [segment.main[0]].concat(segment.secondary.slice(0, count)).join(', ');
+  const labels = new Set();
+  segments.forEach((segment, index) => {
+    segment.id = index + 1;
+    let count = 1;
+    while (
+      count < segment.secondary.length &&
+      segments.some(
+        (other) => other !== segment && labelOf(other, count) === labelOf(segment, count)
+      )
+    ) {
+      count++;
+    }
+    let label = labelOf(segment, count);
+    if (labels.has(label)) label = `${label} (${segment.id})`;
+    labels.add(label);
+    segment.label = label;
+  });
+  const byCluster = new Map(segments.map((segment) => [segment.cluster, segment]));
+
+  return {
+    k: clusters,
+    seed,
+    customers: scored.length,
+    overall,
+    segments: segments.map(({ id, label, traits, size, share, profile, penetration, averageScores }) => ({
+      id,
+      label,
+      traits,
+      size,
+      share,
+      profile,
+      penetration,
+      averageScores,
+    })),
+    assignments: preprocessed.map((customer, i) => ({
+      acctId: customer.acct_id,
+      segment: byCluster.get(assignments[i]).id,
+      label: byCluster.get(assignments[i]).label,
+    })),
+  };
+}
+
+/**
+ * Format a segment report for the terminal.
+ * @param {Object} report - Output of buildSegments.
+ * @param {Array} products - Catalog products.
+ * @returns {String} Human-readable report.
+ */
+function formatSegmentReport(report, products) {
+  const percent = (value) => `${(value * 100).toFixed(0)}%`.padStart(5);
+  const lines = [`${report.customers} customers in ${report.segments.length} segments (seed ${report.seed})`];
+
+  report.segments.forEach((segment) => {
+    const { profile } = segment;
+    lines.push(
+      '',
+      `Segment ${segment.id}: ${segment.label} - ${segment.size} customers (${percent(segment.share).trim()})`,
+      `  ${profile.avgDevices} devices, ${profile.avgP95DownloadMbps} Mbps p95 download, ` +
+        `${profile.avgMedianRssi} dBm median signal, ${profile.avgPlanMbps} Mbps plan, ` +
+        `${percent(profile.largeHomeShare).trim()} large homes`,
+      `  ${'Product'.padEnd(40)} Owned  Score`
+    );
+    products.forEach((product) => {
+      lines.push(
+        `  ${product.name.padEnd(40)} ${percent(segment.penetration[product.id])}  ${segment.averageScores[product.id].toFixed(3)}`
+      );
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Format segment assignments for export: a CSV with a header, or one JSON
+ * line per customer.
+ * @param {Array} assignments - Assignments from buildSegments.
+ * @param {String} format - 'csv' or 'jsonl'.
+ * @returns {String} Newline-terminated text.
+ */
+function formatAssignments(assignments, format) {
+  if (format === 'jsonl') {
+    return assignments.map((assignment) => `${JSON.stringify(assignment)}\n`).join('');
+  }
+  return ['acct_id,segment,label']
+    .concat(
+      assignments.map(({ acctId, segment, label }) =>
+        [acctId, segment, label].map(csvCell).join(',')
+      )
+    )
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+module.exports = {
+  DEFAULT_SEGMENTS,
+  EXPORT_FORMATS,
+  kMeans,
+  buildSegments,
+  formatSegmentReport,
+  formatAssignments,
+};
@@ -3,79 +3,1198 @@
 const express = require('express');
 const app = express();
 const path = require('path');
-const { loadCustomerData, loadProductData } = require('./dataProcessing');
-const { getRecommendations } = require('./modelPrediction');
+const {
+  loadCustomerData,
+  validateCustomerCsv,
+  buildCustomers,
+  loadProductData,
+  parseCustomerCsv,
+  preprocessCustomers,
+} = require('./dataProcessing');
+const {
+  parseCatalog,
+  validateCatalog,
+  findDroppedFields,
+  resolveCatalogPath,
+  CatalogValidationError,
+} = require('./catalog');
+const {
+  getRecommendations,
+  getRecommendationsBatch,
+  scoreProducts,
+  loadModel,
+  reloadModel,
+  loadModelVersion,
+  getModelVersion,
+  checkCatalog,
+} = require('./modelPrediction');
+const { getVersion, watchPromotions, promoteVersion } = require('./modelRegistry');
+const {
+  countRows,
+  writeCustomers,
+  writeProducts,
+  readAudit,
+  writeConsent,
+} = require('./storage');
+const {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  createSession,
+  endSession,
+  readCookie,
+  authenticate,
+  requireRole,
+  auditViews,
+  markViewed,
+} = require('./auth');
+const { DEFAULT_HISTORY_TOP, recordSnapshot, buildHistory } = require('./recommendationHistory');
+const { formatResults, FORMATS, CSV_HEADER } = require('./batchScoring');
+const { MIN_ADD_ON_SCORE, buildBundles } = require('./bundleOptimizer');
+const {
+  readRankingRules,
+  setRankingRules,
+  validateRankingRules,
+  filterEligible,
+} = require('./ranking');
+const { assessNetworkHealth } = require('./networkHealth');
+const { planNextBestActions } = require('./nextBestAction');
+const { DEFAULT_SEGMENTS, buildSegments } = require('./segmentation');
+const { validateFeedback, recordFeedback } = require('./feedback');
+const {
+  ExperimentConfigError,
+  loadExperiments,
+  assignVariant,
+  logExposure,
+} = require('./experiments');
+const {
+  validateOverrides,
+  simulateCustomer,
+  changedAttributes,
+  compareRankings,
+} = require('./simulation');
+const {
+  readPrivacyConfig,
+  setPrivacyConfig,
+  pseudonymize,
+  showsNames,
+  maskForRole,
+  maskResponses,
+  logName,
+  logAcctId,
+  consentFlags,
+  validateConsent,
+  attachConsent,
+  dropForgotten,
+  forgetCustomer,
+} = require('./privacy');
+const {
+  findByAcctId,
+  findByName,
+  searchCustomers,
+  toCandidate,
+  toProfile,
+} = require('./customerLookup');
 
 const PORT = 3000;
 
-let customers = [];
-let products = [];
+// Everything served from the store and data/. Replaced as a whole, never
+// modified, so a request that takes its snapshot up front sees one consistent
+// version even if an admin upload or reload swaps in new data while it is scoring.
+let data = {
+  customers: [],
+  products: [],
+  experiments: [],
+  rankingRules: null,
+  privacyConfig: null,
+};
+
+// Segment reports by "k:seed", cleared when the model changes
+const segmentCache = new Map();
+const MAX_SEGMENTS = 20;
 
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, '../public')));
+app.use(express.json({ limit: '50mb' }));
+app.use(express.text({ type: 'text/csv', limit: '50mb' }));
+app.use(
+  express.text({
+    type: ['text/markdown', 'text/yaml', 'application/yaml', 'application/x-yaml'],
+    limit: '1mb',
+  })
+);
+
+/**
+ * API Endpoint: POST /auth/login
+ * Body:
+ *  - key: API key from `node src/cli.js keys create`.
+ * Starts a session for the web UI: sets an HttpOnly session cookie and
+ * responds with the user's name and role. 401 if the key is not valid.
+ */
+app.post('/auth/login', (req, res) => {
+  console.log('Received POST /auth/login');
+  try {
+    const session = createSession(req.body && req.body.key);
+    if (!session) {
+      return res.status(401).send('Invalid API key.');
+    }
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: SESSION_TTL_MS,
+    });
+    console.log(`${session.user.name} (${session.user.role}) signed in.`);
+    res.json({ name: session.user.name, role: session.user.role, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /auth/logout
+ * Ends the session in the cookie, if any.
+ */
+app.post('/auth/logout', (req, res) => {
+  console.log('Received POST /auth/logout');
+  try {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) endSession(token);
+    res.clearCookie(SESSION_COOKIE);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+// Everything below needs an API key or a session, customer views are audited,
+// and names and acct_ids in responses are masked as configured for the caller's role
+app.use(authenticate);
+app.use(auditViews);
+app.use(maskResponses);
+app.param('acctId', (req, res, next, acctId) => {
+  markViewed(req, acctId);
+  next();
+});
+
+/**
+ * API Endpoint: GET /auth/me
+ * Name and role of the signed-in user.
+ */
+app.get('/auth/me', (req, res) => {
+  res.json({ name: req.user.name, role: req.user.role });
+});
+
+// Catalog formats accepted by POST /admin/catalog, by content type
+const CATALOG_UPLOAD_FORMATS = {
+  'application/json': '.json',
+  'text/yaml': '.yaml',
+  'application/yaml': '.yaml',
+  'application/x-yaml': '.yaml',
+  'text/markdown': '.md',
+};
+
+/**
+ * Names of the features on preprocessed customers, for validating ranking rules.
+ * @param {Array} customers - Customer objects.
+ * @returns {Array} Feature names.
+ */
+function featureNamesOf(customers) {
+  return [...new Set(preprocessCustomers(customers).flatMap((customer) => Object.keys(customer)))];
+}
+
+/**
+ * Load the model versions used by the active experiment's variants.
+ * @param {Array} experiments - Output of loadExperiments.
+ * @returns {Promise<Array>} Versions loaded.
+ * @throws {ExperimentConfigError} If a variant's version cannot be loaded.
+ */
+async function loadVariantModels(experiments) {
+  const activeExperiment = experiments.find((experiment) => experiment.active);
+  if (!activeExperiment) return [];
+
+  const versions = [];
+  for (const variant of activeExperiment.variants) {
+    if (!variant.model) continue;
+    try {
+      await loadModelVersion(variant.model);
+    } catch (error) {
+      throw new ExperimentConfigError('experiments.json', [
+        `Variant "${variant.id}" of ${activeExperiment.id}: ${error.message}`,
+      ]);
+    }
+    versions.push(variant.model);
+  }
+  return versions;
+}
+
+/**
+ * Read and validate everything served: customers and the catalog from the
+ * store, ranking rules, experiments and privacy settings from data/. Nothing
+ * is swapped in here, so a failure leaves the data being served untouched.
+ * The promoted model must be loaded.
+ * @returns {Promise<Object>} { customers, products, experiments, rankingRules, privacyConfig }
+ * @throws {CatalogValidationError} If the catalog is invalid or does not fit the models.
+ * @throws {RankingRuleError} If the ranking rules are invalid or target
+ * unknown products or features.
+ * @throws {ExperimentConfigError} If the experiments are invalid.
+ * @throws {PrivacyConfigError} If the privacy settings are invalid.
+ */
+async function readServerData() {
+  console.log('Loading customer data...');
+  const customers = await loadCustomerData();
+  console.log(`Loaded ${customers.length} customers.`);
+
+  console.log('Loading product data...');
+  const products = loadProductData();
+
+  // Load variant models up front so a missing version fails here
+  const experiments = loadExperiments();
+  const versions = await loadVariantModels(experiments);
+
+  const catalogErrors = await checkCatalog(products, versions);
+  if (catalogErrors.length > 0) {
+    throw new CatalogValidationError(path.basename(resolveCatalogPath()), catalogErrors);
+  }
+
+  const rankingRules = readRankingRules();
+  validateRankingRules(rankingRules, products, featureNamesOf(customers));
+
+  const privacyConfig = readPrivacyConfig();
+
+  return { customers, products, experiments, rankingRules, privacyConfig };
+}
+
+/**
+ * Start serving new data. Requests already running keep their snapshot.
+ * @param {Object} next - { customers, products, experiments, rankingRules, privacyConfig }
+ */
+function swapData({ customers, products, experiments, rankingRules, privacyConfig }) {
+  data = { customers, products, experiments, rankingRules, privacyConfig };
+  setRankingRules(rankingRules);
+  setPrivacyConfig(privacyConfig);
+  segmentCache.clear();
+}
 
 // Load data on server start
 (async () => {
   try {
-    console.log('Loading customer data...');
-    customers = await loadCustomerData();
-    console.log(`Loaded ${customers.length} customers.`);
+    // Throws a ModelSchemaError if the model does not match the feature pipeline
+    console.log('Loading model...');
+    await loadModel();
 
-    console.log('Loading product data...');
-    products = loadProductData();
-    console.log(`Loaded ${products.length} products.`);
-    products.forEach((product, index) => {
-      console.log(`${index}: ${product.name}`);
+    swapData(await readServerData());
+    const { rankingRules, experiments } = data;
+    console.log(
+      `Loaded ${rankingRules.rules.filter((rule) => rule.enabled).length} active ranking rules ` +
+        `(objective: ${rankingRules.objective}).`
+    );
+    const activeExperiment = experiments.find((experiment) => experiment.active);
+    if (activeExperiment) {
+      console.log(
+        `Running experiment ${activeExperiment.id} with variants ${activeExperiment.variants
+          .map((variant) => variant.id)
+          .join(', ')}.`
+      );
+    }
+
+    // Hot-reload when a model version is promoted or rolled back from the CLI,
+    // with the same catalog check as /admin/models/promote
+    watchPromotions(async () => {
+      console.log('Promoted model changed, reloading...');
+      try {
+        await reloadModel(data.products);
+        segmentCache.clear();
+      } catch (error) {
+        console.error(`Keeping the current model: ${error.message}`);
+      }
     });
 
-    if (products.length === 0) {
-      console.error(
-        'No products found. Please check your product_catalog.md file.'
+    if (countRows('api_keys') === 0) {
+      console.warn(
+        'No API keys yet, so nobody can sign in. Create one with: ' +
+          'node src/cli.js keys create --name <name> --role admin'
       );
-      process.exit(1); // Exit the process if no products are loaded
     }
 
     console.log('Server is running at http://localhost:' + PORT);
-    console.log('Sample customer data:', customers[0]);
-    console.log(
-      'Loaded customer names:',
-      customers.map((c) => c.customerName)
-    );
   } catch (error) {
-    console.error('Error loading data:', error);
+    if (
+      error.name === 'CatalogValidationError' ||
+      error.name === 'ModelSchemaError' ||
+      error.name === 'RankingRuleError' ||
+      error.name === 'ExperimentConfigError' ||
+      error.name === 'PrivacyConfigError'
+    ) {
+      console.error(error.message);
+    } else {
+      console.error('Error loading data:', error);
+    }
     process.exit(1); // Exit the process if there's an error loading data
   }
 })();
 
+/**
+ * Resolve a customer by acct_id or by exact name and mark them viewed for the
+ * audit log. Sends a 400, 404 or 409 response and returns null when no single
+ * customer matches.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {Object} lookup - { acctId, customerName }
+ * @returns {Object|null} Customer object from loadCustomerData.
+ */
+function resolveCustomer(req, res, { acctId, customerName }) {
+  const { customers } = data;
+  if ((acctId && typeof acctId !== 'string') || (customerName && typeof customerName !== 'string')) {
+    res.status(400).send('acctId and customerName must be strings.');
+    return null;
+  }
+  if (acctId) {
+    const customer = findByAcctId(customers, acctId);
+    if (!customer) {
+      res.status(404).send('Customer not found.');
+      return null;
+    }
+    markViewed(req, customer.acct_id);
+    return customer;
+  }
+
+  if (!customerName) {
+    res.status(400).send('Customer name is required.');
+    return null;
+  }
+
+  const matches = findByName(customers, customerName);
+
+  if (matches.length === 0) {
+    res.status(404).send('Customer not found.');
+    return null;
+  }
+
+  if (matches.length > 1) {
+    res.status(409).json({
+      error: `Customer name "${customerName}" matches ${matches.length} accounts. Use an acct_id instead.`,
+      candidates: matches.map(toCandidate),
+    });
+    return null;
+  }
+
+  markViewed(req, matches[0].acct_id);
+  return matches[0];
+}
+
+/**
+ * Send ranked recommendations for a customer and record them in the
+ * customer's recommendation history. While an experiment is active the
+ * customer's variant decides the model and ranking, the response is tagged
+ * with it and the exposure is logged. Explanations only name the customer if
+ * the caller's role may see names.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ */
+async function sendRecommendations(req, res, customer) {
+  const { products, experiments, rankingRules } = data;
+  const experiment = experiments.find((e) => e.active);
+  const variant = experiment ? assignVariant(experiment, customer.acct_id) : null;
+  const { recommendations, excluded } = await getRecommendations(customer, products, {
+    ...(variant ? { modelVersion: variant.model, ranking: variant.ranking } : {}),
+    useName: showsNames(req.user.role),
+  });
+  // Variants without their own ranking use the rules file's objective
+  const ranking = (variant && variant.ranking) || rankingRules.objective;
+
+  try {
+    recordSnapshot(
+      {
+        acctId: customer.acct_id,
+        modelVersion: (variant && variant.model) || getModelVersion(),
+        ranking,
+        experimentId: variant ? experiment.id : null,
+        variant: variant ? variant.id : null,
+      },
+      recommendations
+    );
+  } catch (error) {
+    // History is a record, not something the agent has to wait on
+    console.error('Error recording recommendation snapshot:', error);
+  }
+
+  if (variant) {
+    try {
+      logExposure({
+        experimentId: experiment.id,
+        variant: variant.id,
+        acctId: customer.acct_id,
+        modelVersion: variant.model || getModelVersion(),
+        ranking,
+        recommendations,
+      });
+    } catch (error) {
+      // A lost exposure should not cost the agent their recommendations
+      console.error('Error logging exposure:', error);
+    }
+  }
+
+  res.json({
+    customer: toCandidate(customer),
+    experiment: variant ? { id: experiment.id, variant: variant.id } : null,
+    recommendations,
+    excluded,
+  });
+}
+
 /**
  * API Endpoint: GET /recommendations
  * Query Parameters:
  *  - customerName: Name of the customer to get recommendations for.
+ * Responds with 409 and the candidate accounts when the name is ambiguous.
  */
-app.get('/recommendations', async (req, res) => {
+app.get('/recommendations', requireRole('agent'), async (req, res) => {
   console.log('Received GET /recommendations');
   try {
     const customerName = req.query.customerName;
-    console.log('Searching for customer:', customerName);
-    if (!customerName) {
-      return res.status(400).send('Customer name is required.');
+    console.log('Searching for customer:', logName(customerName));
+    const customer = resolveCustomer(req, res, { customerName });
+    if (!customer) return;
+
+    await sendRecommendations(req, res, customer);
+  } catch (error) {
+    console.error('Error getting recommendations:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/search
+ * Query Parameters:
+ *  - q: Name or name prefix, matched with typo tolerance.
+ *  - city: Optional city filter.
+ *  - state: Optional state filter.
+ *  - limit: Optional maximum number of results (default 20, at most 100).
+ * A parameter given more than once, or as an object, gets a 400.
+ */
+app.get('/customers/search', requireRole('agent'), (req, res) => {
+  const repeated = ['q', 'city', 'state', 'limit'].filter(
+    (name) => req.query[name] !== undefined && typeof req.query[name] !== 'string'
+  );
+  if (repeated.length > 0) {
+    return res.status(400).send(`${repeated.join(', ')} must be a single value.`);
+  }
+
+  const { q, city, state } = req.query;
+  if (!q && !city && !state) {
+    return res.status(400).send('At least one of q, city or state is required.');
+  }
+
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).send('limit must be an integer from 1 to 100.');
+  }
+
+  res.json(searchCustomers(data.customers, { q, city, state, limit }));
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId
+ * Customer profile for the dashboard: plan, devices, signal, usage, owned
+ * products, marketing consent and the network health check.
+ */
+app.get('/customers/:acctId', requireRole('agent'), (req, res) => {
+  console.log('Received GET /customers/:acctId');
+  try {
+    const { customers, products } = data;
+    const customer = findByAcctId(customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    res.json({
+      customer: toProfile(customer, products),
+      consent: consentFlags(customer),
+      health: assessNetworkHealth(customer),
+    });
+  } catch (error) {
+    console.error('Error getting customer:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId/recommendations
+ */
+app.get('/customers/:acctId/recommendations', requireRole('agent'), async (req, res) => {
+  console.log('Received GET /customers/:acctId/recommendations');
+  try {
+    const customer = findByAcctId(data.customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    await sendRecommendations(req, res, customer);
+  } catch (error) {
+    console.error('Error getting recommendations:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId/recommendations/history
+ * Query Parameters:
+ *  - top: Optional number of top products per snapshot (default 3).
+ *  - limit: Optional number of snapshots (default 20, at most 100).
+ * Rankings this customer was shown, newest first. A snapshot is kept each time
+ * the ranking or model version changed, with what entered, left or moved in
+ * the top products since the one before it.
+ */
+app.get('/customers/:acctId/recommendations/history', requireRole('agent'), (req, res) => {
+  console.log('Received GET /customers/:acctId/recommendations/history');
+  try {
+    const { customers, products } = data;
+    const customer = findByAcctId(customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    const top = req.query.top === undefined ? DEFAULT_HISTORY_TOP : Number(req.query.top);
+    if (!Number.isInteger(top) || top < 1 || top > products.length) {
+      return res.status(400).send(`top must be an integer from 1 to ${products.length}.`);
+    }
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).send('limit must be an integer from 1 to 100.');
+    }
+
+    res.json({
+      customer: toCandidate(customer),
+      top,
+      ...buildHistory(customer.acct_id, products, { top, limit }),
+    });
+  } catch (error) {
+    console.error('Error getting recommendation history:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId/consent
+ * The customer's marketing-consent flags (see data/privacy.json). Products in
+ * the categories of a flag that is false are never recommended.
+ */
+app.get('/customers/:acctId/consent', requireRole('agent'), (req, res) => {
+  console.log('Received GET /customers/:acctId/consent');
+  try {
+    const customer = findByAcctId(data.customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    res.json({ customer: toCandidate(customer), consent: consentFlags(customer) });
+  } catch (error) {
+    console.error('Error getting consent:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: PUT /customers/:acctId/consent
+ * Body:
+ *  - flags: Consent flags to change, each true (may be marketed to) or false
+ *    (opted out). Flags left out keep their current value.
+ * Records the customer's choice, tagged with the signed-in user, and responds
+ * with every flag. Unknown flags or non-boolean values get a 400.
+ */
+app.put('/customers/:acctId/consent', requireRole('agent'), (req, res) => {
+  console.log('Received PUT /customers/:acctId/consent');
+  try {
+    const { values, errors } = validateConsent(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid consent.', errors });
+    }
+
+    const current = data;
+    const customer = findByAcctId(current.customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    const { flags } = writeConsent(
+      customer.acct_id,
+      { ...customer.consent, ...values },
+      req.user.name
+    );
+    const updated = { ...customer, consent: flags };
+    swapData({
+      ...current,
+      customers: current.customers.map((c) => (c.acct_id === customer.acct_id ? updated : c)),
+    });
+    console.log(`${req.user.name} updated consent for ${logAcctId(customer.acct_id)}.`);
+
+    res.json({ customer: toCandidate(updated), consent: consentFlags(updated) });
+  } catch (error) {
+    console.error('Error updating consent:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId/health
+ * Wi-Fi health diagnostics: signal band, likely dead zones, headroom between
+ * plan speed and busy-hour usage, and upload/download saturation.
+ */
+app.get('/customers/:acctId/health', requireRole('agent'), (req, res) => {
+  console.log('Received GET /customers/:acctId/health');
+  try {
+    const customer = findByAcctId(data.customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    res.json({ customer: toCandidate(customer), health: assessNetworkHealth(customer) });
+  } catch (error) {
+    console.error('Error assessing network health:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /customers/:acctId/next-best-action
+ * Ordered pitch plan: a speed upgrade first when busy-hour usage is close to
+ * the plan speed, then Wi-Fi coverage, security, support and entertainment.
+ * Each step has its expected monthly revenue and the products it depends on.
+ */
+app.get('/customers/:acctId/next-best-action', requireRole('agent'), async (req, res) => {
+  console.log('Received GET /customers/:acctId/next-best-action');
+  try {
+    const { customers, products, experiments } = data;
+    const customer = findByAcctId(customers, req.params.acctId);
+    if (!customer) {
+      return res.status(404).send('Customer not found.');
+    }
+
+    // Plan from the same ranking the agent sees in an active experiment
+    const experiment = experiments.find((e) => e.active);
+    const variant = experiment ? assignVariant(experiment, customer.acct_id) : null;
+    const { recommendations } = await getRecommendations(customer, products, {
+      ...(variant ? { modelVersion: variant.model, ranking: variant.ranking } : {}),
+      useName: showsNames(req.user.role),
+    });
+    const health = assessNetworkHealth(customer);
+    const { steps, skipped, expectedRevenue } = planNextBestActions(
+      customer,
+      recommendations,
+      products,
+      health
+    );
+
+    res.json({
+      customer: toCandidate(customer),
+      health: { score: health.score, grade: health.grade },
+      nextBestAction: steps[0] || null,
+      steps,
+      skipped,
+      expectedRevenue,
+    });
+  } catch (error) {
+    console.error('Error planning next best action:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /recommendations/bundle
+ * Body:
+ *  - acctId or customerName: Customer to build bundles for.
+ *  - budget: Maximum monthly cost of the bundle.
+ *  - count: Optional positive number of bundles to return (default 3).
+ *  - minScore: Optional lowest model score, from 0 to 1, for an add-on to be
+ *    considered (default 0.2). Lower-scoring add-ons are left out of every
+ *    bundle; speed tiers are always considered.
+ */
+app.post('/recommendations/bundle', requireRole('agent'), async (req, res) => {
+  console.log('Received POST /recommendations/bundle');
+  try {
+    const { products } = data;
+    const { acctId, customerName } = req.body || {};
+    const budget = parseFloat(req.body && req.body.budget);
+    if (!(budget > 0)) {
+      return res.status(400).send('A positive monthly budget is required.');
+    }
+    const count = req.body.count === undefined ? 3 : Number(req.body.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return res.status(400).send('count must be a positive integer.');
+    }
+    const minScore = req.body.minScore === undefined ? MIN_ADD_ON_SCORE : req.body.minScore;
+    if (!(typeof minScore === 'number' && minScore >= 0 && minScore <= 1)) {
+      return res.status(400).send('minScore must be a number from 0 to 1.');
+    }
+
+    const customer = resolveCustomer(req, res, { acctId, customerName });
+    if (!customer) return;
+
+    const scored = await scoreProducts(customer, products);
+    if (!scored) {
+      return res.status(500).send('Internal server error.');
+    }
+
+    // Bundles never include products the customer's state is not eligible for
+    const { eligible } = filterEligible(scored.preprocessedCustomer, scored.rankedProducts);
+    const bundles = buildBundles(
+      scored.preprocessedCustomer,
+      eligible,
+      products,
+      { budget, count, minScore }
+    );
+
+    res.json({ customer: toCandidate(customer), budget, minScore, bundles });
+  } catch (error) {
+    console.error('Error building bundles:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /recommendations/simulate
+ * Body:
+ *  - acctId or customerName: Customer to simulate.
+ *  - overrides: What-if values for any of total_devices, network_speed,
+ *    extenders, coverage_size and state.
+ * Responds with the current and simulated rankings side by side and the
+ * products whose rank changed. Invalid overrides get a 400 listing every problem.
+ */
+app.post('/recommendations/simulate', requireRole('agent'), async (req, res) => {
+  console.log('Received POST /recommendations/simulate');
+  try {
+    const { products } = data;
+    const { acctId, customerName, overrides } = req.body || {};
+    const { values, errors } = validateOverrides(overrides);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid overrides.', errors });
+    }
+
+    const customer = resolveCustomer(req, res, { acctId, customerName });
+    if (!customer) return;
+
+    // Score both versions of the customer in one batch through the same pipeline
+    const simulatedCustomer = simulateCustomer(customer, values);
+    const [current, simulated] = await getRecommendationsBatch(
+      [customer, simulatedCustomer],
+      products,
+      { useName: showsNames(req.user.role) }
+    );
+
+    res.json({
+      customer: toCandidate(customer),
+      overrides: values,
+      changedAttributes: changedAttributes(customer, simulatedCustomer),
+      ...compareRankings(
+        { recommendations: current.recommendations, excluded: current.excluded },
+        { recommendations: simulated.recommendations, excluded: simulated.excluded }
+      ),
+    });
+  } catch (error) {
+    console.error('Error simulating recommendations:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /feedback
+ * Body:
+ *  - acctId or customerName: Customer the product was recommended to.
+ *  - productId: Catalog id of the recommended product.
+ *  - outcome: 'accepted', 'declined' or 'not-pitched'.
+ *  - agent, note: Optional free text.
+ *  - rank: Optional rank the product was shown at.
+ * Appends the outcome to the feedback store, tagged with the serving model
+ * version, and responds with 201 and the stored entry.
+ */
+app.post('/feedback', requireRole('agent'), (req, res) => {
+  console.log('Received POST /feedback');
+  try {
+    const { products } = data;
+    const { acctId, customerName } = req.body || {};
+    const { values, errors } = validateFeedback(req.body, products);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid feedback.', errors });
+    }
+
+    const customer = resolveCustomer(req, res, { acctId, customerName });
+    if (!customer) return;
+
+    const entry = recordFeedback({
+      acctId: customer.acct_id,
+      ...values,
+      modelVersion: getModelVersion(),
+    });
+    console.log(`Recorded ${entry.outcome} for ${entry.productId}.`);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /analytics/segments
+ * Query Parameters:
+ *  - k: Optional number of segments (default 4, at most 20).
+ *  - seed: Optional k-means seed.
+ * Customer segments with their profile, product penetration and average model
+ * score per product. Use the `segments export` command for the members.
+ */
+app.get('/analytics/segments', requireRole('analyst'), async (req, res) => {
+  console.log('Received GET /analytics/segments');
+  try {
+    const k = req.query.k === undefined ? DEFAULT_SEGMENTS : Number(req.query.k);
+    if (!Number.isInteger(k) || k < 1 || k > MAX_SEGMENTS) {
+      return res.status(400).send(`k must be an integer from 1 to ${MAX_SEGMENTS}.`);
+    }
+    const seed = req.query.seed === undefined ? undefined : Number(req.query.seed);
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      return res.status(400).send('seed must be an integer.');
+    }
+
+    const key = `${k}:${seed}`;
+    const current = data;
+    let report = segmentCache.get(key);
+    if (!report) {
+      report = await buildSegments(current.customers, current.products, { k, seed });
+      if (!report) {
+        return res.status(500).send('Internal server error.');
+      }
+      // Data swapped in while clustering makes this report stale
+      if (data === current) {
+        segmentCache.set(key, report);
+      }
+    }
+
+    const { assignments, ...summary } = report;
+    res.json({ modelVersion: getModelVersion(), ...summary });
+  } catch (error) {
+    console.error('Error building segments:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /recommendations/batch
+ * Query Parameters:
+ *  - format: 'jsonl' (default) or 'csv'.
+ *  - top: Number of products per customer (default 3).
+ * Body:
+ *  - A text/csv upload with the current_customers.csv columns, or
+ *  - JSON { acctIds } to score a subset of loaded customers, or
+ *  - nothing, to score every loaded customer.
+ * Results are streamed back one batch at a time.
+ */
+app.post('/recommendations/batch', requireRole('analyst'), async (req, res) => {
+  console.log('Received POST /recommendations/batch');
+  try {
+    const format = req.query.format || 'jsonl';
+    const topN = parseInt(req.query.top) || 3;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).send(`Format must be one of ${FORMATS.join(', ')}.`);
+    }
+
+    const { customers, products } = data;
+    let batchCustomers = customers;
+    if (typeof req.body === 'string') {
+      batchCustomers = attachConsent(await parseCustomerCsv(req.body));
+    } else if (req.body && Array.isArray(req.body.acctIds)) {
+      batchCustomers = req.body.acctIds
+        .map((acctId) => findByAcctId(customers, acctId))
+        .filter(Boolean);
+    }
+    // Customers in an uploaded CSV are the analyst's own data; stored ones are
+    // audited and masked like any other response
+    const stored = typeof req.body !== 'string';
+    if (stored) {
+      markViewed(req, batchCustomers.map((customer) => customer.acct_id));
     }
 
-    const customer = customers.find(
-      (c) =>
-        c.customerName &&
-        c.customerName.toLowerCase() === customerName.toLowerCase()
+    if (batchCustomers.length === 0) {
+      return res.status(400).send('No customers to score.');
+    }
+
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    if (format === 'csv') {
+      res.write(`${CSV_HEADER}\n`);
+    }
+
+    const batchSize = 256;
+    for (let start = 0; start < batchCustomers.length; start += batchSize) {
+      const results = await getRecommendationsBatch(
+        batchCustomers.slice(start, start + batchSize),
+        products,
+        { batchSize, useName: !stored || showsNames(req.user.role) }
+      );
+      const shown = stored
+        ? results.map((result) => ({
+            ...result,
+            customer: maskForRole(result.customer, req.user.role),
+          }))
+        : results;
+      res.write(formatResults(shown, format, topN));
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error scoring batch:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * Problems that refuse a customer upload: missing required columns and
+ * rejected rows. Imputed values are accepted and only reported.
+ * @param {Object} report - Report from validateCustomerRecords.
+ * @returns {Array} Problems.
+ */
+function customerUploadErrors(report) {
+  if (report.totalRows === 0) {
+    return ['The upload has no customers.'];
+  }
+  return report.missingColumns
+    .map((column) => `Missing column ${column}.`)
+    .concat(
+      report.rows
+        .filter((row) => row.rejected)
+        .map(
+          (row) =>
+            `Line ${row.line}: ${row.problems.map((p) => `${p.column} ${p.issue}`).join('; ')}.`
+        )
     );
+}
 
+/**
+ * API Endpoint: POST /admin/customers
+ * Body:
+ *  - A text/csv upload with the current_customers.csv columns, or
+ *  - JSON { customers } (or a bare array) of records keyed by the same columns.
+ * Upserts by acct_id into the store: known accounts are replaced and new ones
+ * added. Forgotten customers are left out and counted. Missing columns or
+ * rejected rows refuse the whole upload with a 400; either way the response
+ * has the data-quality report.
+ */
+app.post('/admin/customers', requireRole('admin'), async (req, res) => {
+  console.log('Received POST /admin/customers');
+  try {
+    let uploaded;
+    if (typeof req.body === 'string' && req.is('text/csv')) {
+      uploaded = await validateCustomerCsv(req.body);
+    } else {
+      const records = Array.isArray(req.body) ? req.body : req.body && req.body.customers;
+      if (!Array.isArray(records)) {
+        return res.status(400).send('Upload a text/csv file or JSON { customers }.');
+      }
+      uploaded = buildCustomers(records, 'uploaded JSON');
+    }
+
+    const { report } = uploaded;
+    const errors = customerUploadErrors(report);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid customer data.', errors, report });
+    }
+
+    const { customers, forgotten } = dropForgotten(uploaded.customers);
+    const { added, updated } = writeCustomers(customers);
+    const current = data;
+    const merged = new Map(current.customers.map((customer) => [customer.acct_id, customer]));
+    attachConsent(customers).forEach((customer) => merged.set(customer.acct_id, customer));
+    swapData({ ...current, customers: [...merged.values()] });
+    console.log(
+      `Upserted ${customers.length} customers (${added} new, ${forgotten} forgotten left out), ` +
+        `now serving ${merged.size}.`
+    );
+
+    res.json({ added, updated, forgotten, total: merged.size, report });
+  } catch (error) {
+    console.error('Error uploading customers:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: DELETE /admin/customers/:acctId
+ * Forgets a customer: deletes their record, consent, recommendation history
+ * and feedback, removes them from the feedback and exposure logs, and
+ * pseudonymizes their acct_id in the audit log. Imports leave them out from
+ * now on. Responds with what was removed per table.
+ */
+app.delete('/admin/customers/:acctId', requireRole('admin'), (req, res) => {
+  console.log('Received DELETE /admin/customers/:acctId');
+  try {
+    const current = data;
+    const customer = findByAcctId(current.customers, req.params.acctId);
     if (!customer) {
       return res.status(404).send('Customer not found.');
     }
 
-    const rankedRecommendations = await getRecommendations(customer, products);
+    const removed = forgetCustomer(customer.acct_id);
+    // Audit this request under the pseudonym, so it does not bring the acct_id back
+    req.viewedAcctIds = [pseudonymize(customer.acct_id)];
+    swapData({
+      ...current,
+      customers: current.customers.filter((c) => c.acct_id !== customer.acct_id),
+    });
+    console.log(`${req.user.name} forgot customer ${logAcctId(customer.acct_id)}.`);
 
-    res.json(rankedRecommendations);
+    res.json({ removed });
   } catch (error) {
-    console.error('Error getting recommendations:', error);
+    console.error('Error forgetting customer:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /admin/catalog
+ * Body: the full product catalog as JSON (application/json), YAML
+ * (text/yaml) or a Markdown table (text/markdown), in the formats
+ * data/product_catalog.* accept.
+ * Replaces the stored catalog once it validates. Responds with 400 listing
+ * every problem, including ownership columns or relations the served catalog
+ * has and the upload drops, or 409 if the model outputs or ranking rules no
+ * longer line up with the products.
+ */
+app.post('/admin/catalog', requireRole('admin'), async (req, res) => {
+  console.log('Received POST /admin/catalog');
+  try {
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const format = CATALOG_UPLOAD_FORMATS[contentType];
+    if (!format) {
+      return res.status(415).send('Upload the catalog as JSON, YAML or a Markdown table.');
+    }
+
+    let products;
+    try {
+      products = parseCatalog(format === '.json' ? JSON.stringify(req.body) : req.body, format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid catalog.', errors: [error.message] });
+    }
+    const errors = validateCatalog(products);
+    if (errors.length === 0) {
+      errors.push(...findDroppedFields(data.products, products));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid catalog.', errors });
+    }
+
+    // Scores are read by position, so the catalog must match every served model
+    const versions = await loadVariantModels(data.experiments);
+    const modelErrors = await checkCatalog(products, versions, {
+      servedProducts: data.products,
+    });
+    if (modelErrors.length > 0) {
+      return res.status(409).json({ error: 'Catalog does not match the model.', errors: modelErrors });
+    }
+
+    const current = data;
+    try {
+      validateRankingRules(current.rankingRules, products, featureNamesOf(current.customers));
+    } catch (error) {
+      if (error.name !== 'RankingRuleError') throw error;
+      return res.status(409).json({ error: 'Catalog breaks the ranking rules.', errors: error.errors });
+    }
+
+    writeProducts(products);
+    swapData({ ...current, products });
+    console.log(`Replaced the catalog with ${products.length} uploaded products.`);
+    res.json({ products: products.map((product) => product.id) });
+  } catch (error) {
+    console.error('Error replacing catalog:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /admin/reload
+ * Re-reads customers and the catalog from the store (e.g. after
+ * `node src/cli.js import`) and ranking rules, experiments and privacy
+ * settings from data/, and swaps them in together. If anything is invalid the current data keeps
+ * serving and the problems come back with a 400.
+ */
+app.post('/admin/reload', requireRole('admin'), async (req, res) => {
+  console.log('Received POST /admin/reload');
+  try {
+    const next = await readServerData();
+    swapData(next);
+    const activeExperiment = next.experiments.find((experiment) => experiment.active);
+    console.log('Reloaded data.');
+
+    res.json({
+      customers: next.customers.length,
+      products: next.products.length,
+      rankingRules: next.rankingRules.rules.filter((rule) => rule.enabled).length,
+      experiment: activeExperiment ? activeExperiment.id : null,
+    });
+  } catch (error) {
+    if (error.errors) {
+      console.error(`Reload failed, keeping the current data: ${error.message}`);
+      return res.status(400).json({ error: error.message.split('\n')[0], errors: error.errors });
+    }
+    console.error('Error reloading data:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: POST /admin/models/promote
+ * Body:
+ *  - version: Registered model version to serve, e.g. 'v3'.
+ * Promotes the version like `node src/cli.js models promote`; the server
+ * switches to it within a few seconds. Responds with 404 for an unknown
+ * version and 409 if its outputs do not match the catalog being served.
+ */
+app.post('/admin/models/promote', requireRole('admin'), async (req, res) => {
+  console.log('Received POST /admin/models/promote');
+  try {
+    const version = req.body && req.body.version;
+    if (typeof version !== 'string' || !getVersion(version)) {
+      return res.status(404).send('Model version not found.');
+    }
+
+    const catalogErrors = await checkCatalog(data.products, [version]);
+    if (catalogErrors.length > 0) {
+      return res.status(409).json({ error: 'Model does not match the catalog.', errors: catalogErrors });
+    }
+
+    const metadata = promoteVersion(version);
+    console.log(`${req.user.name} promoted model ${metadata.version}.`);
+    res.json({ version: metadata.version, createdAt: metadata.createdAt, metrics: metadata.metrics });
+  } catch (error) {
+    if (error.name === 'ModelSchemaError') {
+      return res.status(409).json({ error: 'Model does not match the feature pipeline.', errors: error.errors });
+    }
+    console.error('Error promoting model:', error);
+    res.status(500).send('Internal server error.');
+  }
+});
+
+/**
+ * API Endpoint: GET /admin/audit
+ * Query Parameters:
+ *  - acctId: Optional account to show views of.
+ *  - user: Optional key name to show views by.
+ *  - limit: Optional number of entries (default 100, at most 1000).
+ * Audit log of who viewed which customer, newest first.
+ */
+app.get('/admin/audit', requireRole('admin'), (req, res) => {
+  console.log('Received GET /admin/audit');
+  try {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).send('limit must be an integer from 1 to 1000.');
+    }
+
+    const { acctId, user } = req.query;
+    res.json(readAudit({ acctId, user, limit }));
+  } catch (error) {
+    console.error('Error reading audit log:', error);
     res.status(500).send('Internal server error.');
   }
 });
@@ -0,0 +1,194 @@
+// src/simulation.js
+
+const { parseNetworkSpeed, inferCoverageSize } = require('./dataProcessing');
+const { getRegion } = require('./featurePipeline');
+
+const COVERAGE_SIZES = ['Small', 'Medium', 'Large'];
+
+/**
+ * Parse an integer override within a range.
+ * @param {String} field - Field name, used in the error message.
+ * @param {Number} min - Smallest allowed value.
+ * @param {Number} max - Largest allowed value.
+ * @returns {Function} Parser returning { value } or { error }.
+ */
+function integerInRange(field, min, max) {
+  return (raw) => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be a whole number from ${min} to ${max}.` };
+    }
+    return { value };
+  };
+}
+
+// Customer attributes an agent can change, with a parser and validator for each
+const OVERRIDE_FIELDS = {
+  total_devices: integerInRange('total_devices', 0, 500),
+  extenders: integerInRange('extenders', 0, 20),
+  network_speed: (raw) => {
+    // Accept Mbps as a number, or a speed with a unit as in the CSV ('500M', '1G')
+    const value =
+      typeof raw === 'number'
+        ? raw
+        : /^\s*[\d.]+\s*$/.test(String(raw))
+          ? parseFloat(raw)
+          : parseNetworkSpeed(String(raw).replace(/\s+/g, ''));
+    if (!(value > 0) || value > 100000) {
+      return {
+        error: 'network_speed must be a speed in Mbps (e.g. 1000) or with a unit (e.g. "1G").',
+      };
+    }
+    return { value };
+  },
+  coverage_size: (raw) => {
+    const value = COVERAGE_SIZES.find(
+      (size) => size.toLowerCase() === String(raw).trim().toLowerCase()
+    );
+    if (!value) {
+      return { error: `coverage_size must be one of ${COVERAGE_SIZES.join(', ')}.` };
+    }
+    return { value };
+  },
+  state: (raw) => {
+    // Same normalization as loadCustomerData
+    const value = String(raw).trim().toUpperCase();
+    if (!getRegion(value)) {
+      return { error: `state must be a two-letter US state code, got "${raw}".` };
+    }
+    return { value };
+  },
+};
+
+/**
+ * Validate what-if overrides and convert them to customer field values.
+ * @param {Object} overrides - Raw overrides from the request body.
+ * @returns {Object} { values, errors } - Parsed values, and every problem found.
+ */
+function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { values: {}, errors: ['overrides must be an object.'] };
+  }
+
+  const values = {};
+  const errors = [];
+  Object.entries(overrides).forEach(([field, raw]) => {
+    const parse = OVERRIDE_FIELDS[field];
+    if (!parse) {
+      errors.push(
+        `Unknown override "${field}". Allowed: ${Object.keys(OVERRIDE_FIELDS).join(', ')}.`
+      );
+      return;
+    }
+    const { value, error } = parse(raw);
+    if (error) {
+      errors.push(error);
+    } else {
+      values[field] = value;
+    }
+  });
+
+  if (Object.keys(overrides).length === 0) {
+    errors.push('At least one override is required.');
+  }
+  return { values, errors };
+}
+
+/**
+ * Apply overrides to a customer. Coverage size is re-derived from devices and
+ * extenders the same way loadCustomerData does, unless it is overridden itself.
+ * @param {Object} customer - Customer object from loadCustomerData.
+ * @param {Object} values - Validated values from validateOverrides.
+ * @returns {Object} Simulated customer, ready for the same preprocessing.
+ */
+function simulateCustomer(customer, values) {
+  const simulated = { ...customer, ...values };
+  if (!('coverage_size' in values)) {
+    simulated.coverage_size = inferCoverageSize(
+      simulated.extenders,
+      simulated.total_devices
+    );
+  }
+  return simulated;
+}
+
+/**
+ * List the customer attributes that differ after the simulation, including
+ * derived ones such as coverage_size.
+ * @param {Object} customer - Original customer.
+ * @param {Object} simulated - Simulated customer.
+ * @returns {Array} Array of { field, from, to }.
+ */
+function changedAttributes(customer, simulated) {
+  return Object.keys(OVERRIDE_FIELDS)
+    .filter((field) => customer[field] !== simulated[field])
+    .map((field) => ({ field, from: customer[field], to: simulated[field] }));
+}
+
+/**
+ * Compare the current and simulated rankings of a customer.
+ * @param {Object} current - { recommendations, excluded } for the real customer.
+ * @param {Object} simulated - { recommendations, excluded } for the simulated one.
+ * @returns {Object} { current, simulated, changes } where simulated
+ * recommendations carry previousRank and rankChange (positive = moved up), and
+ * changes lists every product whose position changed.
+ */
+function compareRankings(current, simulated) {
+  const currentById = new Map(
+    current.recommendations.map((product) => [product.productId, product])
+  );
+  const simulatedById = new Map(
+    simulated.recommendations.map((product) => [product.productId, product])
+  );
+
+  const simulatedRecommendations = simulated.recommendations.map((product) => {
+    const before = currentById.get(product.productId);
+    return {
+      ...product,
+      previousRank: before ? before.rank : null,
+      rankChange: before ? before.rank - product.rank : null,
+    };
+  });
+
+  const changes = [];
+  simulatedRecommendations.forEach((product) => {
+    const before = currentById.get(product.productId);
+    if (product.rankChange === 0) return;
+    changes.push({
+      productId: product.productId,
+      productName: product.productName,
+      currentRank: product.previousRank,
+      simulatedRank: product.rank,
+      rankChange: product.rankChange,
+      scoreChange: before ? product.score - before.score : null,
+      status: !before ? 'added' : product.rankChange > 0 ? 'up' : 'down',
+    });
+  });
+  current.recommendations.forEach((product) => {
+    if (simulatedById.has(product.productId)) return;
+    const excluded = simulated.excluded.find((e) => e.productId === product.productId);
+    changes.push({
+      productId: product.productId,
+      productName: product.productName,
+      currentRank: product.rank,
+      simulatedRank: null,
+      rankChange: null,
+      scoreChange: null,
+      status: 'removed',
+      reason: excluded ? excluded.detail : null,
+    });
+  });
+
+  return {
+    current,
+    simulated: { ...simulated, recommendations: simulatedRecommendations },
+    changes,
+  };
+}
+
+module.exports = {
+  validateOverrides,
+  simulateCustomer,
+  changedAttributes,
+  compareRankings,
+};
@@ -0,0 +1,691 @@
+// src/storage.js
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Embedded SQLite file holding customers and their marketing consent, products,
+// recommendation snapshots and feedback, plus API keys, sessions, the audit log
+// and the customers who asked to be forgotten. The CSV, catalog and
+// JSONL files in data/ are import sources.
+const STORE_PATH = process.env.STORE_PATH || path.join(__dirname, '../data/store.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS customers (
+    acct_id TEXT PRIMARY KEY,
+    customer_name TEXT,
+    city TEXT,
+    state TEXT,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS products (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS recommendation_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    acct_id TEXT NOT NULL,
+    model_version TEXT,
+    ranking TEXT NOT NULL,
+    experiment_id TEXT,
+    variant TEXT,
+    products TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    views INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IF NOT EXISTS recommendation_snapshots_by_customer
+    ON recommendation_snapshots (acct_id, id);
+
+  CREATE TABLE IF NOT EXISTS feedback (
+    id TEXT PRIMARY KEY,
+    acct_id TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    agent TEXT,
+    note TEXT,
+    rank INTEGER,
+    model_version TEXT,
+    recorded_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    key_id INTEGER NOT NULL REFERENCES api_keys (id),
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    key_id INTEGER,
+    user TEXT NOT NULL,
+    role TEXT NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    acct_id TEXT NOT NULL,
+    status INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_by_customer ON audit_log (acct_id, id);
+
+  CREATE TABLE IF NOT EXISTS customer_consent (
+    acct_id TEXT PRIMARY KEY,
+    flags TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS forgotten_customers (
+    acct_hash TEXT PRIMARY KEY,
+    forgotten_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Tables countRows may be asked about
+const TABLES = [
+  'customers',
+  'products',
+  'recommendation_snapshots',
+  'feedback',
+  'api_keys',
+  'sessions',
+  'audit_log',
+  'customer_consent',
+  'forgotten_customers',
+];
+
+/**
+ * Open the store, creating the file and tables on first use. The connection
+ * is shared by the whole process.
+ * @returns {Database} better-sqlite3 connection.
+ */
+let db = null;
+function openStore() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    db = new Database(STORE_PATH);
+    // Readers (e.g. the CLI) do not block the server while it writes
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+/**
+ * Count the rows of a table.
+ * @param {String} table - One of TABLES.
+ * @returns {Number} Row count.
+ */
+function countRows(table) {
+  if (!TABLES.includes(table)) {
+    throw new Error(`Unknown table "${table}".`);
+  }
+  return openStore().prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+}
+
+/**
+ * Save customers, upserting by acct_id. Known accounts keep their place in
+ * the order customers are read back in.
+ * @param {Array} customers - Customer objects from loadCustomerData.
+ * @param {Object} [options] - { replace } to delete every customer not in the list.
+ * @returns {Object} { added, updated, removed }
+ */
+function writeCustomers(customers, { replace = false } = {}) {
+  const store = openStore();
+  const exists = store.prepare('SELECT 1 FROM customers WHERE acct_id = ?');
+  const upsert = store.prepare(`
+    INSERT INTO customers (acct_id, customer_name, city, state, data, updated_at)
+    VALUES (@acctId, @customerName, @city, @state, @data, @updatedAt)
+    ON CONFLICT (acct_id) DO UPDATE SET
+      customer_name = excluded.customer_name,
+      city = excluded.city,
+      state = excluded.state,
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+  const updatedAt = new Date().toISOString();
+
+  return store.transaction(() => {
+    let added = 0;
+    customers.forEach((customer) => {
+      if (!exists.get(customer.acct_id)) added++;
+      upsert.run({
+        acctId: customer.acct_id,
+        customerName: customer.customerName || null,
+        city: customer.city || null,
+        state: customer.state || null,
+        data: JSON.stringify(customer),
+        updatedAt,
+      });
+    });
+
+    let removed = 0;
+    if (replace) {
+      const keep = new Set(customers.map((customer) => customer.acct_id));
+      const remove = store.prepare('DELETE FROM customers WHERE acct_id = ?');
+      store
+        .prepare('SELECT acct_id FROM customers')
+        .pluck()
+        .all()
+        .filter((acctId) => !keep.has(acctId))
+        .forEach((acctId) => {
+          remove.run(acctId);
+          removed++;
+        });
+    }
+    return { added, updated: customers.length - added, removed };
+  })();
+}
+
+/**
+ * Read every customer in the order they were first saved.
+ * @returns {Array} Customer objects.
+ */
+function readCustomers() {
+  return openStore()
+    .prepare('SELECT data FROM customers ORDER BY rowid')
+    .pluck()
+    .all()
+    .map((data) => JSON.parse(data));
+}
+
+/**
+ * Replace the catalog. Product order is kept, since it is the order of the
+ * model's outputs.
+ * @param {Array} products - Validated catalog products.
+ */
+function writeProducts(products) {
+  const store = openStore();
+  const insert = store.prepare(`
+    INSERT INTO products (id, position, name, category, data, updated_at)
+    VALUES (@id, @position, @name, @category, @data, @updatedAt)
+  `);
+  const updatedAt = new Date().toISOString();
+
+  store.transaction(() => {
+    store.prepare('DELETE FROM products').run();
+    products.forEach((product, position) => {
+      insert.run({
+        id: product.id,
+        position,
+        name: product.name,
+        category: product.category,
+        data: JSON.stringify(product),
+        updatedAt,
+      });
+    });
+  })();
+}
+
+/**
+ * Read the catalog in model output order.
+ * @returns {Array} Catalog products.
+ */
+function readProducts() {
+  return openStore()
+    .prepare('SELECT data FROM products ORDER BY position')
+    .pluck()
+    .all()
+    .map((data) => JSON.parse(data));
+}
+
+/**
+ * Record the ranking a customer was shown. A ranking identical to the
+ * customer's latest snapshot (same products in the same order, from the same
+ * model, ranking and variant) only bumps that snapshot's views and last_seen_at.
+ * @param {Object} snapshot - { acctId, modelVersion, ranking, experimentId,
+ * variant, products } where products are { productId, score, rankingScore } in rank order.
+ * @returns {String} 'recorded' or 'seen'.
+ */
+function writeSnapshot({ acctId, modelVersion, ranking, experimentId, variant, products }) {
+  const store = openStore();
+  const now = new Date().toISOString();
+  const latest = store
+    .prepare(
+      'SELECT * FROM recommendation_snapshots WHERE acct_id = ? ORDER BY id DESC LIMIT 1'
+    )
+    .get(acctId);
+
+  const sameRanking =
+    latest &&
+    latest.model_version === (modelVersion || null) &&
+    latest.ranking === ranking &&
+    latest.experiment_id === (experimentId || null) &&
+    latest.variant === (variant || null) &&
+    JSON.parse(latest.products)
+      .map((product) => product.productId)
+      .join() === products.map((product) => product.productId).join();
+  if (sameRanking) {
+    store
+      .prepare(
+        'UPDATE recommendation_snapshots SET views = views + 1, last_seen_at = ? WHERE id = ?'
+      )
+      .run(now, latest.id);
+    return 'seen';
+  }
+
+  store
+    .prepare(
+      `INSERT INTO recommendation_snapshots
+        (acct_id, model_version, ranking, experiment_id, variant, products, recorded_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      acctId,
+      modelVersion || null,
+      ranking,
+      experimentId || null,
+      variant || null,
+      JSON.stringify(products),
+      now,
+      now
+    );
+  return 'recorded';
+}
+
+/**
+ * Read a customer's latest snapshots, oldest first.
+ * @param {String} acctId - Account id.
+ * @param {Object} [options] - { limit } on the snapshots returned (default 20).
+ * @returns {Array} { recordedAt, lastSeenAt, views, modelVersion, ranking,
+ * experimentId, variant, products }
+ */
+function readSnapshots(acctId, { limit = 20 } = {}) {
+  return openStore()
+    .prepare(
+      'SELECT * FROM recommendation_snapshots WHERE acct_id = ? ORDER BY id DESC LIMIT ?'
+    )
+    .all(acctId, limit)
+    .reverse()
+    .map((row) => ({
+      recordedAt: row.recorded_at,
+      lastSeenAt: row.last_seen_at,
+      views: row.views,
+      modelVersion: row.model_version,
+      ranking: row.ranking,
+      experimentId: row.experiment_id,
+      variant: row.variant,
+      products: JSON.parse(row.products),
+    }));
+}
+
+/**
+ * Save feedback entries. Entries whose id is already stored are skipped, so
+ * importing the same file twice is harmless.
+ * @param {Array} entries - { id, recordedAt, acctId, productId, outcome, agent,
+ * note, rank, modelVersion }
+ * @returns {Number} Entries saved.
+ */
+function writeFeedback(entries) {
+  const store = openStore();
+  const insert = store.prepare(`
+    INSERT OR IGNORE INTO feedback
+      (id, acct_id, product_id, outcome, agent, note, rank, model_version, recorded_at)
+    VALUES (@id, @acctId, @productId, @outcome, @agent, @note, @rank, @modelVersion, @recordedAt)
+  `);
+
+  // Optional fields are stored as NULL when absent
+  const orNull = (value) => (value === undefined ? null : value);
+  return store.transaction(() =>
+    entries.reduce(
+      (saved, entry) =>
+        saved +
+        insert.run({
+          id: entry.id,
+          acctId: entry.acctId,
+          productId: entry.productId,
+          outcome: entry.outcome,
+          agent: orNull(entry.agent),
+          note: orNull(entry.note),
+          rank: orNull(entry.rank),
+          modelVersion: orNull(entry.modelVersion),
+          recordedAt: entry.recordedAt,
+        }).changes,
+      0
+    )
+  )();
+}
+
+/**
+ * Read every feedback entry, oldest first, in the shape recordFeedback returns.
+ * @returns {Array} Feedback entries.
+ */
+function readFeedback() {
+  return openStore()
+    .prepare('SELECT * FROM feedback ORDER BY recorded_at, rowid')
+    .all()
+    .map((row) => {
+      const entry = {
+        id: row.id,
+        recordedAt: row.recorded_at,
+        acctId: row.acct_id,
+        productId: row.product_id,
+        outcome: row.outcome,
+      };
+      if (row.agent !== null) entry.agent = row.agent;
+      if (row.note !== null) entry.note = row.note;
+      if (row.rank !== null) entry.rank = row.rank;
+      entry.modelVersion = row.model_version;
+      return entry;
+    });
+}
+
+/**
+ * Map an api_keys row to a key record. The hash never leaves this module.
+ * @param {Object} row - api_keys row.
+ * @returns {Object} { id, name, role, prefix, createdAt, lastUsedAt, revokedAt }
+ */
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    prefix: row.prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Save a new API key.
+ * @param {Object} key - { name, role, keyHash, prefix }
+ * @returns {Object} Key record.
+ */
+function writeApiKey({ name, role, keyHash, prefix }) {
+  const store = openStore();
+  const { lastInsertRowid } = store
+    .prepare(
+      'INSERT INTO api_keys (name, role, key_hash, prefix, created_at) VALUES (?, ?, ?, ?, ?)'
+    )
+    .run(name, role, keyHash, prefix, new Date().toISOString());
+  return toApiKey(store.prepare('SELECT * FROM api_keys WHERE id = ?').get(lastInsertRowid));
+}
+
+/**
+ * Find a key that has not been revoked by its hash, and note that it was used.
+ * @param {String} keyHash - Hash of the key.
+ * @returns {Object|null} Key record.
+ */
+function findApiKey(keyHash) {
+  const store = openStore();
+  const row = store
+    .prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL')
+    .get(keyHash);
+  if (!row) return null;
+  store
+    .prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), row.id);
+  return toApiKey(row);
+}
+
+/**
+ * List every key, revoked ones included.
+ * @returns {Array} Key records.
+ */
+function readApiKeys() {
+  return openStore().prepare('SELECT * FROM api_keys ORDER BY id').all().map(toApiKey);
+}
+
+/**
+ * Revoke a key and end its sessions.
+ * @param {Number} id - Key id.
+ * @returns {Object|null} Revoked key record, or null if there is no such key.
+ */
+function revokeApiKey(id) {
+  const store = openStore();
+  return store.transaction(() => {
+    const row = store.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    if (!row) return null;
+    if (!row.revoked_at) {
+      store
+        .prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), id);
+    }
+    store.prepare('DELETE FROM sessions WHERE key_id = ?').run(id);
+    return toApiKey(store.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+  })();
+}
+
+/**
+ * Save a login session. Expired sessions are cleared at the same time.
+ * @param {Object} session - { tokenHash, keyId, expiresAt }
+ */
+function writeSession({ tokenHash, keyId, expiresAt }) {
+  const store = openStore();
+  const now = new Date().toISOString();
+  store.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+  store
+    .prepare(
+      'INSERT INTO sessions (token_hash, key_id, created_at, expires_at) VALUES (?, ?, ?, ?)'
+    )
+    .run(tokenHash, keyId, now, expiresAt);
+}
+
+/**
+ * Find the key behind a session that has not expired, if the key is still valid.
+ * @param {String} tokenHash - Hash of the session token.
+ * @returns {Object|null} Key record.
+ */
+function findSession(tokenHash) {
+  const row = openStore()
+    .prepare(
+      `SELECT api_keys.* FROM sessions JOIN api_keys ON api_keys.id = sessions.key_id
+       WHERE sessions.token_hash = ? AND sessions.expires_at > ? AND api_keys.revoked_at IS NULL`
+    )
+    .get(tokenHash, new Date().toISOString());
+  return row ? toApiKey(row) : null;
+}
+
+/**
+ * End a session.
+ * @param {String} tokenHash - Hash of the session token.
+ */
+function deleteSession(tokenHash) {
+  openStore().prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+/**
+ * Append audit entries.
+ * @param {Array} entries - { keyId, user, role, method, route, acctId, status }
+ */
+function writeAudit(entries) {
+  const store = openStore();
+  const insert = store.prepare(`
+    INSERT INTO audit_log (at, key_id, user, role, method, route, acct_id, status)
+    VALUES (@at, @keyId, @user, @role, @method, @route, @acctId, @status)
+  `);
+  const at = new Date().toISOString();
+  store.transaction(() => {
+    entries.forEach((entry) => insert.run({ at, ...entry }));
+  })();
+}
+
+/**
+ * Read the latest audit entries, newest first.
+ * @param {Object} [filters] - { acctId, user, limit } (default limit 100).
+ * @returns {Array} { at, keyId, user, role, method, route, acctId, status }
+ */
+function readAudit({ acctId, user, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (acctId) {
+    conditions.push('acct_id = ?');
+    params.push(acctId);
+  }
+  if (user) {
+    conditions.push('user = ?');
+    params.push(user);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return openStore()
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map((row) => ({
+      at: row.at,
+      keyId: row.key_id,
+      user: row.user,
+      role: row.role,
+      method: row.method,
+      route: row.route,
+      acctId: row.acct_id,
+      status: row.status,
+    }));
+}
+
+/**
+ * Save a customer's consent flags, replacing the ones stored.
+ * @param {String} acctId - Account id.
+ * @param {Object} flags - Flag name to true (consented) or false (opted out).
+ * @param {String} [updatedBy] - Who recorded the change.
+ * @returns {Object} { acctId, flags, updatedBy, updatedAt }
+ */
+function writeConsent(acctId, flags, updatedBy) {
+  const updatedAt = new Date().toISOString();
+  openStore()
+    .prepare(
+      `INSERT INTO customer_consent (acct_id, flags, updated_by, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (acct_id) DO UPDATE SET
+         flags = excluded.flags,
+         updated_by = excluded.updated_by,
+         updated_at = excluded.updated_at`
+    )
+    .run(acctId, JSON.stringify(flags), updatedBy || null, updatedAt);
+  return { acctId, flags, updatedBy: updatedBy || null, updatedAt };
+}
+
+/**
+ * Read every customer's recorded consent flags.
+ * @returns {Map} acct_id to { acctId, flags, updatedBy, updatedAt }
+ */
+function readConsents() {
+  return new Map(
+    openStore()
+      .prepare('SELECT * FROM customer_consent')
+      .all()
+      .map((row) => [
+        row.acct_id,
+        {
+          acctId: row.acct_id,
+          flags: JSON.parse(row.flags),
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at,
+        },
+      ])
+  );
+}
+
+/**
+ * Delete everything stored about a customer: their record, consent,
+ * recommendation snapshots and feedback. Audit entries are kept, since they
+ * record what staff did, but their acct_id is replaced with a pseudonym. The
+ * account's hash is kept so imports can leave the customer out from now on.
+ * @param {String} acctId - Account id.
+ * @param {Object} replacements - { acctHash, pseudonym } for the account.
+ * @returns {Object} Rows removed or rewritten per table.
+ */
+function deleteCustomerData(acctId, { acctHash, pseudonym }) {
+  const store = openStore();
+  const remove = (table) =>
+    store.prepare(`DELETE FROM ${table} WHERE acct_id = ?`).run(acctId).changes;
+
+  return store.transaction(() => {
+    const counts = {
+      customers: remove('customers'),
+      consent: remove('customer_consent'),
+      snapshots: remove('recommendation_snapshots'),
+      feedback: remove('feedback'),
+      auditEntries: store
+        .prepare('UPDATE audit_log SET acct_id = ? WHERE acct_id = ?')
+        .run(pseudonym, acctId).changes,
+    };
+    store
+      .prepare('INSERT OR IGNORE INTO forgotten_customers (acct_hash, forgotten_at) VALUES (?, ?)')
+      .run(acctHash, new Date().toISOString());
+    return counts;
+  })();
+}
+
+/**
+ * Read the hashes of every forgotten account.
+ * @returns {Set} Account hashes.
+ */
+function readForgotten() {
+  return new Set(openStore().prepare('SELECT acct_hash FROM forgotten_customers').pluck().all());
+}
+
+/**
+ * Read a setting.
+ * @param {String} name - Setting name.
+ * @returns {String|null} Value, or null if never set.
+ */
+function readSetting(name) {
+  const value = openStore().prepare('SELECT value FROM settings WHERE name = ?').pluck().get(name);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Save a setting.
+ * @param {String} name - Setting name.
+ * @param {String} value - Value.
+ */
+function writeSetting(name, value) {
+  openStore()
+    .prepare(
+      'INSERT INTO settings (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+    )
+    .run(name, value);
+}
+
+module.exports = {
+  STORE_PATH,
+  openStore,
+  countRows,
+  writeCustomers,
+  readCustomers,
+  writeProducts,
+  readProducts,
+  writeSnapshot,
+  readSnapshots,
+  writeFeedback,
+  readFeedback,
+  writeApiKey,
+  findApiKey,
+  readApiKeys,
+  revokeApiKey,
+  writeSession,
+  findSession,
+  deleteSession,
+  writeAudit,
+  readAudit,
+  writeConsent,
+  readConsents,
+  deleteCustomerData,
+  readForgotten,
+  readSetting,
+  writeSetting,
+};
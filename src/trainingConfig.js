@@ -0,0 +1,224 @@
+// src/trainingConfig.js
+
+const fs = require('fs');
+const path = require('path');
+const { LABEL_SOURCES } = require('./feedback');
+
+const OPTIMIZERS = ['adam', 'sgd', 'rmsprop', 'adagrad'];
+const SEARCH_STRATEGIES = ['grid', 'random'];
+
+// Metrics a hyperparameter search can select on. Loss is minimized, the rest maximized.
+const SEARCH_METRICS = ['loss', 'f1', 'auc', 'ndcg@3', 'precision@3'];
+
+// Hyperparameters a search space may vary
+const SEARCHABLE = ['hiddenUnits', 'dropout', 'optimizer', 'learningRate', 'batchSize'];
+
+const DEFAULT_CONFIG = {
+  hiddenUnits: [128, 64, 32],
+  dropout: 0.3,
+  optimizer: 'adam',
+  learningRate: 0.001,
+  epochs: 150,
+  batchSize: 16,
+  // Share of the training split held back to monitor validation loss
+  validationSplit: 0.2,
+  // Stop when validation loss has not improved for `patience` epochs (0 disables)
+  earlyStopping: { patience: 15, minDelta: 0.0001 },
+  seed: 42,
+  testFraction: 0.2,
+  featureOptions: {},
+  // Folds of cross-validation on the training split before the final fit (0 disables)
+  crossValidation: { folds: 0 },
+  search: { strategy: null, trials: 10, metric: 'loss', space: {} },
+  // Train on rule labels, recorded outcomes (data/feedback.jsonl), or a blend
+  // where feedbackWeight is the share given to outcomes
+  labels: { source: 'rules', feedbackWeight: 0.5 },
+};
+
+/**
+ * Thrown when the training config is malformed. `errors` lists every problem found.
+ */
+class TrainingConfigError extends Error {
+  constructor(source, errors) {
+    super(
+      `Invalid training config ${source}:\n` +
+        errors.map((error) => `  - ${error}`).join('\n')
+    );
+    this.name = 'TrainingConfigError';
+    this.errors = errors;
+  }
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isFraction = (value) => typeof value === 'number' && value > 0 && value < 1;
+
+/**
+ * Check the hyperparameters that shape the network and the fit.
+ * @param {Object} params - Hyperparameters.
+ * @param {Function} [label] - Maps a key to its name in error messages.
+ * @returns {Array} Error descriptions.
+ */
+function validateHyperparameters(params, label = (key) => key) {
+  const errors = [];
+
+  if ('hiddenUnits' in params) {
+    const units = params.hiddenUnits;
+    if (!Array.isArray(units) || units.length === 0 || !units.every(isPositiveInteger)) {
+      errors.push(`${label('hiddenUnits')} must be a non-empty array of positive integers.`);
+    }
+  }
+  if ('dropout' in params) {
+    const { dropout } = params;
+    if (typeof dropout !== 'number' || !(dropout >= 0 && dropout < 1)) {
+      errors.push(`${label('dropout')} must be a number in [0, 1).`);
+    }
+  }
+  if ('optimizer' in params && !OPTIMIZERS.includes(params.optimizer)) {
+    errors.push(`${label('optimizer')} must be one of ${OPTIMIZERS.join(', ')}.`);
+  }
+  if ('learningRate' in params) {
+    if (typeof params.learningRate !== 'number' || !(params.learningRate > 0)) {
+      errors.push(`${label('learningRate')} must be a positive number.`);
+    }
+  }
+  if ('batchSize' in params && !isPositiveInteger(params.batchSize)) {
+    errors.push(`${label('batchSize')} must be a positive integer.`);
+  }
+  return errors;
+}
+
+/**
+ * Check a full training config.
+ * @param {Object} config - Merged training config.
+ * @returns {Array} Error descriptions (empty if valid).
+ */
+function validateTrainingConfig(config) {
+  const errors = validateHyperparameters(config);
+
+  if (!isPositiveInteger(config.epochs)) {
+    errors.push('epochs must be a positive integer.');
+  }
+  if (!isFraction(config.validationSplit)) {
+    errors.push('validationSplit must be between 0 and 1.');
+  }
+  if (!isFraction(config.testFraction)) {
+    errors.push('testFraction must be between 0 and 1.');
+  }
+  if (!Number.isInteger(config.seed)) {
+    errors.push('seed must be an integer.');
+  }
+
+  const { patience, minDelta } = config.earlyStopping;
+  if (!Number.isInteger(patience) || patience < 0) {
+    errors.push('earlyStopping.patience must be a non-negative integer.');
+  }
+  if (typeof minDelta !== 'number' || !(minDelta >= 0)) {
+    errors.push('earlyStopping.minDelta must be a non-negative number.');
+  }
+
+  const { folds } = config.crossValidation;
+  if (!Number.isInteger(folds) || folds < 0 || folds === 1) {
+    errors.push('crossValidation.folds must be 0 (disabled) or at least 2.');
+  }
+
+  const { strategy, trials, metric, space } = config.search;
+  if (strategy !== null && !SEARCH_STRATEGIES.includes(strategy)) {
+    errors.push(`search.strategy must be null, ${SEARCH_STRATEGIES.join(' or ')}.`);
+  }
+  if (!isPositiveInteger(trials)) {
+    errors.push('search.trials must be a positive integer.');
+  }
+  if (!SEARCH_METRICS.includes(metric)) {
+    errors.push(`search.metric must be one of ${SEARCH_METRICS.join(', ')}.`);
+  }
+  Object.entries(space || {}).forEach(([key, values]) => {
+    if (!SEARCHABLE.includes(key)) {
+      errors.push(`search.space.${key} is not a searchable hyperparameter.`);
+    } else if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`search.space.${key} must be a non-empty array of values.`);
+    } else {
+      values.forEach((value, index) => {
+        errors.push(
+          ...validateHyperparameters(
+            { [key]: value },
+            () => `search.space.${key}[${index}]`
+          )
+        );
+      });
+    }
+  });
+  if (strategy && Object.keys(space || {}).length === 0) {
+    errors.push('search.space must list at least one hyperparameter to search.');
+  }
+
+  const { source, feedbackWeight } = config.labels;
+  if (!LABEL_SOURCES.includes(source)) {
+    errors.push(`labels.source must be one of ${LABEL_SOURCES.join(', ')}.`);
+  }
+  if (typeof feedbackWeight !== 'number' || !(feedbackWeight >= 0 && feedbackWeight <= 1)) {
+    errors.push('labels.feedbackWeight must be a number in [0, 1].');
+  }
+
+  return errors;
+}
+
+/**
+ * Merge a partial config into the defaults, one level deep for the nested
+ * sections.
+ * @param {Object} base - Base config.
+ * @param {Object} overrides - Partial config.
+ * @returns {Object} Merged config.
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base, ...overrides };
+  ['earlyStopping', 'featureOptions', 'crossValidation', 'search', 'labels'].forEach((key) => {
+    merged[key] = { ...base[key], ...(overrides[key] || {}) };
+  });
+  return merged;
+}
+
+/**
+ * Load the training config and apply overrides (e.g. from CLI flags).
+ * @param {Object} [options] - { filePath, overrides }. filePath defaults to
+ * TRAINING_CONFIG_PATH or data/training_config.json; if the default file is
+ * missing the built-in defaults are used.
+ * @returns {Object} Validated training config.
+ * @throws {TrainingConfigError} If the file does not parse or a value is invalid.
+ */
+function loadTrainingConfig({ filePath, overrides = {} } = {}) {
+  const explicitPath = filePath || process.env.TRAINING_CONFIG_PATH;
+  const configPath =
+    explicitPath || path.join(__dirname, '../data/training_config.json');
+  const source = path.basename(configPath);
+
+  let fileConfig = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new TrainingConfigError(source, [error.message]);
+    }
+  } else if (explicitPath) {
+    throw new TrainingConfigError(source, ['File not found.']);
+  }
+
+  const unknown = Object.keys({ ...fileConfig, ...overrides }).filter(
+    (key) => !(key in DEFAULT_CONFIG)
+  );
+  const config = mergeConfig(mergeConfig(DEFAULT_CONFIG, fileConfig), overrides);
+  const errors = unknown
+    .map((key) => `Unknown setting "${key}".`)
+    .concat(validateTrainingConfig(config));
+  if (errors.length > 0) {
+    throw new TrainingConfigError(source, errors);
+  }
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  SEARCH_METRICS,
+  TrainingConfigError,
+  loadTrainingConfig,
+  validateTrainingConfig,
+};
@@ -0,0 +1,77 @@
+// test/catalog.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadCatalog, parseCatalog, findDroppedFields } = require('../src/catalog');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+test('the Markdown catalog matches the JSON catalog', () => {
+  const markdown = loadCatalog(path.join(DATA_DIR, 'product_catalog.md'));
+  const json = loadCatalog(path.join(DATA_DIR, 'product_catalog.json'));
+  const fields = (product) => ({
+    id: product.id,
+    category: product.category,
+    speedMbps: product.speedMbps,
+    price: product.price,
+    billing: product.billing,
+    unit: product.unit,
+    ownershipColumn: product.ownershipColumn,
+    requires: product.requires,
+    excludes: product.excludes,
+    supersedes: product.supersedes,
+  });
+
+  assert.deepEqual(markdown.map(fields), json.map(fields));
+});
+
+test('reads ownership and relation columns from a Markdown table', () => {
+  const [product] = parseCatalog(
+    [
+      '| Product Name | Features | Price | Ownership Column | Requires | Excludes | Supersedes |',
+      '|---|---|---|---|---|---|---|',
+      '| Wi-Fi Security Plus | VPN | $10.00/mo | wifi_security_plus | | a, b | c |',
+    ].join('\n'),
+    '.md'
+  );
+
+  assert.equal(product.id, 'wi-fi-security-plus');
+  assert.equal(product.ownershipColumn, 'wifi_security_plus');
+  assert.deepEqual(product.requires, []);
+  assert.deepEqual(product.excludes, ['a', 'b']);
+  assert.deepEqual(product.supersedes, ['c']);
+});
+
+test('findDroppedFields lists ownership columns and relations a replacement drops', () => {
+  const current = loadCatalog(path.join(DATA_DIR, 'product_catalog.json'));
+  const stripped = current.map((product) => ({
+    ...product,
+    ownershipColumn: undefined,
+    requires: [],
+    excludes: [],
+    supersedes: [],
+  }));
+
+  const errors = findDroppedFields(current, stripped);
+  [
+    'Product "whole-home-wi-fi" drops its ownership column "whole_home_wifi".',
+    'Product "battery-back-up-for-unbreakable-wi-fi" no longer requires unbreakable-wi-fi.',
+    'Product "total-shield" no longer excludes wi-fi-security, wi-fi-security-plus.',
+    'Product "fiber-1-gig" no longer supersedes fiber-500.',
+  ].forEach((error) => assert.ok(errors.includes(error), error));
+});
+
+test('findDroppedFields allows new fields and relations to removed products', () => {
+  const current = loadCatalog(path.join(DATA_DIR, 'product_catalog.json'));
+  const withoutFiber500 = current
+    .filter((product) => product.id !== 'fiber-500')
+    .map((product) => ({
+      ...product,
+      supersedes: product.supersedes.filter((id) => id !== 'fiber-500'),
+      requires: product.id === 'total-shield' ? ['whole-home-wi-fi'] : product.requires,
+    }));
+
+  assert.deepEqual(findDroppedFields(current, withoutFiber500), []);
+});
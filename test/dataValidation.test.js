@@ -0,0 +1,32 @@
+// test/dataValidation.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSpeed } = require('../src/dataValidation');
+
+test('reads K, M and G units as Mbps', () => {
+  assert.deepEqual(parseSpeed('800K'), { value: 0.8 });
+  assert.deepEqual(parseSpeed('800Kbps'), { value: 0.8 });
+  assert.deepEqual(parseSpeed('500.0M'), { value: 500 });
+  assert.deepEqual(parseSpeed('500 Mb/s'), { value: 500 });
+  assert.deepEqual(parseSpeed('1G'), { value: 1000 });
+  assert.deepEqual(parseSpeed('2gbps'), { value: 2000 });
+});
+
+test('reads a plain number as Mbps', () => {
+  assert.deepEqual(parseSpeed('500'), { value: 500 });
+  assert.deepEqual(parseSpeed(1000), { value: 1000 });
+});
+
+test('reads a bare bps or b/s as bits per second', () => {
+  assert.deepEqual(parseSpeed('800bps'), { value: 0.0008 });
+  assert.deepEqual(parseSpeed('2000000 b/s'), { value: 2 });
+});
+
+test('rejects unknown units and text', () => {
+  assert.deepEqual(parseSpeed('5T'), { error: 'has unknown unit "T" (use K, M or G)' });
+  assert.deepEqual(parseSpeed('5Tbps'), { error: 'has unknown unit "T" (use K, M or G)' });
+  assert.deepEqual(parseSpeed('fast'), { error: 'is not a speed' });
+  assert.deepEqual(parseSpeed('-5M'), { error: 'is not a speed' });
+});
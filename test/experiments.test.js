@@ -0,0 +1,155 @@
+// test/experiments.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+const {
+  ExperimentConfigError,
+  validateExperiments,
+  loadExperiments,
+  assignVariant,
+  buildExperimentReport,
+} = require('../src/experiments');
+const { withJsonFile } = require('./helpers');
+
+const EXPERIMENT = {
+  id: 'price-aware-ranking',
+  active: true,
+  variants: [
+    { id: 'control', weight: 50 },
+    { id: 'price-aware', weight: 50, ranking: 'expected-revenue' },
+  ],
+};
+
+const ACCT_IDS = Array.from({ length: 2000 }, (_, i) => `acct-${i}`);
+
+/**
+ * Count how many accounts land in each variant.
+ * @param {Object} experiment - Experiment with weighted variants.
+ * @returns {Object} Variant id to count.
+ */
+function split(experiment) {
+  const counts = {};
+  ACCT_IDS.forEach((acctId) => {
+    const { id } = assignVariant(experiment, acctId);
+    counts[id] = (counts[id] || 0) + 1;
+  });
+  return counts;
+}
+
+test('the same account always gets the same variant', () => {
+  ACCT_IDS.slice(0, 50).forEach((acctId) => {
+    assert.equal(assignVariant(EXPERIMENT, acctId), assignVariant(EXPERIMENT, acctId));
+  });
+});
+
+test('variants are split by weight', () => {
+  const even = split(EXPERIMENT);
+  assert.ok(Math.abs(even.control / ACCT_IDS.length - 0.5) < 0.05, JSON.stringify(even));
+
+  const skewed = split({
+    ...EXPERIMENT,
+    variants: [
+      { id: 'control', weight: 9 },
+      { id: 'price-aware', weight: 1 },
+    ],
+  });
+  assert.ok(Math.abs(skewed.control / ACCT_IDS.length - 0.9) < 0.03, JSON.stringify(skewed));
+});
+
+test('weights do not need to add up to 100', () => {
+  const counts = split({
+    ...EXPERIMENT,
+    variants: [
+      { id: 'a', weight: 0.2 },
+      { id: 'b', weight: 0.2 },
+      { id: 'c', weight: 0.2 },
+    ],
+  });
+  assert.deepEqual(Object.keys(counts).sort(), ['a', 'b', 'c']);
+  Object.values(counts).forEach((count) => {
+    assert.ok(Math.abs(count / ACCT_IDS.length - 1 / 3) < 0.05, JSON.stringify(counts));
+  });
+});
+
+test('different experiments split customers independently', () => {
+  const other = { ...EXPERIMENT, id: 'another-experiment' };
+  const same = ACCT_IDS.filter(
+    (acctId) => assignVariant(EXPERIMENT, acctId).id === assignVariant(other, acctId).id
+  );
+  assert.ok(Math.abs(same.length / ACCT_IDS.length - 0.5) < 0.05, String(same.length));
+});
+
+test('a missing experiments file means no experiments', () => {
+  assert.deepEqual(loadExperiments(path.join(os.tmpdir(), 'no-such-experiments.json')), []);
+});
+
+test('validateExperiments accepts a valid experiment', () => {
+  assert.deepEqual(validateExperiments({ experiments: [EXPERIMENT] }), []);
+});
+
+test('validateExperiments lists every problem', () => {
+  const errors = validateExperiments({
+    experiments: [
+      {
+        id: 'bad id',
+        active: 'yes',
+        control: 'missing',
+        variants: [
+          { id: 'a', weight: 0 },
+          { id: 'a', weight: 1, model: '3' },
+          { weight: 1, ranking: 'clicks' },
+        ],
+      },
+      { id: 'one', active: true, variants: [{ id: 'a', weight: 1 }] },
+      { ...EXPERIMENT, id: 'one' },
+    ],
+  });
+
+  assert.deepEqual(errors, [
+    `Experiment "bad id" needs an id of letters, digits, '-' or '_'.`,
+    'Experiment "bad id" needs "active": true or false.',
+    'Experiment "bad id" variant "a" needs a positive weight.',
+    'Experiment "bad id" variant "a" is defined more than once.',
+    'Experiment "bad id" variant "a" model must be a registry version such as "v3".',
+    `Experiment "bad id" variant #3 needs an id of letters, digits, '-' or '_'.`,
+    'Experiment "bad id" variant #3 ranking must be one of score, expected-revenue.',
+    'Experiment "bad id" control "missing" is not one of its variants.',
+    'Experiment "one" needs at least two variants.',
+    'Experiment "one" is defined more than once.',
+    'Only one experiment can be active at a time; active: one, one.',
+  ]);
+});
+
+test('validateExperiments needs an experiments array', () => {
+  assert.deepEqual(validateExperiments({ experiment: [] }), [
+    'Top-level "experiments" must be an array.',
+  ]);
+});
+
+test('loadExperiments reads the file and throws an ExperimentConfigError for problems', () => {
+  withJsonFile('experiments.json', { experiments: [EXPERIMENT] }, (filePath) => {
+    assert.deepEqual(loadExperiments(filePath), [EXPERIMENT]);
+  });
+  withJsonFile('experiments.json', { experiment: [] }, (filePath) => {
+    assert.throws(() => loadExperiments(filePath), (error) => {
+      assert.ok(error instanceof ExperimentConfigError);
+      assert.equal(
+        error.message,
+        'Invalid experiments experiments.json:\n  - Top-level "experiments" must be an array.'
+      );
+      return true;
+    });
+  });
+});
+
+test('the report shows the rules objective for variants without their own ranking', () => {
+  const report = buildExperimentReport(EXPERIMENT, [], [], { objective: 'expected-revenue' });
+  assert.deepEqual(
+    report.variants.map((variant) => variant.ranking),
+    ['expected-revenue', 'expected-revenue']
+  );
+  assert.equal(buildExperimentReport(EXPERIMENT, [], []).variants[0].ranking, 'score');
+});
@@ -0,0 +1,26 @@
+// test/helpers.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Write data as JSON to a file in a fresh temporary directory, call `use` with
+ * its path, and remove the directory afterwards.
+ * @param {String} fileName - Name of the file to write.
+ * @param {*} data - JSON-serializable file contents.
+ * @param {Function} use - Called with the file path; its result is returned.
+ * @returns {*} Whatever `use` returns.
+ */
+function withJsonFile(fileName, data, use) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-'));
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  try {
+    return use(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { withJsonFile };
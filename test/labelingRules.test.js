@@ -0,0 +1,183 @@
+// test/labelingRules.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  loadLabelingRules,
+  validateLabelingRules,
+  applyLabelingRules,
+  parseCondition,
+  evaluateCondition,
+  collectFeatures,
+  LabelingRuleError,
+} = require('../src/labelingRules');
+const { withJsonFile } = require('./helpers');
+
+test('parses a single comparison', () => {
+  assert.deepEqual(parseCondition('network_speed <= 500'), {
+    type: 'compare',
+    feature: 'network_speed',
+    comparator: '<=',
+    value: 500,
+  });
+});
+
+test('parses negative numbers, quoted strings and bare words as values', () => {
+  assert.equal(parseCondition('rssi_min < -80').value, -80);
+  assert.equal(parseCondition("coverage_size == 'Large'").value, 'Large');
+  assert.equal(parseCondition('coverage_size == "Large"').value, 'Large');
+  assert.equal(parseCondition('coverage_size == Large').value, 'Large');
+});
+
+test('parses a bare feature name as a flag', () => {
+  assert.deepEqual(parseCondition('has_security'), {
+    type: 'flag',
+    feature: 'has_security',
+  });
+});
+
+test('AND binds tighter than OR', () => {
+  const tree = parseCondition('a OR b AND c');
+  assert.equal(tree.type, 'or');
+  assert.deepEqual(tree.terms[0], { type: 'flag', feature: 'a' });
+  assert.equal(tree.terms[1].type, 'and');
+  assert.deepEqual(collectFeatures(tree.terms[1]), ['b', 'c']);
+});
+
+test('parentheses override precedence', () => {
+  const tree = parseCondition('(a OR b) AND c');
+  assert.equal(tree.type, 'and');
+  assert.equal(tree.terms[0].type, 'or');
+});
+
+test('NOT applies to the nearest term only', () => {
+  const tree = parseCondition('NOT a AND b');
+  assert.equal(tree.type, 'and');
+  assert.deepEqual(tree.terms[0], {
+    type: 'not',
+    term: { type: 'flag', feature: 'a' },
+  });
+});
+
+test('keywords are case-insensitive', () => {
+  assert.equal(parseCondition('a or b').type, 'or');
+  assert.equal(parseCondition('not a').type, 'not');
+});
+
+test('evaluates comparisons, flags and boolean operators', () => {
+  const customer = { network_speed: 1000, has_security: 0, coverage_size: 'Large' };
+  const holds = (text) => evaluateCondition(parseCondition(text), customer);
+
+  assert.equal(holds('network_speed > 500 AND network_speed <= 1000'), true);
+  assert.equal(holds('network_speed < 1000'), false);
+  assert.equal(holds('network_speed != 1000'), false);
+  assert.equal(holds('has_security'), false);
+  assert.equal(holds('NOT has_security'), true);
+  assert.equal(holds('has_security OR network_speed >= 1000'), true);
+  assert.equal(holds('NOT (has_security OR network_speed >= 1000)'), false);
+});
+
+test('compares text case-insensitively', () => {
+  const customer = { coverage_size: 'Large' };
+  assert.equal(evaluateCondition(parseCondition('coverage_size == large'), customer), true);
+  assert.equal(evaluateCondition(parseCondition('coverage_size != LARGE'), customer), false);
+});
+
+test('reports an unexpected character with its position', () => {
+  assert.throws(() => parseCondition('a == 1 & b'), {
+    message: 'Unexpected character at position 6 in "a == 1 & b".',
+  });
+});
+
+test('reports a missing value after a comparator', () => {
+  assert.throws(() => parseCondition('network_speed >'), {
+    message: 'Expected a value after "network_speed >" in "network_speed >".',
+  });
+});
+
+test('reports an unclosed parenthesis', () => {
+  assert.throws(() => parseCondition('(a OR b'), {
+    message: 'Expected rparen in "(a OR b".',
+  });
+});
+
+test('reports a missing operand', () => {
+  assert.throws(() => parseCondition('a AND'), {
+    message: 'Expected word in "a AND".',
+  });
+  assert.throws(() => parseCondition(''), { message: 'Expected word in "".' });
+});
+
+test('reports trailing tokens', () => {
+  assert.throws(() => parseCondition('a b'), {
+    message: 'Unexpected token after position 1 in "a b".',
+  });
+});
+
+test('collects every feature a condition reads', () => {
+  assert.deepEqual(
+    collectFeatures(parseCondition('a > 1 AND (NOT b OR c == x)')),
+    ['a', 'b', 'c']
+  );
+});
+
+test('loadLabelingRules lists every condition that does not parse', () => {
+  const data = {
+    rules: [
+      { id: 'good', product: 'p1', when: 'a > 1' },
+      { id: 'bad', product: 'p1', when: 'a >' },
+      { product: 'p2', when: '(b' },
+    ],
+  };
+
+  withJsonFile('labeling_rules.json', data, (filePath) => {
+    assert.throws(
+      () => loadLabelingRules(filePath),
+      (error) => {
+        assert.ok(error instanceof LabelingRuleError);
+        assert.equal(error.errors.length, 2);
+        assert.match(error.errors[0], /^Rule "bad": Expected a value/);
+        assert.match(error.errors[1], /^Rule #3: Expected rparen/);
+        return true;
+      }
+    );
+  });
+});
+
+test('validateLabelingRules reports unknown products, features and duplicate ids', () => {
+  const rules = [
+    { id: 'r1', product: 'p1', condition: parseCondition('a > 1') },
+    { id: 'r1', product: 'p9', condition: parseCondition('z') },
+  ];
+  assert.throws(
+    () => validateLabelingRules(rules, [{ id: 'p1' }], ['a']),
+    (error) => {
+      assert.deepEqual(error.errors, [
+        'Rule "r1" is defined more than once.',
+        'Rule "r1" targets unknown product "p9".',
+        'Rule "r1" references unknown feature "z".',
+      ]);
+      return true;
+    }
+  );
+});
+
+test('applyLabelingRules labels matching products and counts matches', () => {
+  const products = [{ id: 'p1' }, { id: 'p2' }];
+  const rules = [
+    { id: 'r1', product: 'p1', when: 'a > 1', condition: parseCondition('a > 1') },
+    { id: 'r2', product: 'p2', when: 'b', condition: parseCondition('b') },
+  ];
+  const { labels, report } = applyLabelingRules(
+    rules,
+    [{ a: 2, b: 0 }, { a: 0, b: 1 }, { a: 5, b: 1 }],
+    products
+  );
+
+  assert.deepEqual(labels, [[1, 0], [0, 1], [1, 1]]);
+  assert.deepEqual(
+    report.map((entry) => entry.matched),
+    [2, 2]
+  );
+});
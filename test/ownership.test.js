@@ -0,0 +1,210 @@
+// test/ownership.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyOwnership, findOwnedProducts } = require('../src/ownership');
+
+const PRODUCTS = [
+  { id: 'fiber-500', name: 'Fiber 500', category: 'speed-tier', speedMbps: 500, supersedes: [] },
+  {
+    id: 'fiber-1-gig',
+    name: 'Fiber 1 Gig',
+    category: 'speed-tier',
+    speedMbps: 1000,
+    supersedes: ['fiber-500'],
+  },
+  {
+    id: 'fiber-2-gig',
+    name: 'Fiber 2 Gig',
+    category: 'speed-tier',
+    speedMbps: 2000,
+    supersedes: ['fiber-500', 'fiber-1-gig'],
+  },
+  {
+    id: 'wi-fi-security',
+    name: 'Wi-Fi Security',
+    category: 'security',
+    ownershipColumn: 'wifi_security',
+    supersedes: [],
+  },
+  {
+    id: 'wi-fi-security-plus',
+    name: 'Wi-Fi Security Plus',
+    category: 'security',
+    ownershipColumn: 'wifi_security_plus',
+    supersedes: ['wi-fi-security'],
+  },
+  {
+    id: 'identity-protection',
+    name: 'Identity Protection',
+    category: 'security',
+    ownershipColumn: 'identity_protection',
+    supersedes: [],
+  },
+  { id: 'additional-extender', name: 'Additional Extender', category: 'wifi', supersedes: [] },
+];
+
+const RANKED = PRODUCTS.map((product, index) => ({
+  productId: product.id,
+  productName: product.name,
+  score: 1 - index / 10,
+}));
+
+/**
+ * Build a customer who owns nothing, with the given fields set.
+ * @param {Object} fields - Fields to set.
+ * @returns {Object} Customer.
+ */
+function customerWith(fields) {
+  return {
+    network_speed: 0,
+    wifi_security: 0,
+    wifi_security_plus: 0,
+    identity_protection: 0,
+    family_identity_protection: 0,
+    ...fields,
+  };
+}
+
+const ids = (list) => list.map((product) => product.productId);
+
+test('finds owned products by ownership column and current speed', () => {
+  const owned = findOwnedProducts(
+    customerWith({ network_speed: 1000, wifi_security_plus: 1 }),
+    PRODUCTS
+  );
+  assert.deepEqual(
+    owned.map((product) => product.id),
+    ['fiber-1-gig', 'wi-fi-security-plus']
+  );
+});
+
+test('products without an ownership column are never owned', () => {
+  assert.deepEqual(findOwnedProducts(customerWith({}), PRODUCTS), []);
+});
+
+test('a customer who owns nothing keeps every recommendation', () => {
+  const { recommendations, excluded } = applyOwnership(customerWith({}), RANKED, PRODUCTS);
+  assert.deepEqual(ids(recommendations), ids(RANKED));
+  assert.deepEqual(excluded, []);
+});
+
+test('owned products are excluded', () => {
+  const { recommendations, excluded } = applyOwnership(
+    customerWith({ wifi_security: 1 }),
+    RANKED,
+    PRODUCTS
+  );
+  assert.ok(!ids(recommendations).includes('wi-fi-security'));
+  assert.deepEqual(excluded, [
+    {
+      productId: 'wi-fi-security',
+      productName: 'Wi-Fi Security',
+      score: RANKED[3].score,
+      reason: 'owned',
+      coveredBy: null,
+      detail: 'Customer already has Wi-Fi Security.',
+    },
+  ]);
+});
+
+test('products superseded by an owned product are excluded as covered', () => {
+  const { excluded } = applyOwnership(
+    customerWith({ wifi_security_plus: 1 }),
+    RANKED,
+    PRODUCTS
+  );
+  const covered = excluded.find((product) => product.productId === 'wi-fi-security');
+  assert.equal(covered.reason, 'covered');
+  assert.equal(covered.coveredBy, 'Wi-Fi Security Plus');
+  assert.equal(
+    covered.detail,
+    "Wi-Fi Security is included in the customer's Wi-Fi Security Plus."
+  );
+});
+
+test('products that supersede an owned product are marked as upgrades', () => {
+  const { recommendations } = applyOwnership(
+    customerWith({ wifi_security: 1 }),
+    RANKED,
+    PRODUCTS
+  );
+  const plus = recommendations.find((product) => product.productId === 'wi-fi-security-plus');
+  assert.equal(plus.upgradeFrom, 'Wi-Fi Security');
+  const extender = recommendations.find(
+    (product) => product.productId === 'additional-extender'
+  );
+  assert.equal(extender.upgradeFrom, null);
+});
+
+test('speed tiers at or below the current catalog tier are excluded', () => {
+  const { recommendations, excluded } = applyOwnership(
+    customerWith({ network_speed: 1000 }),
+    RANKED,
+    PRODUCTS
+  );
+  assert.deepEqual(
+    excluded.map((product) => [product.productId, product.reason, product.detail]),
+    [
+      ['fiber-500', 'covered', 'Fiber 500 is slower than the current Fiber 1 Gig.'],
+      ['fiber-1-gig', 'owned', 'Customer is already on Fiber 1 Gig.'],
+    ]
+  );
+  const faster = recommendations.find((product) => product.productId === 'fiber-2-gig');
+  assert.equal(faster.upgradeFrom, 'Fiber 1 Gig');
+});
+
+test('speed tiers are compared with plans that are not in the catalog', () => {
+  const { recommendations, excluded } = applyOwnership(
+    customerWith({ network_speed: 750 }),
+    RANKED,
+    PRODUCTS
+  );
+  assert.deepEqual(excluded, [
+    {
+      productId: 'fiber-500',
+      productName: 'Fiber 500',
+      score: RANKED[0].score,
+      reason: 'covered',
+      coveredBy: '750 Mbps plan',
+      detail: 'Fiber 500 is slower than the current 750 Mbps plan.',
+    },
+  ]);
+  const upgrade = recommendations.find((product) => product.productId === 'fiber-1-gig');
+  assert.equal(upgrade.upgradeFrom, '750 Mbps plan');
+});
+
+test('identity protection is covered by the family plan outside the catalog', () => {
+  const { excluded } = applyOwnership(
+    customerWith({ family_identity_protection: 1 }),
+    RANKED,
+    PRODUCTS
+  );
+  assert.deepEqual(excluded, [
+    {
+      productId: 'identity-protection',
+      productName: 'Identity Protection',
+      score: RANKED[5].score,
+      reason: 'covered',
+      coveredBy: 'Family Identity Protection',
+      detail: "Identity Protection is included in the customer's Family Identity Protection.",
+    },
+  ]);
+});
+
+test('the ranked order of kept products is preserved', () => {
+  const reversed = RANKED.slice().reverse();
+  const { recommendations } = applyOwnership(
+    customerWith({ network_speed: 500, wifi_security: 1 }),
+    reversed,
+    PRODUCTS
+  );
+  assert.deepEqual(ids(recommendations), [
+    'additional-extender',
+    'identity-protection',
+    'wi-fi-security-plus',
+    'fiber-2-gig',
+    'fiber-1-gig',
+  ]);
+});
@@ -0,0 +1,224 @@
+// test/ranking.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+const {
+  RankingRuleError,
+  readRankingRules,
+  parseRankingRules,
+  setRankingRules,
+  validateRankingRules,
+  applyRankingRules,
+  filterEligible,
+  expectedRevenue,
+} = require('../src/ranking');
+const { withJsonFile } = require('./helpers');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const CUSTOMER = { acct_id: 'acct-1', state: 'CA', total_devices: 30 };
+
+/**
+ * Rank the sample products for a customer with the given rules.
+ * @param {Array} rules - Rule definitions, as in the rules file.
+ * @param {Object} [options] - Passed to applyRankingRules.
+ * @param {Object} [customer] - Preprocessed customer (default CUSTOMER).
+ * @returns {Object} Output of applyRankingRules.
+ */
+function rank(rules, options = {}, customer = CUSTOMER) {
+  setRankingRules(parseRankingRules({ objective: 'score', rules }));
+  return applyRankingRules(customer, products(), { now: NOW, ...options });
+}
+
+function products() {
+  return [
+    { productId: 'a', productName: 'A', score: 0.9, price: 10, billing: 'monthly' },
+    { productId: 'b', productName: 'B', score: 0.8, price: 50, billing: 'monthly' },
+    { productId: 'c', productName: 'C', score: 0.7, price: 120, billing: 'one-time' },
+    { productId: 'd', productName: 'D', score: 0.6, price: 5, billing: 'monthly' },
+  ];
+}
+
+const order = (result) => result.recommendations.map((product) => product.productId);
+
+test.after(() => setRankingRules(null));
+
+test('a missing rules file ranks by score with no rules', () => {
+  const config = readRankingRules(path.join(os.tmpdir(), 'no-such-ranking-rules.json'));
+  assert.deepEqual(config, {
+    source: 'no-such-ranking-rules.json',
+    objective: 'score',
+    rules: [],
+  });
+});
+
+test('readRankingRules parses the file and names it in errors', () => {
+  const rule = { id: 'boost-a', type: 'boost', products: ['a'], factor: 2 };
+  withJsonFile('promo_rules.json', { rules: [rule] }, (filePath) => {
+    assert.deepEqual(readRankingRules(filePath), {
+      source: 'promo_rules.json',
+      objective: 'score',
+      rules: [{ enabled: true, ...rule, condition: null }],
+    });
+  });
+  withJsonFile('promo_rules.json', { rules: [{ ...rule, factor: -1 }] }, (filePath) => {
+    assert.throws(() => readRankingRules(filePath), {
+      name: 'RankingRuleError',
+      message:
+        'Invalid ranking rules promo_rules.json:\n  - Rule "boost-a" needs a positive "factor".',
+    });
+  });
+});
+
+test('parseRankingRules lists every malformed rule', () => {
+  assert.throws(
+    () =>
+      parseRankingRules({
+        objective: 'clicks',
+        rules: [
+          { id: 'boost', type: 'boost', products: ['a'], factor: 0 },
+          { id: 'boost', type: 'pin', products: ['a'], position: 0 },
+          { type: 'cap', products: [], top: 3, maxShare: 2 },
+          { id: 'states', type: 'eligibility', products: ['a'], states: ['ZZ'] },
+          { id: 'dates', type: 'bump', products: ['a'], from: 'soon', when: 'a >' },
+        ],
+      }),
+    (error) => {
+      assert.ok(error instanceof RankingRuleError);
+      assert.deepEqual(error.errors, [
+        'objective must be one of score, expected-revenue.',
+        'Rule "boost" needs a positive "factor".',
+        'Rule "boost" is defined more than once.',
+        'Rule "boost" needs a "position" of 1 or more.',
+        'Rule #3 is missing an id.',
+        'Rule #3 needs a non-empty "products" list.',
+        'Rule #3 needs a "maxShare" between 0 and 1.',
+        'Rule "states" "states" must be a list of US state codes.',
+        'Rule "dates" type must be one of boost, pin, cap, eligibility.',
+        'Rule "dates" "from" must be a date such as 2026-03-01.',
+        'Rule "dates": Expected a value after "a >" in "a >".',
+      ]);
+      return true;
+    }
+  );
+});
+
+test('validateRankingRules reports unknown products and features', () => {
+  const config = parseRankingRules({
+    rules: [{ id: 'r1', type: 'boost', products: ['a', 'x'], factor: 2, when: 'speed > 1' }],
+  });
+  assert.throws(
+    () => validateRankingRules(config, [{ id: 'a' }], ['total_devices']),
+    (error) => {
+      assert.deepEqual(error.errors, [
+        'Rule "r1" targets unknown product "x".',
+        'Rule "r1" references unknown feature "speed".',
+      ]);
+      return true;
+    }
+  );
+});
+
+test('ranks by score with no rules', () => {
+  assert.deepEqual(order(rank([])), ['a', 'b', 'c', 'd']);
+});
+
+test('the expected-revenue objective spreads one-time prices over a year', () => {
+  assert.equal(expectedRevenue({ score: 0.7, price: 120, billing: 'one-time' }), 7);
+  assert.deepEqual(order(rank([], { objective: 'expected-revenue' })), ['b', 'a', 'c', 'd']);
+});
+
+test('an unknown objective is an error', () => {
+  assert.throws(() => rank([], { objective: 'clicks' }), {
+    message: 'Unknown ranking objective "clicks".',
+  });
+});
+
+test('boosts multiply the ranking score and record the rule', () => {
+  const result = rank([{ id: 'boost-d', type: 'boost', products: ['d'], factor: 2 }]);
+  assert.deepEqual(order(result), ['d', 'a', 'b', 'c']);
+  assert.deepEqual(result.recommendations[0].rules, [
+    { id: 'boost-d', type: 'boost', effect: 'score x2' },
+  ]);
+});
+
+test('rules only apply when enabled, in their date window and when their condition holds', () => {
+  const boost = { id: 'boost-d', type: 'boost', products: ['d'], factor: 2 };
+  assert.deepEqual(order(rank([{ ...boost, enabled: false }])), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(order(rank([{ ...boost, from: '2026-07-01' }])), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(order(rank([{ ...boost, until: '2026-06-14' }])), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(order(rank([{ ...boost, when: 'total_devices < 10' }])), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(order(rank([{ ...boost, when: 'total_devices >= 10' }])), ['d', 'a', 'b', 'c']);
+});
+
+test('a bare "until" date includes that whole day', () => {
+  const boost = { id: 'boost-d', type: 'boost', products: ['d'], factor: 2, until: '2026-06-15' };
+  assert.deepEqual(order(rank([boost])), ['d', 'a', 'b', 'c']);
+});
+
+test('caps move a product just below the top N outside the allowed share', () => {
+  const cap = { id: 'cap-a', type: 'cap', products: ['a'], top: 2 };
+  const capped = rank([{ ...cap, maxShare: 0 }]);
+  assert.deepEqual(order(capped), ['b', 'c', 'a', 'd']);
+  assert.deepEqual(capped.recommendations[2].rules, [
+    { id: 'cap-a', type: 'cap', effect: 'moved from 1 to 3' },
+  ]);
+  assert.deepEqual(order(rank([{ ...cap, maxShare: 1 }])), ['a', 'b', 'c', 'd']);
+});
+
+test('pins are applied after boosts and caps', () => {
+  const result = rank([
+    { id: 'pin-c', type: 'pin', products: ['c'], position: 1 },
+    { id: 'boost-d', type: 'boost', products: ['d'], factor: 10 },
+    { id: 'cap-c', type: 'cap', products: ['c'], top: 3, maxShare: 0 },
+  ]);
+  assert.deepEqual(order(result), ['c', 'd', 'a', 'b']);
+  assert.deepEqual(result.recommendations[0].rules, [
+    { id: 'pin-c', type: 'pin', effect: 'pinned at 1' },
+  ]);
+});
+
+test('a pin past the end of the list puts the product last', () => {
+  const result = rank([{ id: 'pin-a', type: 'pin', products: ['a'], position: 10 }]);
+  assert.deepEqual(order(result), ['b', 'c', 'd', 'a']);
+  assert.equal(result.recommendations[3].rules[0].effect, 'pinned at 4');
+});
+
+test('eligibility rules exclude products by state', () => {
+  const rules = [
+    { id: 'no-ca', type: 'eligibility', products: ['a'], excludeStates: ['ca'] },
+    { id: 'tx-only', type: 'eligibility', products: ['b'], states: ['TX'] },
+  ];
+  const result = rank(rules);
+  assert.deepEqual(order(result), ['c', 'd']);
+  assert.deepEqual(
+    result.excluded.map((product) => [product.productId, product.rules[0].id]),
+    [
+      ['a', 'no-ca'],
+      ['b', 'tx-only'],
+    ]
+  );
+  assert.equal(result.excluded[0].detail, 'A is not available in CA.');
+  assert.deepEqual(order(rank(rules, {}, { ...CUSTOMER, state: 'TX' })), ['a', 'b', 'c', 'd']);
+});
+
+test('filterEligible keeps every product when no eligibility rule applies', () => {
+  setRankingRules(
+    parseRankingRules({
+      rules: [
+        {
+          id: 'no-ca',
+          type: 'eligibility',
+          products: ['a'],
+          excludeStates: ['CA'],
+          enabled: false,
+        },
+      ],
+    })
+  );
+  const { eligible, excluded } = filterEligible(CUSTOMER, products(), { now: NOW });
+  assert.equal(eligible.length, 4);
+  assert.deepEqual(excluded, []);
+});